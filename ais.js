@@ -0,0 +1,267 @@
+/**
+ * AIS targets on the PPI
+ *
+ * Other vessels' position, COG, SOG, heading and name arrive as SignalK
+ * deltas on the stream opened by subscribeToHeading() in viewer.js. They are
+ * drawn as triangles with a COG/SOG vector at their range and bearing from
+ * own ship; clicking a triangle opens a details popup.
+ *
+ * Placing targets needs own position (spokes or SignalK) and a true heading.
+ * The targets are shared; every display draws them from its own position
+ * and heading and has its own popup.
+ */
+
+export { initAis, updateAisTarget, drawAis };
+
+import { getTrueHeading, hasHeading, getOwnPosition } from "./viewer.js";
+import { formatDistance, is_metric } from "./units.js";
+import { polarToScreen } from "./overlay.js";
+
+const AIS_COLOR = "#40ff40";
+const VECTOR_MINUTES = 6;
+const STALE_SECONDS = 600; // Targets without an update for this long are dropped
+const HIT_RADIUS = 12; // Pixels
+const METERS_PER_DEGREE_LAT = 111320;
+const MS_TO_KNOTS = 3600 / 1852;
+
+let redrawPending = false;
+
+// context -> { context, mmsi, name, lat, lon, cog, sog, heading, updated }
+// cog and heading in radians true, sog in m/s, updated in ms
+const vessels = new Map();
+
+// Renderer -> AIS popup of its display:
+// { renderer, popupEl, popupContext: context of the target shown in the popup,
+//   drawn: screen positions of the targets drawn last, for hit testing: [{ context, x, y }] }
+const displays = new Map();
+
+/**
+ * Create the details popup and click handler on the overlay canvas of a display
+ * @param {Object} r - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initAis(r, prefix) {
+  const display = { renderer: r, popupEl: null, popupContext: null, drawn: [] };
+  displays.set(r, display);
+
+  // Drop targets that stopped reporting
+  if (displays.size === 1) setInterval(dropStaleTargets, 30000);
+
+  const container = r.dom.parentNode;
+  const overlay = r.overlay_dom;
+  if (!container || !overlay) return;
+
+  const popupEl = document.createElement("div");
+  popupEl.id = `${prefix}ais_popup`;
+  popupEl.className = "myr_ais_popup";
+  popupEl.style.display = "none";
+  container.appendChild(popupEl);
+  display.popupEl = popupEl;
+
+  overlay.addEventListener("pointerdown", (e) => {
+    const hit = display.drawn.find((t) => Math.hypot(t.x - e.offsetX, t.y - e.offsetY) <= HIT_RADIUS);
+    if (hit) {
+      showPopup(display, hit.context, e.offsetX, e.offsetY);
+    } else {
+      hidePopup(display);
+    }
+  });
+}
+
+function dropStaleTargets() {
+  const now = Date.now();
+  let removed = false;
+  for (const [context, vessel] of vessels) {
+    if (now - vessel.updated > STALE_SECONDS * 1000) {
+      vessels.delete(context);
+      removed = true;
+    }
+  }
+  if (removed) scheduleRedraw();
+}
+
+/**
+ * Apply the values of a SignalK delta update for another vessel
+ * @param {string} context - Delta context, e.g. "vessels.urn:mrn:imo:mmsi:244123456"
+ * @param {Array} values - The update's values ({ path, value })
+ */
+function updateAisTarget(context, values) {
+  if (!context || !context.startsWith("vessels.")) return;
+
+  let vessel = vessels.get(context);
+  if (!vessel) {
+    const mmsi = context.match(/mmsi:(\d+)/);
+    vessel = { context, mmsi: mmsi ? mmsi[1] : null, name: null };
+    vessels.set(context, vessel);
+  }
+
+  for (const value of values) {
+    const v = value.value;
+    switch (value.path) {
+      case "navigation.position":
+        if (v && typeof v.latitude === "number" && typeof v.longitude === "number") {
+          vessel.lat = v.latitude;
+          vessel.lon = v.longitude;
+        }
+        break;
+      case "navigation.courseOverGroundTrue":
+        vessel.cog = v;
+        break;
+      case "navigation.speedOverGround":
+        vessel.sog = v;
+        break;
+      case "navigation.headingTrue":
+        vessel.heading = v;
+        break;
+      case "name":
+        vessel.name = v;
+        break;
+      case "":
+        // Some servers send the vessel root as { name, mmsi }
+        if (v && v.name) vessel.name = v.name;
+        if (v && v.mmsi) vessel.mmsi = v.mmsi;
+        break;
+    }
+  }
+  vessel.updated = Date.now();
+
+  for (const display of displays.values()) {
+    if (display.popupContext === context) updatePopup(display);
+  }
+  scheduleRedraw();
+}
+
+// AIS updates can arrive many times per second, redraw at most once per frame
+function scheduleRedraw() {
+  if (redrawPending || displays.size === 0) return;
+  redrawPending = true;
+  requestAnimationFrame(() => {
+    redrawPending = false;
+    displays.forEach((display) => display.renderer.redrawOverlay());
+  });
+}
+
+// Offset of a position from own ship in meters (x = east, y = north)
+function offsetFrom(own, lat, lon) {
+  return {
+    x: (lon - own.lon) * METERS_PER_DEGREE_LAT * Math.cos((own.lat * Math.PI) / 180),
+    y: (lat - own.lat) * METERS_PER_DEGREE_LAT,
+  };
+}
+
+// Screen position of an offset from own ship
+function offsetToScreen(obj, offset) {
+  const bearing = Math.atan2(offset.x, offset.y) - getTrueHeading(obj);
+  return polarToScreen(obj, bearing, Math.hypot(offset.x, offset.y));
+}
+
+/**
+ * Draw the AIS targets on the overlay canvas (called from drawOverlay)
+ * @param {Object} obj - The renderer
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ */
+function drawAis(obj, ctx) {
+  const display = displays.get(obj);
+  if (!display) return;
+  display.drawn = [];
+  const range = obj.range || obj.actual_range;
+  const own = getOwnPosition(obj);
+  if (!range || !own || !hasHeading(obj) || vessels.size === 0) return;
+
+  ctx.save();
+  ctx.strokeStyle = AIS_COLOR;
+  ctx.fillStyle = AIS_COLOR;
+  ctx.lineWidth = 1.5;
+  ctx.font = "11px/1 Verdana, Geneva, sans-serif";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+
+  for (const vessel of vessels.values()) {
+    if (vessel.lat == null || vessel.lon == null) continue;
+
+    const offset = offsetFrom(own, vessel.lat, vessel.lon);
+    if (Math.hypot(offset.x, offset.y) > range) continue;
+
+    const p = offsetToScreen(obj, offset);
+    display.drawn.push({ context: vessel.context, x: p.x, y: p.y });
+
+    // Triangle points along the heading, or COG when there is no heading
+    const direction = vessel.heading ?? vessel.cog ?? 0;
+    const angle = direction - getTrueHeading(obj) + (obj.headingRotation || 0);
+    ctx.save();
+    ctx.translate(p.x, p.y);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(0, -10);
+    ctx.lineTo(6, 7);
+    ctx.lineTo(-6, 7);
+    ctx.closePath();
+    ctx.stroke();
+    ctx.restore();
+
+    // COG/SOG vector
+    if (vessel.cog != null && vessel.sog > 0) {
+      const distance = vessel.sog * VECTOR_MINUTES * 60;
+      const end = offsetToScreen(obj, {
+        x: offset.x + distance * Math.sin(vessel.cog),
+        y: offset.y + distance * Math.cos(vessel.cog),
+      });
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+    }
+
+    if (vessel.name) {
+      ctx.fillText(vessel.name, p.x + 10, p.y + 10);
+    }
+  }
+
+  ctx.restore();
+}
+
+function showPopup(display, context, x, y) {
+  const popupEl = display.popupEl;
+  if (!popupEl) return;
+  display.popupContext = context;
+  popupEl.style.left = `${x + 15}px`;
+  popupEl.style.top = `${y + 15}px`;
+  popupEl.style.display = "block";
+  updatePopup(display);
+}
+
+function hidePopup(display) {
+  if (!display.popupEl) return;
+  display.popupContext = null;
+  display.popupEl.style.display = "none";
+}
+
+function updatePopup(display) {
+  const { renderer, popupEl } = display;
+  const vessel = vessels.get(display.popupContext);
+  if (!popupEl || !vessel) {
+    hidePopup(display);
+    return;
+  }
+
+  const lines = [vessel.name || "(unknown)"];
+  if (vessel.mmsi) lines.push(`MMSI ${vessel.mmsi}`);
+
+  const own = getOwnPosition(renderer);
+  if (own && vessel.lat != null) {
+    const offset = offsetFrom(own, vessel.lat, vessel.lon);
+    const bearing = (((Math.atan2(offset.x, offset.y) * 180) / Math.PI) + 360) % 360;
+    const distance = Math.hypot(offset.x, offset.y);
+    const range = renderer.range || renderer.actual_range || distance;
+    lines.push(`BRG ${bearing.toFixed(1)}°T  RNG ${formatDistance(is_metric(range), distance)}`);
+  }
+  if (vessel.cog != null) lines.push(`COG ${formatDegrees(vessel.cog)}°T`);
+  if (vessel.sog != null) lines.push(`SOG ${(vessel.sog * MS_TO_KNOTS).toFixed(1)} kn`);
+  if (vessel.heading != null) lines.push(`HDG ${formatDegrees(vessel.heading)}°T`);
+
+  popupEl.textContent = lines.join("\n");
+}
+
+function formatDegrees(radians) {
+  return ((((radians * 180) / Math.PI) % 360 + 360) % 360).toFixed(1);
+}
@@ -75,6 +75,33 @@ export function getInterfacesUrl() {
   return detectedMode === 'standalone' ? STANDALONE_INTERFACES_API : null;
 }
 
+/**
+ * Get the WebSocket that may push control state changes of a radar
+ * Standalone: /v2/api/radars/{id}/controls, sending state or control value
+ * messages, on servers that provide it. SignalK: the delta stream,
+ * subscribed to the radar's control paths (radars.{id}.controls.*), which
+ * stays silent unless the plugin publishes them. radar_control polls until
+ * the socket delivers control changes, and stops trying on servers without it.
+ * @param {string} radarId - The radar ID
+ * @returns {{ url: string, subscribe: Object|null }} Stream URL and subscription message to send on open
+ */
+export function getControlStreamUrl(radarId) {
+  const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  if (detectedMode === 'signalk') {
+    return {
+      url: `${wsProtocol}//${window.location.host}/signalk/v1/stream?subscribe=none`,
+      subscribe: {
+        context: "vessels.self",
+        subscribe: [{ path: `radars.${radarId}.controls.*`, policy: "instant" }],
+      },
+    };
+  }
+  return {
+    url: `${wsProtocol}//${window.location.host}${STANDALONE_RADARS_API}/${radarId}/controls`,
+    subscribe: null,
+  };
+}
+
 /**
  * Fetch list of radar IDs
  * @returns {Promise<string[]>} Array of radar IDs
@@ -233,7 +260,7 @@ function mapPowerValue(value) {
  * @param {string} radarId - The radar ID
  * @param {string} controlId - The control ID (e.g., "power", "gain", "range")
  * @param {any} value - The value to set (type depends on control)
- * @returns {Promise<boolean>} True if successful
+ * @returns {Promise<{ ok: boolean, error: string|null }>} Result, with the HTTP status and response body on failure
  */
 export async function setControl(radarId, controlId, value) {
   await detectMode();
@@ -254,15 +281,16 @@ export async function setControl(radarId, controlId, value) {
 
     if (response.ok) {
       console.log(`Control ${controlId} set successfully`);
-      return true;
+      return { ok: true, error: null };
     } else {
       const errorText = await response.text();
       console.error(`Control command failed: ${response.status} ${response.statusText} for ${url}`, errorText);
-      return false;
+      const status = `${response.status} ${response.statusText}`.trim();
+      return { ok: false, error: errorText ? `${status}: ${errorText}` : status };
     }
   } catch (e) {
     console.error(`Control command error: ${e}`);
-    return false;
+    return { ok: false, error: e.message };
   }
 }
 
@@ -325,6 +353,60 @@ export async function saveInstallationSetting(radarId, key, value) {
   }
 }
 
+/**
+ * Get the control presets of a radar model from Application Data API
+ * Stored next to the installation settings, per model rather than per radar:
+ * { "radars": { ... }, "presets": { "Navico HALO": [{ name, controls }, ...] } }
+ * @param {string} modelKey - Radar make and model, e.g. "Navico HALO"
+ * @returns {Promise<Array>} Presets in the order they were created
+ */
+export async function getControlPresets(modelKey) {
+  const url = `${APPDATA_PATH}/1.0.0`;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return [];
+    const data = await response.json();
+    return data?.presets?.[modelKey] || [];
+  } catch (e) {
+    console.warn('Failed to load control presets:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Save the control presets of a radar model to Application Data API
+ * @param {string} modelKey - Radar make and model
+ * @param {Array} presets - All presets of the model: [{ name, controls }]
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function saveControlPresets(modelKey, presets) {
+  const url = `${APPDATA_PATH}/1.0.0`;
+  try {
+    // Load full structure (preserve installation settings and other models)
+    const getResponse = await fetch(url);
+    const data = getResponse.ok ? await getResponse.json() : { radars: {} };
+
+    if (!data.presets) data.presets = {};
+    data.presets[modelKey] = presets;
+
+    const putResponse = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    if (putResponse.ok) {
+      console.log(`Control presets saved for ${modelKey}`);
+      return true;
+    } else {
+      console.error(`Failed to save control presets: ${putResponse.status}`);
+      return false;
+    }
+  } catch (e) {
+    console.error('Failed to save control presets:', e);
+    return false;
+  }
+}
+
 // ============================================================================
 // Playback Detection
 // ============================================================================
@@ -0,0 +1,304 @@
+/**
+ * Chart underlay: raster map tiles beneath the radar image
+ *
+ * The tiles are drawn on the background canvas (see drawBackground() in
+ * viewer.js), centred on own position (spoke lat/lon, or the SignalK
+ * position), scaled to the display range and rotated with the display.
+ * Turning the chart on switches the displays to North Up.
+ *
+ * Sources: OpenStreetMap, OpenStreetMap with the OpenSeaMap seamarks, or a
+ * local {z}/{x}/{y} URL template: a tile directory, or an MBTiles/PMTiles
+ * file served as tiles by the local server, for use offline.
+ *
+ * The chart settings are kept for the page in localStorage; with two
+ * displays both draw the same chart beneath their own radar.
+ */
+
+export { initChart, isChartEnabled, drawChart, updateChart };
+
+import van from "./van-1.5.2.js";
+import { getOwnPosition, getUpDirection } from "./viewer.js";
+import { isNightMode } from "./palette.js";
+
+const { div, label, input, button } = van.tags;
+
+const STORAGE_KEY = "mayara.chart";
+const TILE_SIZE = 256;
+const MAX_ZOOM = 18;
+const MAX_CACHED_TILES = 300;
+const EARTH_CIRCUMFERENCE = 40075016.686; // metres, at the equator
+const METRES_PER_DEGREE = 111320;
+const POSITION_CHECK_INTERVAL = 1000; // ms
+
+const OSM_TILES = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const SEAMARK_TILES = "https://tiles.openseamap.org/seamark/{z}/{x}/{y}.png";
+
+// Selectable sources: value -> { label, layers: tile URL templates, drawn in order }
+const SOURCES = {
+  off: { label: "Off", layers: [] },
+  osm: { label: "OSM", layers: [OSM_TILES] },
+  sea: { label: "Sea", layers: [OSM_TILES, SEAMARK_TILES] },
+  local: { label: "Local", layers: null },
+};
+
+let settings = { source: "off", url: "/tiles/{z}/{x}/{y}.png", opacity: 60 };
+let renderers = [];
+let onChangeCallback = null;
+
+// Tile URL -> { img, loaded }, oldest use first
+const tiles = new Map();
+// Renderer -> { lat, lon, up, mpp } of the chart as last drawn
+const drawn = new Map();
+let redrawRequested = false;
+
+/**
+ * Load the chart settings and create their section in the control panel
+ * @param {Array} list - Renderers with a chart underlay
+ * @param {Function} onChange - Called with the settings after a change
+ */
+function initChart(list, onChange) {
+  renderers = list;
+  onChangeCallback = onChange;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && SOURCES[saved.source]) {
+      settings = {
+        source: saved.source,
+        url: typeof saved.url === "string" ? saved.url : settings.url,
+        opacity: clampOpacity(saved.opacity),
+      };
+    }
+  } catch (e) {
+    console.warn("Failed to load chart settings:", e.message);
+  }
+
+  const controller = document.getElementById("myr_controller");
+  if (controller) {
+    const section = div({ id: "myr_chart", class: "myr_control_section myr_chart_section" });
+    controller.appendChild(section);
+    buildEditor();
+  }
+
+  // Own position changes without a redraw of the background
+  setInterval(() => renderers.forEach(updateChart), POSITION_CHECK_INTERVAL);
+}
+
+function isChartEnabled() {
+  return chartLayers().length > 0;
+}
+
+function clampOpacity(value) {
+  const opacity = Number(value);
+  return Number.isFinite(opacity) ? Math.min(100, Math.max(10, Math.round(opacity))) : 60;
+}
+
+// Tile URL templates of the selected source
+function chartLayers() {
+  if (settings.source === "local") return settings.url ? [settings.url] : [];
+  return SOURCES[settings.source]?.layers || [];
+}
+
+function buildEditor() {
+  const section = document.getElementById("myr_chart");
+  if (!section) return;
+  section.innerHTML = "";
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Chart"),
+    div({ class: "myr_control myr_enum_control" },
+      div({ class: "myr_button_group", id: "myr_chart_group" },
+        ...Object.entries(SOURCES).map(([value, s]) => button({
+          type: "button",
+          class: `myr_enum_button ${value === settings.source ? "myr_enum_active" : ""}`,
+          "data-value": value,
+          onclick: () => {
+            settings = { ...settings, source: value };
+            changed();
+          },
+        }, s.label))
+      )
+    ),
+    div({ class: "myr_ntz_angle myr_chart_url", style: settings.source === "local" ? "" : "display: none;" },
+      label({ for: "myr_chart_url" }, "Tile URL"),
+      input({
+        type: "text",
+        id: "myr_chart_url",
+        value: settings.url,
+        placeholder: "/tiles/{z}/{x}/{y}.png",
+        onchange: (e) => {
+          settings = { ...settings, url: e.target.value.trim() };
+          changed();
+        },
+      })
+    ),
+    div({ class: "myr_ntz_angle myr_chart_opacity", style: settings.source === "off" ? "display: none;" : "" },
+      label({ for: "myr_chart_opacity" }, "Opacity (%)"),
+      input({
+        type: "number",
+        id: "myr_chart_opacity",
+        min: 10,
+        max: 100,
+        step: 10,
+        value: settings.opacity,
+        onchange: (e) => {
+          settings = { ...settings, opacity: clampOpacity(e.target.value) };
+          changed();
+        },
+      })
+    )
+  );
+
+  function changed() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+      console.warn("Failed to save chart settings:", e.message);
+    }
+    buildEditor();
+    if (onChangeCallback) onChangeCallback(settings);
+    renderers.forEach((obj) => obj.redrawBackground());
+  }
+}
+
+// Web Mercator tile geometry for a renderer, or null without position or range
+function chartGeometry(obj) {
+  const own = getOwnPosition(obj);
+  const range = obj.range || obj.actual_range;
+  if (!own || !range || !(obj.beam_length > 0)) return null;
+
+  const mpp = range / obj.beam_length; // metres per screen pixel
+  const lat = (own.lat * Math.PI) / 180;
+  const metresAtZoom0 = (EARTH_CIRCUMFERENCE * Math.cos(lat)) / TILE_SIZE; // per tile pixel
+  // Zoom level whose tile pixels are closest to the screen pixels
+  const zoom = Math.min(MAX_ZOOM, Math.max(0, Math.round(Math.log2(metresAtZoom0 / mpp))));
+  const worldSize = TILE_SIZE * 2 ** zoom;
+
+  return {
+    own,
+    mpp,
+    zoom,
+    scale: metresAtZoom0 / 2 ** zoom / mpp, // screen pixels per tile pixel
+    // Own position in pixels of the whole map at this zoom
+    x: ((own.lon + 180) / 360) * worldSize,
+    y: ((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2) * worldSize,
+  };
+}
+
+/**
+ * Draw the chart on the background canvas (called from drawBackground)
+ * @param {Object} obj - The renderer
+ */
+function drawChart(obj) {
+  const layers = chartLayers();
+  const geometry = layers.length > 0 ? chartGeometry(obj) : null;
+  if (!geometry) {
+    drawn.delete(obj);
+    return;
+  }
+
+  const { own, mpp, zoom, scale, x, y } = geometry;
+  const up = getUpDirection(obj);
+  const n = 2 ** zoom;
+
+  // Tiles under the canvas: within its furthest corner from own ship, in tile pixels
+  const reach =
+    Math.hypot(
+      Math.max(obj.center_x, obj.width - obj.center_x),
+      Math.max(obj.center_y, obj.height - obj.center_y)
+    ) / scale;
+  const x0 = Math.floor((x - reach) / TILE_SIZE);
+  const x1 = Math.floor((x + reach) / TILE_SIZE);
+  const y0 = Math.max(0, Math.floor((y - reach) / TILE_SIZE));
+  const y1 = Math.min(n - 1, Math.floor((y + reach) / TILE_SIZE));
+
+  const ctx = obj.background_ctx;
+  ctx.save();
+  ctx.globalAlpha = (settings.opacity / 100) * (isNightMode() ? 0.5 : 1);
+  ctx.translate(obj.center_x, obj.center_y);
+  ctx.rotate(-up);
+  ctx.scale(scale, scale);
+  // Tiles overlap by a screen pixel, against seams between scaled tiles
+  const size = TILE_SIZE + 1 / scale;
+  for (const template of layers) {
+    for (let ty = y0; ty <= y1; ty++) {
+      for (let tx = x0; tx <= x1; tx++) {
+        const img = tileImage(template, zoom, ((tx % n) + n) % n, ty);
+        if (img) ctx.drawImage(img, tx * TILE_SIZE - x, ty * TILE_SIZE - y, size, size);
+      }
+    }
+  }
+  ctx.restore();
+
+  drawn.set(obj, { lat: own.lat, lon: own.lon, up, mpp });
+}
+
+// Loaded image of a tile, or null while it loads (or failed to load)
+function tileImage(template, z, x, y) {
+  const url = template.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+  let tile = tiles.get(url);
+  if (tile) {
+    // Most recently used last
+    tiles.delete(url);
+    tiles.set(url, tile);
+    return tile.loaded ? tile.img : null;
+  }
+
+  const img = new Image();
+  tile = { img, loaded: false };
+  // Keeps the background canvas readable for snapshots (the tile servers allow CORS)
+  img.crossOrigin = "anonymous";
+  img.onload = () => {
+    tile.loaded = true;
+    requestRedraw();
+  };
+  img.onerror = () => console.warn("Chart tile failed to load:", url);
+  img.src = url;
+
+  tiles.set(url, tile);
+  if (tiles.size > MAX_CACHED_TILES) {
+    tiles.delete(tiles.keys().next().value);
+  }
+  return null;
+}
+
+// Redraw the backgrounds once for a batch of loaded tiles
+function requestRedraw() {
+  if (redrawRequested) return;
+  redrawRequested = true;
+  requestAnimationFrame(() => {
+    redrawRequested = false;
+    renderers.forEach((obj) => obj.redrawBackground());
+  });
+}
+
+/**
+ * Redraw the chart of a renderer when own ship moved or the display turned
+ * since it was last drawn (heading updates, position checks)
+ * @param {Object} obj - The renderer
+ */
+function updateChart(obj) {
+  if (!isChartEnabled() || !obj) return;
+
+  const last = drawn.get(obj);
+  const geometry = chartGeometry(obj);
+  if (!geometry) {
+    if (last) obj.redrawBackground();
+    return;
+  }
+  if (!last) {
+    obj.redrawBackground();
+    return;
+  }
+
+  const { own, mpp } = geometry;
+  const dx = (own.lon - last.lon) * METRES_PER_DEGREE * Math.cos((own.lat * Math.PI) / 180);
+  const dy = (own.lat - last.lat) * METRES_PER_DEGREE;
+  if (
+    Math.hypot(dx, dy) / mpp >= 1 ||
+    Math.abs(getUpDirection(obj) - last.up) > 0.002 ||
+    mpp !== last.mpp
+  ) {
+    obj.redrawBackground();
+  }
+}
@@ -5,1175 +5,1526 @@
  * No hardcoded controls - everything is generated from the capability manifest.
  *
  * UI Design: Touch-friendly with sliders and buttons only (no dropdowns).
+ *
+ * Each radar_control holds the state of one radar (id, capabilities, state,
+ * range) and builds its panel in the elements with its id prefix: "myr_"
+ * for viewer.html and control.html (myr_title, myr_controls, myr_error),
+ * "myr_2_" for the second radar of split.html. mainControl is the first
+ * panel; the module functions act on it.
+ *
+ * Control changes (also those made on other displays) are pushed by the
+ * server over a WebSocket where it has one, see getControlStreamUrl(). The
+ * state is polled until that socket delivers control changes and while it
+ * is down; a server without the stream is detected on the first attempt and
+ * then only polled.
  */
 
-export { loadRadar, registerRadarCallback, registerControlCallback, setCurrentRange, getPowerState, getOperatingHours, hasHoursCapability, isPlaybackMode };
+export { radar_control, mainControl, loadRadar, registerRadarCallback, registerControlCallback, setCurrentRange, getPowerState, getOperatingHours, hasHoursCapability, isPlaybackMode };
 
 import van from "./van-1.5.2.js";
-import { fetchRadarIds, fetchCapabilities, fetchState, setControl, detectMode, isStandaloneMode, saveInstallationSetting, isPlaybackRadar } from "./api.js";
+import { fetchRadarIds, fetchCapabilities, fetchState, setControl, detectMode, isStandaloneMode, saveInstallationSetting, isPlaybackRadar, getControlStreamUrl } from "./api.js";
+import { formatRangeValue, is_metric } from "./units.js";
+import { buildPresetsSection } from "./presets.js";
+import { initKeyboard } from "./keyboard.js";
 
 const { div, label, input, button, span } = van.tags;
 
-// State
-let radarId = null;
-let capabilities = null;
-let radarState = null;
-let statePollingInterval = null;
-let callbacks = [];
-let controlCallbacks = [];
-let playbackMode = false; // True when viewing a playback radar (controls disabled)
-
-// Current range (for viewer.js integration)
-let currentRange = 1852;
-let lastRangeUpdateTime = 0;
-let rangeUpdateCount = {};  // Track how often each range value is seen
-let userRequestedRangeIndex = -1;  // Track user's position in range table
-let rangeFromSpokeData = false;  // True once we've received range from spoke data
-
-// Track pending control changes to prevent polling from overwriting user input
-// Maps controlId -> { value, timestamp }
-let pendingControls = {};
-
-function registerRadarCallback(callback) {
-  callbacks.push(callback);
-}
-
-function registerControlCallback(callback) {
-  controlCallbacks.push(callback);
-}
-
-// Called from viewer.js when spoke data contains range
-// Uses majority voting to prevent flickering from mixed range values during transitions
-function setCurrentRange(meters) {
-  if (meters <= 0) return;
-
-  const now = Date.now();
-
-  // Reset counts if more than 2 seconds since last update
-  if (now - lastRangeUpdateTime > 2000) {
-    rangeUpdateCount = {};
+const MAX_POLL_INTERVAL = 30000; // Max 30s between polls on repeated failures
+const BASE_POLL_INTERVAL = 2000; // Normal 2s polling
+const CONTROL_TIMEOUT = 5000; // Rollback of control changes the server has not answered within 5s
+const APPLY_TIME = 5000; // Time the radar has to report an accepted change; other values reported later stand
+
+class radar_control {
+  /**
+   * @param {string} [prefix="myr_"] - Prefix of the ids of the panel elements
+   */
+  constructor(prefix = "myr_") {
+    this.prefix = prefix;
+
+    // State
+    this.radarId = null;
+    this.capabilities = null;
+    this.radarState = null;
+    this.statePollingInterval = null;
+    this.pollFailCount = 0;
+    this.stateSocket = null; // WebSocket pushing control changes
+    this.stateStreamLive = false; // Control changes arrive over the socket, no polling
+    this.stateStreamMissing = false; // The server has no control stream: poll only
+    this.stateSocketRetry = 0; // Delay before the next reconnect, in ms
+    this.stateSocketTimer = null;
+    this.callbacks = [];
+    this.controlCallbacks = [];
+    this.stateCallbacks = []; // Called after the state or range shown in the panel changed
+    this.playbackMode = false; // True when viewing a playback radar (controls disabled)
+
+    // Current range (for viewer.js integration)
+    this.currentRange = 1852;
+    this.lastRangeUpdateTime = 0;
+    this.rangeUpdateCount = {};  // Track how often each range value is seen
+    this.userRequestedRangeIndex = -1;  // Track user's position in range table
+    this.rangeFromSpokeData = false;  // True once we've received range from spoke data
+
+    // Track pending control changes to prevent polling from overwriting user input
+    // Maps controlId -> { value, timestamp, confirmed, timer, notified, acceptedAt },
+    // where confirmed is the last value reported by the server, to roll back to,
+    // and acceptedAt the time the server accepted the change
+    this.pendingControls = {};
   }
-  lastRangeUpdateTime = now;
-
-  // Count this range value
-  rangeUpdateCount[meters] = (rangeUpdateCount[meters] || 0) + 1;
-
-  // Find the most common range value (need at least 5 samples)
-  let maxCount = 0;
-  let dominantRange = currentRange;
-  for (const [range, count] of Object.entries(rangeUpdateCount)) {
-    if (count > maxCount) {
-      maxCount = count;
-      dominantRange = parseInt(range);
-    }
+
+  // Element of this panel, by id without the prefix
+  #el(id) {
+    return document.getElementById(this.prefix + id);
   }
 
-  // Only update if we have a clear majority (5+ samples) and it's different
-  if (maxCount >= 5 && dominantRange !== currentRange) {
-    currentRange = dominantRange;
-    rangeFromSpokeData = true;  // Mark that we have real range from radar
-    // Also update userRequestedRangeIndex to match spoke data
-    const ranges = capabilities?.characteristics?.supportedRanges || [];
-    const newIndex = ranges.findIndex(r => Math.abs(r - dominantRange) < 50);
-    if (newIndex >= 0) {
-      userRequestedRangeIndex = newIndex;
-    }
-    rangeUpdateCount = {};  // Reset after accepting new range
-    updateRangeDisplay();
+  registerRadarCallback(callback) {
+    this.callbacks.push(callback);
   }
-}
 
-// ============================================================================
-// UI Building from Capabilities
-// ============================================================================
+  registerControlCallback(callback) {
+    this.controlCallbacks.push(callback);
+  }
 
-/**
- * Build the entire control panel from capabilities
- */
-function buildControlsFromCapabilities() {
-  const titleEl = document.getElementById("myr_title");
-  const controlsEl = document.getElementById("myr_controls");
-
-  if (!capabilities || !controlsEl) return;
-
-  // Set title
-  if (titleEl) {
-    titleEl.innerHTML = "";
-    const titleText = `${capabilities.make || ''} ${capabilities.model || ''} Controls`;
-    if (playbackMode) {
-      van.add(titleEl, div({ class: "myr_title_with_badge" },
-        span(titleText),
-        span({ class: "myr_playback_badge" }, "PLAYBACK")
-      ));
-    } else {
-      van.add(titleEl, div(titleText));
-    }
+  // Changes reported by the radar or other displays, and the range from the spokes
+  registerStateCallback(callback) {
+    this.stateCallbacks.push(callback);
   }
 
-  // Clear controls
-  controlsEl.innerHTML = "";
+  // Called from viewer.js when spoke data contains range
+  // Uses majority voting to prevent flickering from mixed range values during transitions
+  setCurrentRange(meters) {
+    if (meters <= 0) return;
 
-  // Build radar info header showing model, serial, firmware, etc.
-  const infoItems = [];
-  if (capabilities.model) {
-    infoItems.push({ label: "Model", value: capabilities.model });
-  }
-  if (capabilities.serialNumber) {
-    infoItems.push({ label: "Serial", value: capabilities.serialNumber });
-  }
-  if (capabilities.firmwareVersion) {
-    infoItems.push({ label: "Firmware", value: capabilities.firmwareVersion });
-  }
-  if (capabilities.characteristics?.maxRange) {
-    const maxNm = (capabilities.characteristics.maxRange / 1852).toFixed(0);
-    infoItems.push({ label: "Max Range", value: `${maxNm} nm` });
-  }
-  if (capabilities.characteristics?.hasDoppler) {
-    infoItems.push({ label: "Doppler", value: "Yes" });
-  }
+    const now = Date.now();
 
-  if (infoItems.length > 0) {
-    const infoHeader = div({ class: "myr_radar_info_header" },
-      ...infoItems.map(item =>
-        div({ class: "myr_radar_info_item" },
-          span({ class: "myr_info_label" }, item.label + ":"),
-          span({ class: "myr_info_value" }, item.value)
-        )
-      )
-    );
-    van.add(controlsEl, infoHeader);
-  }
+    // Reset counts if more than 2 seconds since last update
+    if (now - this.lastRangeUpdateTime > 2000) {
+      this.rangeUpdateCount = {};
+    }
+    this.lastRangeUpdateTime = now;
+
+    // Count this range value
+    this.rangeUpdateCount[meters] = (this.rangeUpdateCount[meters] || 0) + 1;
+
+    // Find the most common range value (need at least 5 samples)
+    let maxCount = 0;
+    let dominantRange = this.currentRange;
+    for (const [range, count] of Object.entries(this.rangeUpdateCount)) {
+      if (count > maxCount) {
+        maxCount = count;
+        dominantRange = parseInt(range);
+      }
+    }
 
-  // Group controls by category
-  const baseControls = [];
-  const extendedControls = [];
-  const configControls = [];
-  const infoControls = [];
-
-  for (const control of capabilities.controls || []) {
-    if (control.readOnly) {
-      infoControls.push(control);
-    } else if (control.category === 'installation') {
-      configControls.push(control);
-    } else if (control.category === 'extended') {
-      extendedControls.push(control);
-    } else {
-      baseControls.push(control);
+    // Only update if we have a clear majority (5+ samples) and it's different
+    if (maxCount >= 5 && dominantRange !== this.currentRange) {
+      this.currentRange = dominantRange;
+      this.rangeFromSpokeData = true;  // Mark that we have real range from radar
+      // Also update userRequestedRangeIndex to match spoke data
+      const ranges = this.capabilities?.characteristics?.supportedRanges || [];
+      const newIndex = ranges.findIndex(r => Math.abs(r - dominantRange) < 50);
+      if (newIndex >= 0) {
+        this.userRequestedRangeIndex = newIndex;
+      }
+      this.rangeUpdateCount = {};  // Reset after accepting new range
+      this.updateRangeDisplay();
     }
   }
 
-  // Build base controls (power, range, gain, sea, rain)
-  if (baseControls.length > 0) {
-    const baseSection = div({ class: "myr_control_section" });
+  // ==========================================================================
+  // UI Building from Capabilities
+  // ==========================================================================
+
+  /**
+   * Build the entire control panel from capabilities
+   */
+  #buildControlsFromCapabilities() {
+    const capabilities = this.capabilities;
+    const titleEl = this.#el("title");
+    const controlsEl = this.#el("controls");
+
+    if (!capabilities || !controlsEl) return;
+
+    // Set title
+    if (titleEl) {
+      titleEl.innerHTML = "";
+      const titleText = `${capabilities.make || ''} ${capabilities.model || ''} Controls`;
+      if (this.playbackMode) {
+        van.add(titleEl, div({ class: "myr_title_with_badge" },
+          span(titleText),
+          span({ class: "myr_playback_badge" }, "PLAYBACK")
+        ));
+      } else {
+        van.add(titleEl, div(titleText));
+      }
+    }
+
+    // Clear controls
+    controlsEl.innerHTML = "";
 
-    // Power control first (special handling)
-    const powerControl = baseControls.find(c => c.id === 'power');
-    if (powerControl) {
-      van.add(baseSection, buildPowerControl(powerControl));
+    // Build radar info header showing model, serial, firmware, etc.
+    const infoItems = [];
+    if (capabilities.model) {
+      infoItems.push({ label: "Model", value: capabilities.model });
+    }
+    if (capabilities.serialNumber) {
+      infoItems.push({ label: "Serial", value: capabilities.serialNumber });
+    }
+    if (capabilities.firmwareVersion) {
+      infoItems.push({ label: "Firmware", value: capabilities.firmwareVersion });
+    }
+    if (capabilities.characteristics?.maxRange) {
+      const maxNm = (capabilities.characteristics.maxRange / 1852).toFixed(0);
+      infoItems.push({ label: "Max Range", value: `${maxNm} nm` });
+    }
+    if (capabilities.characteristics?.hasDoppler) {
+      infoItems.push({ label: "Doppler", value: "Yes" });
     }
 
-    // Range control (special handling with +/- buttons)
-    const rangeControl = baseControls.find(c => c.id === 'range');
-    if (rangeControl) {
-      van.add(baseSection, buildRangeControl(rangeControl));
+    if (infoItems.length > 0) {
+      const infoHeader = div({ class: "myr_radar_info_header" },
+        ...infoItems.map(item =>
+          div({ class: "myr_radar_info_item" },
+            span({ class: "myr_info_label" }, item.label + ":"),
+            span({ class: "myr_info_value" }, item.value)
+          )
+        )
+      );
+      van.add(controlsEl, infoHeader);
     }
 
-    // Other base controls
-    for (const control of baseControls) {
-      if (control.id !== 'power' && control.id !== 'range') {
-        van.add(baseSection, buildControl(control));
+    // Group controls by category
+    const baseControls = [];
+    const extendedControls = [];
+    const configControls = [];
+    const infoControls = [];
+
+    for (const control of capabilities.controls || []) {
+      if (control.readOnly) {
+        infoControls.push(control);
+      } else if (control.category === 'installation') {
+        configControls.push(control);
+      } else if (control.category === 'extended') {
+        extendedControls.push(control);
+      } else {
+        baseControls.push(control);
       }
     }
 
-    van.add(controlsEl, baseSection);
-  }
+    // Build base controls (power, range, gain, sea, rain)
+    if (baseControls.length > 0) {
+      const baseSection = div({ class: "myr_control_section" });
 
-  // Build extended controls in a collapsible section
-  if (extendedControls.length > 0) {
-    const extSection = div({ class: "myr_control_section myr_extended_section" },
-      div({ class: "myr_section_header" }, "Advanced Controls")
-    );
+      // Power control first (special handling)
+      const powerControl = baseControls.find(c => c.id === 'power');
+      if (powerControl) {
+        van.add(baseSection, this.#buildPowerControl(powerControl));
+      }
+
+      // Range control (special handling with +/- buttons)
+      const rangeControl = baseControls.find(c => c.id === 'range');
+      if (rangeControl) {
+        van.add(baseSection, this.#buildRangeControl(rangeControl));
+      }
 
-    for (const control of extendedControls) {
-      van.add(extSection, buildControl(control));
+      // Other base controls
+      for (const control of baseControls) {
+        if (control.id !== 'power' && control.id !== 'range') {
+          van.add(baseSection, this.#buildControl(control));
+        }
+      }
+
+      van.add(controlsEl, baseSection);
     }
 
-    van.add(controlsEl, extSection);
-  }
+    // Presets of the base and extended controls (not for playback)
+    if (!this.playbackMode && baseControls.length + extendedControls.length > 0) {
+      van.add(controlsEl, buildPresetsSection(this));
+    }
 
-  // Build installation controls (config settings - rarely changed)
-  if (configControls.length > 0) {
-    const configSection = div({ class: "myr_control_section myr_installation_section" },
-      div({ class: "myr_section_header" }, "Installation")
-    );
+    // Build extended controls in a collapsible section
+    if (extendedControls.length > 0) {
+      const extSection = div({ class: "myr_control_section myr_extended_section" },
+        div({ class: "myr_section_header" }, "Advanced Controls")
+      );
 
-    for (const control of configControls) {
-      van.add(configSection, buildControl(control));
+      for (const control of extendedControls) {
+        van.add(extSection, this.#buildControl(control));
+      }
+
+      van.add(controlsEl, extSection);
     }
 
-    van.add(controlsEl, configSection);
-  }
+    // Build installation controls (config settings - rarely changed)
+    if (configControls.length > 0) {
+      const configSection = div({ class: "myr_control_section myr_installation_section" },
+        div({ class: "myr_section_header" }, "Installation")
+      );
 
-  // Build info controls (read-only)
-  if (infoControls.length > 0) {
-    const infoSection = div({ class: "myr_control_section myr_info_section" },
-      div({ class: "myr_section_header" }, "Radar Information")
-    );
+      for (const control of configControls) {
+        van.add(configSection, this.#buildControl(control));
+      }
 
-    for (const control of infoControls) {
-      van.add(infoSection, buildInfoControl(control));
+      van.add(controlsEl, configSection);
     }
 
-    van.add(controlsEl, infoSection);
-  }
+    // Build info controls (read-only)
+    if (infoControls.length > 0) {
+      const infoSection = div({ class: "myr_control_section myr_info_section" },
+        div({ class: "myr_section_header" }, "Radar Information")
+      );
 
-  // Apply initial state
-  if (radarState) {
-    applyStateToUI(radarState);
-  }
-}
+      for (const control of infoControls) {
+        van.add(infoSection, this.#buildInfoControl(control));
+      }
 
-/**
- * Build a control widget based on its type and schema
- */
-function buildControl(control) {
-  // Special case for dopplerMode - needs custom UI (enabled toggle + mode selector)
-  if (control.id === 'dopplerMode') {
-    return buildDopplerModeControl(control);
-  }
+      van.add(controlsEl, infoSection);
+    }
 
-  // Special case for noTransmitZones - needs custom UI (2 zone editors)
-  if (control.id === 'noTransmitZones') {
-    return buildNoTransmitZonesControl(control);
+    // Apply initial state
+    if (this.radarState) {
+      this.#applyStateToUI(this.radarState);
+    }
   }
 
-  switch (control.type) {
-    case 'boolean':
-      return buildBooleanControl(control);
-    case 'number':
-      return buildNumberControl(control);
-    case 'enum':
-      return buildEnumControl(control);
-    case 'compound':
-      return buildCompoundControl(control);
-    default:
-      console.warn(`Unknown control type: ${control.type} for ${control.id}`);
-      return div();
-  }
-}
+  /**
+   * Build a control widget based on its type and schema
+   */
+  #buildControl(control) {
+    // Special case for dopplerMode - needs custom UI (enabled toggle + mode selector)
+    if (control.id === 'dopplerMode') {
+      const widget = this.#buildDopplerModeControl(control);
+      widget.setAttribute("data-control-id", control.id);
+      return widget;
+    }
 
-/**
- * Power control - special Transmit/Standby buttons
- */
-function buildPowerControl(control) {
-  const currentValue = getControlValue('power') || 'standby';
-
-  return div({ class: "myr_power_buttons" },
-    button({
-      type: "button",
-      class: `myr_power_button myr_power_button_transmit ${currentValue === 'transmit' ? 'myr_power_active' : ''}`,
-      onclick: () => sendControlValue('power', 'transmit'),
-    }, "Transmit"),
-    button({
-      type: "button",
-      class: `myr_power_button myr_power_button_standby ${currentValue === 'standby' ? 'myr_power_active' : ''}`,
-      onclick: () => sendControlValue('power', 'standby'),
-    }, "Standby")
-  );
-}
+    // Special case for noTransmitZones - needs custom UI (2 zone editors)
+    if (control.id === 'noTransmitZones') {
+      const widget = this.#buildNoTransmitZonesControl(control);
+      widget.setAttribute("data-control-id", control.id);
+      return widget;
+    }
 
-/**
- * Range control - +/- buttons with display
- */
-function buildRangeControl(control) {
-  // Get supported ranges from characteristics
-  const ranges = capabilities.characteristics?.supportedRanges || [];
-
-  return div({ class: "myr_range_buttons" },
-    button({
-      type: "button",
-      class: "myr_range_button",
-      onclick: () => changeRange(-1),
-    }, "Range -"),
-    button({
-      type: "button",
-      class: "myr_range_button",
-      onclick: () => changeRange(1),
-    }, "Range +")
-  );
-}
+    let widget;
+    switch (control.type) {
+      case 'boolean':
+        widget = this.#buildBooleanControl(control);
+        break;
+      case 'number':
+        widget = this.#buildNumberControl(control);
+        break;
+      case 'enum':
+        widget = this.#buildEnumControl(control);
+        break;
+      case 'compound':
+        widget = this.#buildCompoundControl(control);
+        break;
+      default:
+        console.warn(`Unknown control type: ${control.type} for ${control.id}`);
+        return div();
+    }
+    // Found by #setPendingIndicator()
+    widget.setAttribute("data-control-id", control.id);
+    return widget;
+  }
 
-/**
- * Boolean control - toggle button
- */
-function buildBooleanControl(control) {
-  const currentValue = getControlValue(control.id) || control.default || false;
-
-  return div({ class: "myr_control myr_boolean_control" },
-    span({ class: "myr_control_label" }, control.name),
-    button({
-      type: "button",
-      id: `myr_${control.id}`,
-      class: `myr_toggle_button ${currentValue ? 'myr_toggle_active' : ''}`,
-      onclick: (e) => {
-        const isActive = e.target.classList.contains('myr_toggle_active');
-        sendControlValue(control.id, !isActive);
-      },
-    }, currentValue ? "On" : "Off")
-  );
-}
+  /**
+   * Power control - special Transmit/Standby buttons
+   */
+  #buildPowerControl(control) {
+    const currentValue = this.#getControlValue('power') || 'standby';
 
-/**
- * Number control - slider
- */
-function buildNumberControl(control) {
-  const range = control.range || { min: 0, max: 100 };
-  let currentValue = getControlValue(control.id);
+    return div({ class: "myr_power_buttons", "data-control-id": "power" },
+      button({
+        type: "button",
+        class: `myr_power_button myr_power_button_transmit ${currentValue === 'transmit' ? 'myr_power_active' : ''}`,
+        onclick: () => this.sendControlValue('power', 'transmit'),
+      }, "Transmit"),
+      button({
+        type: "button",
+        class: `myr_power_button myr_power_button_standby ${currentValue === 'standby' ? 'myr_power_active' : ''}`,
+        onclick: () => this.sendControlValue('power', 'standby'),
+      }, "Standby")
+    );
+  }
 
-  // Handle compound values (objects with mode/value)
-  if (typeof currentValue === 'object' && currentValue !== null) {
-    currentValue = currentValue.value;
+  /**
+   * Range control - +/- buttons with display
+   */
+  #buildRangeControl(control) {
+    return div({ class: "myr_range_buttons", "data-control-id": "range" },
+      button({
+        type: "button",
+        class: "myr_range_button",
+        onclick: () => this.changeRange(-1),
+      }, "Range -"),
+      button({
+        type: "button",
+        class: "myr_range_button",
+        onclick: () => this.changeRange(1),
+      }, "Range +")
+    );
   }
 
-  const value = currentValue !== undefined ? currentValue : (control.default || range.min);
+  /**
+   * Boolean control - toggle button
+   */
+  #buildBooleanControl(control) {
+    const currentValue = this.#getControlValue(control.id) || control.default || false;
 
-  return div({ class: "myr_control myr_number_control" },
-    div({ class: "myr_control_header" },
+    return div({ class: "myr_control myr_boolean_control" },
       span({ class: "myr_control_label" }, control.name),
-      span({ id: `myr_${control.id}_value`, class: "myr_control_value" },
-        formatNumberValue(value, control))
-    ),
-    input({
-      type: "range",
-      id: `myr_${control.id}`,
-      class: "myr_slider",
-      min: range.min,
-      max: range.max,
-      step: range.step || 1,
-      value: value,
-      oninput: (e) => {
-        // Update display while dragging
-        const valEl = document.getElementById(`myr_${control.id}_value`);
-        if (valEl) {
-          valEl.textContent = formatNumberValue(parseInt(e.target.value), control);
-        }
-      },
-      onchange: (e) => {
-        sendControlValue(control.id, parseInt(e.target.value));
-      },
-    })
-  );
-}
-
-/**
- * Enum control - row of buttons (no dropdown per user request)
- */
-function buildEnumControl(control) {
-  const values = control.values || [];
-  const currentValue = getControlValue(control.id) ?? control.default;
-
-  return div({ class: "myr_control myr_enum_control" },
-    span({ class: "myr_control_label" }, control.name),
-    div({ class: "myr_button_group", id: `myr_${control.id}_group` },
-      ...values.map(v => {
-        // Compare as strings to handle number/string type differences
-        const isActive = String(v.value) === String(currentValue);
-        return button({
-          type: "button",
-          class: `myr_enum_button ${isActive ? 'myr_enum_active' : ''}`,
-          "data-value": v.value,
-          onclick: () => sendControlValue(control.id, v.value),
-        }, v.label || v.value);
-      })
-    )
-  );
-}
+      button({
+        type: "button",
+        id: `${this.prefix}${control.id}`,
+        class: `myr_toggle_button ${currentValue ? 'myr_toggle_active' : ''}`,
+        onclick: (e) => {
+          const isActive = e.target.classList.contains('myr_toggle_active');
+          this.sendControlValue(control.id, !isActive);
+        },
+      }, currentValue ? "On" : "Off")
+    );
+  }
 
-/**
- * Compound control - mode selector + value slider (e.g., gain with auto/manual)
- */
-function buildCompoundControl(control) {
-  const modes = control.modes || ['auto', 'manual'];
-  const currentState = getControlValue(control.id) || {};
-  const currentMode = currentState.mode || control.defaultMode || modes[0];
-  const currentValue = currentState.value !== undefined ? currentState.value : 50;
+  /**
+   * Number control - slider
+   */
+  #buildNumberControl(control) {
+    const range = control.range || { min: 0, max: 100 };
+    let currentValue = this.#getControlValue(control.id);
 
-  // Get value range from properties
-  const valueProps = control.properties?.value || {};
-  const range = valueProps.range || { min: 0, max: 100 };
+    // Handle compound values (objects with mode/value)
+    if (typeof currentValue === 'object' && currentValue !== null) {
+      currentValue = currentValue.value;
+    }
 
-  const isAuto = currentMode === 'auto';
+    const value = currentValue !== undefined ? currentValue : (control.default || range.min);
 
-  return div({ class: "myr_control myr_compound_control", id: `myr_${control.id}_compound` },
-    div({ class: "myr_compound_header" },
-      span({ class: "myr_control_label" }, control.name),
-      span({ id: `myr_${control.id}_value`, class: "myr_control_value" },
-        isAuto ? "Auto" : currentValue)
-    ),
-    div({ class: "myr_compound_body" },
-      // Mode buttons
-      div({ class: "myr_mode_buttons" },
-        ...modes.map(mode =>
-          button({
-            type: "button",
-            class: `myr_mode_button ${mode === currentMode ? 'myr_mode_active' : ''}`,
-            "data-mode": mode,
-            onclick: () => {
-              const slider = document.getElementById(`myr_${control.id}_slider`);
-              const value = slider ? parseInt(slider.value) : currentValue;
-              sendControlValue(control.id, { mode, value });
-            },
-          }, mode.charAt(0).toUpperCase() + mode.slice(1))
-        )
+    return div({ class: "myr_control myr_number_control" },
+      div({ class: "myr_control_header" },
+        span({ class: "myr_control_label" }, control.name),
+        span({ id: `${this.prefix}${control.id}_value`, class: "myr_control_value" },
+          formatNumberValue(value, control))
       ),
-      // Value slider (disabled when auto)
       input({
         type: "range",
-        id: `myr_${control.id}_slider`,
-        class: "myr_slider myr_compound_slider",
+        id: `${this.prefix}${control.id}`,
+        class: "myr_slider",
         min: range.min,
         max: range.max,
         step: range.step || 1,
-        value: currentValue,
-        disabled: isAuto,
+        value: value,
         oninput: (e) => {
-          const valEl = document.getElementById(`myr_${control.id}_value`);
-          // Check current mode dynamically, not the captured isAuto
-          const modeEl = document.querySelector(`#myr_${control.id}_compound .myr_mode_active`);
-          const currentMode = modeEl?.dataset.mode || 'auto';
-          if (valEl && currentMode !== 'auto') {
-            valEl.textContent = e.target.value;
+          // Update display while dragging
+          const valEl = this.#el(`${control.id}_value`);
+          if (valEl) {
+            valEl.textContent = formatNumberValue(parseInt(e.target.value), control);
           }
         },
         onchange: (e) => {
-          // Check current mode dynamically
-          const modeEl = document.querySelector(`#myr_${control.id}_compound .myr_mode_active`);
-          const mode = modeEl?.dataset.mode || 'manual';
-          if (mode !== 'auto') {
-            sendControlValue(control.id, { mode, value: parseInt(e.target.value) });
-          }
+          this.sendControlValue(control.id, parseInt(e.target.value));
         },
       })
-    )
-  );
-}
-
-/**
- * Doppler Mode control - 3 buttons: Off | Target | Rain
- * Furuno Target Analyzer: { enabled: bool, mode: "target" | "rain" }
- */
-function buildDopplerModeControl(control) {
-  const currentState = getControlValue(control.id) || { enabled: false, mode: 'target' };
-  const enabled = currentState.enabled || false;
-  const mode = currentState.mode || 'target';
-
-  // Determine which button is active: off, target, or rain
-  const activeBtn = !enabled ? 'off' : mode;
-
-  return div({ class: "myr_control", id: `myr_${control.id}_compound` },
-    span({ class: "myr_control_label" }, control.name),
-    div({ class: "myr_mode_buttons myr_mode_buttons_3" },
-      button({
-        type: "button",
-        class: `myr_mode_button ${activeBtn === 'off' ? 'myr_mode_active' : ''}`,
-        "data-value": "off",
-        onclick: () => sendControlValue(control.id, { enabled: false, mode: 'target' }),
-      }, "Off"),
-      button({
-        type: "button",
-        class: `myr_mode_button ${activeBtn === 'target' ? 'myr_mode_active' : ''}`,
-        "data-value": "target",
-        onclick: () => sendControlValue(control.id, { enabled: true, mode: 'target' }),
-      }, "Target"),
-      button({
-        type: "button",
-        class: `myr_mode_button ${activeBtn === 'rain' ? 'myr_mode_active' : ''}`,
-        "data-value": "rain",
-        onclick: () => sendControlValue(control.id, { enabled: true, mode: 'rain' }),
-      }, "Rain")
-    )
-  );
-}
-
-/**
- * No-Transmit Zones control - 2 zone editors with enabled/start/end
- * Server uses individual controls: noTransmitStart1/End1/Start2/End2
- * Value of -1 means zone is disabled
- */
-function buildNoTransmitZonesControl(control) {
-  // Read from individual controls (server uses flat model)
-  // -1 means zone is disabled
-  const z1Start = getControlValue('noTransmitStart1') ?? -1;
-  const z1End = getControlValue('noTransmitEnd1') ?? -1;
-  const z2Start = getControlValue('noTransmitStart2') ?? -1;
-  const z2End = getControlValue('noTransmitEnd2') ?? -1;
-
-  // -1 means disabled (value < 0)
-  const zone1 = {
-    enabled: z1Start >= 0 && z1End >= 0,
-    start: z1Start < 0 ? 0 : z1Start,
-    end: z1End < 0 ? 0 : z1End
-  };
-  const zone2 = {
-    enabled: z2Start >= 0 && z2End >= 0,
-    start: z2Start < 0 ? 0 : z2Start,
-    end: z2End < 0 ? 0 : z2End
-  };
-
-  // Read current zone values from DOM (to avoid stale closure values)
-  function getZoneFromDOM(zoneNum) {
-    const prefix = `myr_ntz_zone${zoneNum}`;
-    const enabledEl = document.getElementById(`${prefix}_enabled`);
-    const startEl = document.getElementById(`${prefix}_start`);
-    const endEl = document.getElementById(`${prefix}_end`);
-    return {
-      enabled: enabledEl?.checked || false,
-      start: parseInt(startEl?.value) || 0,
-      end: parseInt(endEl?.value) || 0
-    };
+    );
   }
 
-  function sendCurrentZones() {
-    const z1 = getZoneFromDOM(1);
-    const z2 = getZoneFromDOM(2);
-    console.log('NTZ: Sending zones:', { z1, z2 });
-
-    // Send individual control values (server has noTransmitStart1/End1/Start2/End2)
-    // When zone is disabled, send -1 for both angles (server convention for disabled)
-    const z1Start = z1.enabled ? z1.start : -1;
-    const z1End = z1.enabled ? z1.end : -1;
-    const z2Start = z2.enabled ? z2.start : -1;
-    const z2End = z2.enabled ? z2.end : -1;
-
-    // Send all four controls using sendControlValue to get pending tracking
-    sendControlValue('noTransmitStart1', z1Start);
-    sendControlValue('noTransmitEnd1', z1End);
-    sendControlValue('noTransmitStart2', z2Start);
-    sendControlValue('noTransmitEnd2', z2End);
-  }
+  /**
+   * Enum control - row of buttons (no dropdown per user request)
+   */
+  #buildEnumControl(control) {
+    const values = control.values || [];
+    const currentValue = this.#getControlValue(control.id) ?? control.default;
 
-  function buildZoneEditor(zoneNum, zone) {
-    const prefix = `myr_ntz_zone${zoneNum}`;
-
-    // Handler for checkbox change - enable/disable inputs and send
-    function onEnabledChange(e) {
-      const enabled = e.target.checked;
-      const startEl = document.getElementById(`${prefix}_start`);
-      const endEl = document.getElementById(`${prefix}_end`);
-      if (startEl) startEl.disabled = !enabled;
-      if (endEl) endEl.disabled = !enabled;
-      sendCurrentZones();
-    }
+    return div({ class: "myr_control myr_enum_control" },
+      span({ class: "myr_control_label" }, control.name),
+      div({ class: "myr_button_group", id: `${this.prefix}${control.id}_group` },
+        ...values.map(v => {
+          // Compare as strings to handle number/string type differences
+          const isActive = String(v.value) === String(currentValue);
+          return button({
+            type: "button",
+            class: `myr_enum_button ${isActive ? 'myr_enum_active' : ''}`,
+            "data-value": v.value,
+            onclick: () => this.sendControlValue(control.id, v.value),
+          }, v.label || v.value);
+        })
+      )
+    );
+  }
 
-    return div({ class: "myr_ntz_zone" },
-      div({ class: "myr_ntz_zone_header" },
-        label({ class: "myr_checkbox_label" },
-          input({
-            type: "checkbox",
-            id: `${prefix}_enabled`,
-            checked: zone.enabled,
-            onchange: onEnabledChange
-          }),
-          ` Zone ${zoneNum}`
-        )
+  /**
+   * Compound control - mode selector + value slider (e.g., gain with auto/manual)
+   */
+  #buildCompoundControl(control) {
+    const modes = control.modes || ['auto', 'manual'];
+    const currentState = this.#getControlValue(control.id) || {};
+    const currentMode = currentState.mode || control.defaultMode || modes[0];
+    const currentValue = currentState.value !== undefined ? currentState.value : 50;
+
+    // Get value range from properties
+    const valueProps = control.properties?.value || {};
+    const range = valueProps.range || { min: 0, max: 100 };
+
+    const isAuto = currentMode === 'auto';
+
+    return div({ class: "myr_control myr_compound_control", id: `${this.prefix}${control.id}_compound` },
+      div({ class: "myr_compound_header" },
+        span({ class: "myr_control_label" }, control.name),
+        span({ id: `${this.prefix}${control.id}_value`, class: "myr_control_value" },
+          isAuto ? "Auto" : currentValue)
       ),
-      div({ class: "myr_ntz_angles" },
-        div({ class: "myr_ntz_angle" },
-          label({ for: `${prefix}_start` }, "Start°"),
-          input({
-            type: "number",
-            id: `${prefix}_start`,
-            min: 0,
-            max: 359,
-            value: zone.start,
-            disabled: !zone.enabled,
-            onchange: () => sendCurrentZones()
-          })
+      div({ class: "myr_compound_body" },
+        // Mode buttons
+        div({ class: "myr_mode_buttons" },
+          ...modes.map(mode =>
+            button({
+              type: "button",
+              class: `myr_mode_button ${mode === currentMode ? 'myr_mode_active' : ''}`,
+              "data-mode": mode,
+              onclick: () => {
+                const slider = this.#el(`${control.id}_slider`);
+                const value = slider ? parseInt(slider.value) : currentValue;
+                this.sendControlValue(control.id, { mode, value });
+              },
+            }, mode.charAt(0).toUpperCase() + mode.slice(1))
+          )
         ),
-        div({ class: "myr_ntz_angle" },
-          label({ for: `${prefix}_end` }, "End°"),
-          input({
-            type: "number",
-            id: `${prefix}_end`,
-            min: 0,
-            max: 359,
-            value: zone.end,
-            disabled: !zone.enabled,
-            onchange: () => sendCurrentZones()
-          })
-        )
+        // Value slider (disabled when auto)
+        input({
+          type: "range",
+          id: `${this.prefix}${control.id}_slider`,
+          class: "myr_slider myr_compound_slider",
+          min: range.min,
+          max: range.max,
+          step: range.step || 1,
+          value: currentValue,
+          disabled: isAuto,
+          oninput: (e) => {
+            const valEl = this.#el(`${control.id}_value`);
+            // Check current mode dynamically, not the captured isAuto
+            const modeEl = this.#el(`${control.id}_compound`)?.querySelector('.myr_mode_active');
+            const currentMode = modeEl?.dataset.mode || 'auto';
+            if (valEl && currentMode !== 'auto') {
+              valEl.textContent = e.target.value;
+            }
+          },
+          onchange: (e) => {
+            // Check current mode dynamically
+            const modeEl = this.#el(`${control.id}_compound`)?.querySelector('.myr_mode_active');
+            const mode = modeEl?.dataset.mode || 'manual';
+            if (mode !== 'auto') {
+              this.sendControlValue(control.id, { mode, value: parseInt(e.target.value) });
+            }
+          },
+        })
       )
     );
   }
 
-  return div({ class: "myr_control myr_ntz_control", id: `myr_${control.id}_compound` },
-    span({ class: "myr_control_label" }, control.name),
-    div({ class: "myr_ntz_zones" },
-      buildZoneEditor(1, zone1),
-      buildZoneEditor(2, zone2)
-    )
-  );
-}
+  /**
+   * Doppler Mode control - 3 buttons: Off | Target | Rain
+   * Furuno Target Analyzer: { enabled: bool, mode: "target" | "rain" }
+   */
+  #buildDopplerModeControl(control) {
+    const currentState = this.#getControlValue(control.id) || { enabled: false, mode: 'target' };
+    const enabled = currentState.enabled || false;
+    const mode = currentState.mode || 'target';
 
-/**
- * Read-only info control
- */
-function buildInfoControl(control) {
-  const value = getControlValue(control.id) || '-';
+    // Determine which button is active: off, target, or rain
+    const activeBtn = !enabled ? 'off' : mode;
 
-  return div({ class: "myr_control myr_info_control" },
-    span({ class: "myr_control_label" }, control.name),
-    span({ id: `myr_${control.id}`, class: "myr_info_value" }, formatInfoValue(value, control))
-  );
-}
+    return div({ class: "myr_control", id: `${this.prefix}${control.id}_compound` },
+      span({ class: "myr_control_label" }, control.name),
+      div({ class: "myr_mode_buttons myr_mode_buttons_3" },
+        button({
+          type: "button",
+          class: `myr_mode_button ${activeBtn === 'off' ? 'myr_mode_active' : ''}`,
+          "data-value": "off",
+          onclick: () => this.sendControlValue(control.id, { enabled: false, mode: 'target' }),
+        }, "Off"),
+        button({
+          type: "button",
+          class: `myr_mode_button ${activeBtn === 'target' ? 'myr_mode_active' : ''}`,
+          "data-value": "target",
+          onclick: () => this.sendControlValue(control.id, { enabled: true, mode: 'target' }),
+        }, "Target"),
+        button({
+          type: "button",
+          class: `myr_mode_button ${activeBtn === 'rain' ? 'myr_mode_active' : ''}`,
+          "data-value": "rain",
+          onclick: () => this.sendControlValue(control.id, { enabled: true, mode: 'rain' }),
+        }, "Rain")
+      )
+    );
+  }
 
-// ============================================================================
-// Control Value Helpers
-// ============================================================================
+  /**
+   * No-Transmit Zones control - 2 zone editors with enabled/start/end
+   * Server uses individual controls: noTransmitStart1/End1/Start2/End2
+   * Value of -1 means zone is disabled
+   */
+  #buildNoTransmitZonesControl(control) {
+    // Read from individual controls (server uses flat model)
+    // -1 means zone is disabled
+    const z1Start = this.#getControlValue('noTransmitStart1') ?? -1;
+    const z1End = this.#getControlValue('noTransmitEnd1') ?? -1;
+    const z2Start = this.#getControlValue('noTransmitStart2') ?? -1;
+    const z2End = this.#getControlValue('noTransmitEnd2') ?? -1;
+
+    // -1 means disabled (value < 0)
+    const zone1 = {
+      enabled: z1Start >= 0 && z1End >= 0,
+      start: z1Start < 0 ? 0 : z1Start,
+      end: z1End < 0 ? 0 : z1End
+    };
+    const zone2 = {
+      enabled: z2Start >= 0 && z2End >= 0,
+      start: z2Start < 0 ? 0 : z2Start,
+      end: z2End < 0 ? 0 : z2End
+    };
 
-function getControlValue(controlId) {
-  return radarState?.controls?.[controlId];
-}
+    // Read current zone values from DOM (to avoid stale closure values)
+    const getZoneFromDOM = (zoneNum) => {
+      const prefix = `ntz_zone${zoneNum}`;
+      const enabledEl = this.#el(`${prefix}_enabled`);
+      const startEl = this.#el(`${prefix}_start`);
+      const endEl = this.#el(`${prefix}_end`);
+      return {
+        enabled: enabledEl?.checked || false,
+        start: parseInt(startEl?.value) || 0,
+        end: parseInt(endEl?.value) || 0
+      };
+    };
 
-function formatNumberValue(value, control) {
-  // Handle compound values (objects with mode/value)
-  let numValue = value;
-  if (typeof value === 'object' && value !== null) {
-    if (value.mode === 'auto') {
-      return 'Auto';
-    }
-    numValue = value.value !== undefined ? value.value : 0;
-  }
+    const sendCurrentZones = () => {
+      const z1 = getZoneFromDOM(1);
+      const z2 = getZoneFromDOM(2);
+      console.log('NTZ: Sending zones:', { z1, z2 });
+
+      // Send individual control values (server has noTransmitStart1/End1/Start2/End2)
+      // When zone is disabled, send -1 for both angles (server convention for disabled)
+      const z1Start = z1.enabled ? z1.start : -1;
+      const z1End = z1.enabled ? z1.end : -1;
+      const z2Start = z2.enabled ? z2.start : -1;
+      const z2End = z2.enabled ? z2.end : -1;
+
+      // Send all four controls using sendControlValue to get pending tracking
+      this.sendControlValue('noTransmitStart1', z1Start);
+      this.sendControlValue('noTransmitEnd1', z1End);
+      this.sendControlValue('noTransmitStart2', z2Start);
+      this.sendControlValue('noTransmitEnd2', z2End);
+    };
 
-  const unit = control?.range?.unit || '';
-  if (unit === 'percent') {
-    return `${numValue}%`;
-  }
-  return unit ? `${numValue} ${unit}` : String(numValue);
-}
+    const buildZoneEditor = (zoneNum, zone) => {
+      const prefix = `ntz_zone${zoneNum}`;
+
+      // Handler for checkbox change - enable/disable inputs and send
+      const onEnabledChange = (e) => {
+        const enabled = e.target.checked;
+        const startEl = this.#el(`${prefix}_start`);
+        const endEl = this.#el(`${prefix}_end`);
+        if (startEl) startEl.disabled = !enabled;
+        if (endEl) endEl.disabled = !enabled;
+        sendCurrentZones();
+      };
+
+      return div({ class: "myr_ntz_zone" },
+        div({ class: "myr_ntz_zone_header" },
+          label({ class: "myr_checkbox_label" },
+            input({
+              type: "checkbox",
+              id: `${this.prefix}${prefix}_enabled`,
+              checked: zone.enabled,
+              onchange: onEnabledChange
+            }),
+            ` Zone ${zoneNum}`
+          )
+        ),
+        div({ class: "myr_ntz_angles" },
+          div({ class: "myr_ntz_angle" },
+            label({ for: `${this.prefix}${prefix}_start` }, "Start°"),
+            input({
+              type: "number",
+              id: `${this.prefix}${prefix}_start`,
+              min: 0,
+              max: 359,
+              value: zone.start,
+              disabled: !zone.enabled,
+              onchange: () => sendCurrentZones()
+            })
+          ),
+          div({ class: "myr_ntz_angle" },
+            label({ for: `${this.prefix}${prefix}_end` }, "End°"),
+            input({
+              type: "number",
+              id: `${this.prefix}${prefix}_end`,
+              min: 0,
+              max: 359,
+              value: zone.end,
+              disabled: !zone.enabled,
+              onchange: () => sendCurrentZones()
+            })
+          )
+        )
+      );
+    };
 
-function formatInfoValue(value, control) {
-  if (control.id === 'operatingHours' && typeof value === 'number') {
-    return `${value.toFixed(1)} hrs`;
+    return div({ class: "myr_control myr_ntz_control", id: `${this.prefix}${control.id}_compound` },
+      span({ class: "myr_control_label" }, control.name),
+      div({ class: "myr_ntz_zones" },
+        buildZoneEditor(1, zone1),
+        buildZoneEditor(2, zone2)
+      )
+    );
   }
-  return String(value);
-}
 
-function formatRange(meters) {
-  const nm = meters / 1852;
-  if (nm >= 1) {
-    if (nm === 1.5) return "1.5 nm";
-    return Math.round(nm) + " nm";
-  } else if (nm >= 0.7) {
-    return "3/4 nm";
-  } else if (nm >= 0.4) {
-    return "1/2 nm";
-  } else if (nm >= 0.2) {
-    return "1/4 nm";
-  } else if (nm >= 0.1) {
-    return "1/8 nm";
-  } else {
-    return "1/16 nm";
-  }
-}
+  /**
+   * Read-only info control
+   */
+  #buildInfoControl(control) {
+    const value = this.#getControlValue(control.id) || '-';
 
-function updateRangeDisplay() {
-  const display = document.getElementById("myr_range_display");
-  if (display) {
-    display.textContent = formatRange(currentRange);
+    return div({ class: "myr_control myr_info_control" },
+      span({ class: "myr_control_label" }, control.name),
+      span({ id: `${this.prefix}${control.id}`, class: "myr_info_value" }, formatInfoValue(value, control))
+    );
   }
-}
 
-// ============================================================================
-// Control Commands
-// ============================================================================
+  // ==========================================================================
+  // Control Value Helpers
+  // ==========================================================================
 
-async function sendControlValue(controlId, value) {
-  if (!radarId) return;
+  #getControlValue(controlId) {
+    return this.radarState?.controls?.[controlId];
+  }
 
-  // Don't send control commands to playback radars
-  if (playbackMode) {
-    console.log(`Playback mode: ignoring control ${controlId}`);
-    return;
+  // Also called after a change of the distance units
+  updateRangeDisplay() {
+    const display = this.#el("range_display");
+    if (display) {
+      display.textContent = formatRange(this.currentRange);
+    }
+    this.stateCallbacks.forEach(cb => cb());
   }
 
-  console.log(`Sending control: ${controlId} = ${JSON.stringify(value)}`);
+  // ==========================================================================
+  // Control Commands
+  // ==========================================================================
+
+  /**
+   * Send a control change to the radar
+   * @returns {Promise<boolean>} True when the server accepted the change
+   */
+  async sendControlValue(controlId, value) {
+    if (!this.radarId) return false;
+
+    // Don't send control commands to playback radars
+    if (this.playbackMode) {
+      console.log(`Playback mode: ignoring control ${controlId}`);
+      return false;
+    }
+
+    console.log(`Sending control: ${controlId} = ${JSON.stringify(value)}`);
+
+    // Mark as pending to prevent polling from overwriting, until the server
+    // reports the new value, or rejects or does not answer the request
+    const previous = this.pendingControls[controlId];
+    clearTimeout(previous?.timer);
+    const pending = {
+      value,
+      timestamp: Date.now(),
+      confirmed: previous ? previous.confirmed : this.#getControlValue(controlId),
+      notified: false,
+    };
+    pending.timer = setTimeout(() => this.#controlTimedOut(controlId, pending), CONTROL_TIMEOUT);
+    this.pendingControls[controlId] = pending;
+    this.#setPendingIndicator(controlId, true);
+
+    // Optimistic UI update immediately
+    this.#updateControlUI(controlId, value);
 
-  // Mark as pending to prevent polling from overwriting
-  pendingControls[controlId] = { value, timestamp: Date.now() };
+    const result = await setControl(this.radarId, controlId, value);
+    clearTimeout(pending.timer);
+    const control = this.capabilities?.controls?.find(c => c.id === controlId);
 
-  // Optimistic UI update immediately
-  updateControlUI(controlId, value);
+    if (!result.ok) {
+      // Superseded changes are rolled back by the newer one
+      if (this.pendingControls[controlId] === pending) {
+        this.#rollbackControl(controlId, pending);
+      }
+      this.showError(`${control?.name || controlId}: ${result.error}`);
+      return false;
+    }
 
-  const success = await setControl(radarId, controlId, value);
+    // Accepted: the value is kept until the state reports it, or for
+    // APPLY_TIME; a value the radar reports after that stands
+    pending.acceptedAt = Date.now();
+    pending.timer = setTimeout(() => this.#applyTimeOver(controlId, pending), APPLY_TIME);
 
-  if (success) {
     // Notify callbacks
-    const control = capabilities?.controls?.find(c => c.id === controlId);
-    controlCallbacks.forEach(cb => cb(control, { id: controlId, value }));
+    pending.notified = true;
+    this.controlCallbacks.forEach(cb => cb(control, { id: controlId, value }));
+
+    // Write-only controls are not reported by the server: accepted is confirmed
+    if (pending.confirmed === undefined && this.pendingControls[controlId] === pending) {
+      this.#confirmControl(controlId);
+    }
 
     // Persist Installation category controls (write-only settings like bearingAlignment)
     // Use capabilities.key (e.g., "Furuno-RD003212") for storage - compatible with WASM SignalK plugin
     if (control?.category === 'installation') {
-      const storageKey = capabilities?.key || radarId;
+      const storageKey = this.capabilities?.key || this.radarId;
       saveInstallationSetting(storageKey, controlId, value);
     }
+    return true;
   }
-}
 
-function changeRange(direction) {
-  const ranges = capabilities?.characteristics?.supportedRanges || [];
-  if (ranges.length === 0) return;
-
-  // Use tracked index if valid, otherwise find from current range
-  if (userRequestedRangeIndex < 0 || userRequestedRangeIndex >= ranges.length) {
-    userRequestedRangeIndex = ranges.findIndex(r => Math.abs(r - currentRange) < 50);
-    if (userRequestedRangeIndex < 0) userRequestedRangeIndex = 0;
+  // Server reported the pending value
+  #confirmControl(controlId) {
+    clearTimeout(this.pendingControls[controlId]?.timer);
+    delete this.pendingControls[controlId];
+    this.#setPendingIndicator(controlId, false);
   }
 
-  const newIndex = Math.max(0, Math.min(ranges.length - 1, userRequestedRangeIndex + direction));
-  const newRange = ranges[newIndex];
+  // Back to the last value reported by the server
+  #rollbackControl(controlId, pending) {
+    this.#confirmControl(controlId);
+    if (pending.confirmed === undefined) return;
 
-  // Always update index to track user's position
-  userRequestedRangeIndex = newIndex;
+    this.#updateControlUI(controlId, pending.confirmed);
+    if (controlId === 'range') {
+      // changeRange() continues from the actual range
+      this.userRequestedRangeIndex = -1;
+    }
+    if (pending.notified) {
+      const control = this.capabilities?.controls?.find(c => c.id === controlId);
+      this.controlCallbacks.forEach(cb => cb(control, { id: controlId, value: pending.confirmed }));
+    }
+  }
 
-  sendControlValue('range', newRange);
-}
+  #controlTimedOut(controlId, pending) {
+    if (this.pendingControls[controlId] !== pending) return;
+    this.#rollbackControl(controlId, pending);
+    const control = this.capabilities?.controls?.find(c => c.id === controlId);
+    this.showError(`${control?.name || controlId}: no answer from the server within ${CONTROL_TIMEOUT / 1000} s`);
+  }
 
-// ============================================================================
-// UI Updates from State
-// ============================================================================
+  // The radar has not reported an accepted change in time: show what it reports
+  #applyTimeOver(controlId, pending) {
+    if (this.pendingControls[controlId] !== pending) return;
+    this.#confirmControl(controlId);
+    const value = this.#getControlValue(controlId);
+    if (value !== undefined) this.#updateControlUI(controlId, value);
+  }
 
-function updateControlUI(controlId, value) {
-  // Update local state
-  if (radarState?.controls) {
-    radarState.controls[controlId] = value;
+  // Mark the widget of a control while a change is pending
+  #setPendingIndicator(controlId, pending) {
+    // The individual no-transmit zone controls share one widget
+    const widgetId = controlId.startsWith('noTransmit') && this.capabilities?.controls?.some(c => c.id === 'noTransmitZones')
+      ? 'noTransmitZones'
+      : controlId;
+    const widget = this.#el("controls")?.querySelector(`[data-control-id="${widgetId}"]`);
+    if (widget) widget.classList.toggle("myr_control_pending", pending);
   }
 
-  // Update UI based on control type
-  const control = capabilities?.controls?.find(c => c.id === controlId);
-  if (!control) return;
+  changeRange(direction) {
+    const ranges = this.capabilities?.characteristics?.supportedRanges || [];
+    if (ranges.length === 0) return;
 
-  // Special case for dopplerMode
-  if (controlId === 'dopplerMode') {
-    updateDopplerModeUI(controlId, value);
-    return;
-  }
+    // Use tracked index if valid, otherwise find from current range
+    if (this.userRequestedRangeIndex < 0 || this.userRequestedRangeIndex >= ranges.length) {
+      this.userRequestedRangeIndex = ranges.findIndex(r => Math.abs(r - this.currentRange) < 50);
+      if (this.userRequestedRangeIndex < 0) this.userRequestedRangeIndex = 0;
+    }
+
+    const newIndex = Math.max(0, Math.min(ranges.length - 1, this.userRequestedRangeIndex + direction));
+    const newRange = ranges[newIndex];
+
+    // Always update index to track user's position
+    this.userRequestedRangeIndex = newIndex;
 
-  // Special case for noTransmitZones (compound) or individual NTZ controls
-  if (controlId === 'noTransmitZones') {
-    updateNoTransmitZonesUI(value);
-    return;
+    this.sendControlValue('range', newRange);
   }
-  // Handle individual NTZ controls - update the compound UI
-  if (controlId.startsWith('noTransmit')) {
-    updateNoTransmitZoneFromIndividual(controlId, value);
-    return;
+
+  // Transmit <-> standby; nothing while the radar is off or warming up
+  togglePower() {
+    const power = this.getPowerState();
+    if (power === 'transmit') {
+      this.sendControlValue('power', 'standby');
+    } else if (power === 'standby') {
+      this.sendControlValue('power', 'transmit');
+    }
   }
 
-  switch (control.type) {
-    case 'boolean':
-      updateBooleanUI(controlId, value);
-      break;
-    case 'number':
-      updateNumberUI(controlId, value, control);
-      break;
-    case 'enum':
-      updateEnumUI(controlId, value);
-      break;
-    case 'compound':
-      updateCompoundUI(controlId, value, control);
-      break;
+  /**
+   * Step a number or compound control up or down (keyboard, rotary encoder);
+   * a compound control in auto switches to manual
+   * @param {string} controlId - The control
+   * @param {number} direction - +1 or -1
+   */
+  adjustControl(controlId, direction) {
+    const control = this.capabilities?.controls?.find(c => c.id === controlId);
+    if (!control || control.readOnly) return;
+
+    const current = this.#getControlValue(controlId);
+    if (control.type === 'number') {
+      const range = control.range || { min: 0, max: 100 };
+      const value = typeof current === 'object' && current !== null ? current.value : current;
+      const next = stepValue(value ?? control.default ?? range.min, direction, range);
+      if (next !== Number(value)) this.sendControlValue(controlId, next);
+    } else if (control.type === 'compound') {
+      const range = control.properties?.value?.range || { min: 0, max: 100 };
+      const next = stepValue(current?.value ?? 50, direction, range);
+      if (current?.mode !== 'auto' && next === Number(current?.value)) return;
+      this.sendControlValue(controlId, { mode: 'manual', value: next });
+    }
   }
 
-  // Special handling for power
-  if (controlId === 'power') {
-    updatePowerUI(value);
+  /**
+   * Send several control values one after another, in the order given
+   * (e.g. a preset), skipping those the radar already has
+   * @param {Array} values - [controlId, value] pairs
+   * @returns {Promise<number>} Number of changes the server did not accept
+   */
+  async applyControlValues(values) {
+    let failed = 0;
+    for (const [controlId, value] of values) {
+      if (!this.capabilities?.controls?.some(c => c.id === controlId)) continue;
+      // Also covers pending changes: the state holds the value sent
+      if (sameControlValue(this.#getControlValue(controlId), value)) continue;
+
+      if (controlId === 'range') {
+        // changeRange() continues from the new range
+        this.userRequestedRangeIndex = -1;
+      }
+      if (!await this.sendControlValue(controlId, value)) failed++;
+    }
+    return failed;
   }
-}
 
-function updatePowerUI(value) {
-  const transmitBtn = document.querySelector('.myr_power_button_transmit');
-  const standbyBtn = document.querySelector('.myr_power_button_standby');
+  // ==========================================================================
+  // UI Updates from State
+  // ==========================================================================
+
+  #updateControlUI(controlId, value) {
+    // Update local state
+    if (this.radarState?.controls) {
+      this.radarState.controls[controlId] = value;
+    }
+
+    // Update UI based on control type
+    const control = this.capabilities?.controls?.find(c => c.id === controlId);
+    if (!control) return;
 
-  if (transmitBtn) {
-    transmitBtn.classList.toggle('myr_power_active', value === 'transmit');
+    // Special case for dopplerMode
+    if (controlId === 'dopplerMode') {
+      this.#updateDopplerModeUI(controlId, value);
+      return;
+    }
+
+    // Special case for noTransmitZones (compound) or individual NTZ controls
+    if (controlId === 'noTransmitZones') {
+      this.#updateNoTransmitZonesUI(value);
+      return;
+    }
+    // Handle individual NTZ controls - update the compound UI
+    if (controlId.startsWith('noTransmit')) {
+      this.#updateNoTransmitZoneFromIndividual(controlId, value);
+      return;
+    }
+
+    switch (control.type) {
+      case 'boolean':
+        this.#updateBooleanUI(controlId, value);
+        break;
+      case 'number':
+        this.#updateNumberUI(controlId, value, control);
+        break;
+      case 'enum':
+        this.#updateEnumUI(controlId, value);
+        break;
+      case 'compound':
+        this.#updateCompoundUI(controlId, value, control);
+        break;
+    }
+
+    // Special handling for power
+    if (controlId === 'power') {
+      this.#updatePowerUI(value);
+    }
   }
-  if (standbyBtn) {
-    standbyBtn.classList.toggle('myr_power_active', value === 'standby');
+
+  #updatePowerUI(value) {
+    const controlsEl = this.#el("controls");
+    const transmitBtn = controlsEl?.querySelector('.myr_power_button_transmit');
+    const standbyBtn = controlsEl?.querySelector('.myr_power_button_standby');
+
+    if (transmitBtn) {
+      transmitBtn.classList.toggle('myr_power_active', value === 'transmit');
+    }
+    if (standbyBtn) {
+      standbyBtn.classList.toggle('myr_power_active', value === 'standby');
+    }
   }
-}
 
-function updateBooleanUI(controlId, value) {
-  const btn = document.getElementById(`myr_${controlId}`);
-  if (btn) {
-    btn.classList.toggle('myr_toggle_active', value);
-    btn.textContent = value ? "On" : "Off";
+  #updateBooleanUI(controlId, value) {
+    const btn = this.#el(controlId);
+    if (btn) {
+      btn.classList.toggle('myr_toggle_active', value);
+      btn.textContent = value ? "On" : "Off";
+    }
   }
-}
 
-function updateNumberUI(controlId, value, control) {
-  const slider = document.getElementById(`myr_${controlId}`);
-  const valueEl = document.getElementById(`myr_${controlId}_value`);
+  #updateNumberUI(controlId, value, control) {
+    const slider = this.#el(controlId);
+    const valueEl = this.#el(`${controlId}_value`);
 
-  if (slider) {
-    slider.value = value;
+    if (slider) {
+      slider.value = value;
+    }
+    if (valueEl) {
+      valueEl.textContent = formatNumberValue(value, control);
+    }
   }
-  if (valueEl) {
-    valueEl.textContent = formatNumberValue(value, control);
+
+  #updateEnumUI(controlId, value) {
+    const group = this.#el(`${controlId}_group`);
+    if (group) {
+      // Convert value to string for comparison (dataset values are always strings)
+      const valueStr = String(value);
+      group.querySelectorAll('.myr_enum_button').forEach(btn => {
+        btn.classList.toggle('myr_enum_active', btn.dataset.value === valueStr);
+      });
+    }
   }
-}
 
-function updateEnumUI(controlId, value) {
-  const group = document.getElementById(`myr_${controlId}_group`);
-  if (group) {
-    // Convert value to string for comparison (dataset values are always strings)
-    const valueStr = String(value);
-    group.querySelectorAll('.myr_enum_button').forEach(btn => {
-      btn.classList.toggle('myr_enum_active', btn.dataset.value === valueStr);
+  #updateCompoundUI(controlId, value, control) {
+    const compound = this.#el(`${controlId}_compound`);
+    if (!compound) return;
+
+    const mode = value?.mode || 'auto';
+    const val = value?.value;
+
+    // Update mode buttons
+    compound.querySelectorAll('.myr_mode_button').forEach(btn => {
+      btn.classList.toggle('myr_mode_active', btn.dataset.mode === mode);
     });
+
+    // Update slider
+    const slider = compound.querySelector('.myr_compound_slider');
+    const valueEl = this.#el(`${controlId}_value`);
+
+    const isAuto = mode === 'auto';
+    if (slider) {
+      slider.disabled = isAuto;
+      if (val !== undefined) {
+        slider.value = val;
+      }
+    }
+    if (valueEl) {
+      valueEl.textContent = isAuto ? "Auto" : (val !== undefined ? val : '-');
+    }
   }
-}
 
-function updateCompoundUI(controlId, value, control) {
-  const compound = document.getElementById(`myr_${controlId}_compound`);
-  if (!compound) return;
+  #updateDopplerModeUI(controlId, value) {
+    const compound = this.#el(`${controlId}_compound`);
+    if (!compound) return;
 
-  const mode = value?.mode || 'auto';
-  const val = value?.value;
+    const enabled = value?.enabled || false;
+    const mode = value?.mode || 'target';
+    const activeBtn = !enabled ? 'off' : mode;
 
-  // Update mode buttons
-  compound.querySelectorAll('.myr_mode_button').forEach(btn => {
-    btn.classList.toggle('myr_mode_active', btn.dataset.mode === mode);
-  });
+    // Update buttons (Off / Target / Rain)
+    compound.querySelectorAll('.myr_mode_button').forEach(btn => {
+      btn.classList.toggle('myr_mode_active', btn.dataset.value === activeBtn);
+    });
+  }
 
-  // Update slider
-  const slider = compound.querySelector('.myr_compound_slider');
-  const valueEl = document.getElementById(`myr_${controlId}_value`);
+  #updateNoTransmitZonesUI(value) {
+    const zones = value?.zones || [];
+    const zone1 = zones[0] || { enabled: false, start: 0, end: 0 };
+    const zone2 = zones[1] || { enabled: false, start: 0, end: 0 };
+
+    // Update zone 1
+    const z1Enabled = this.#el('ntz_zone1_enabled');
+    const z1Start = this.#el('ntz_zone1_start');
+    const z1End = this.#el('ntz_zone1_end');
+    if (z1Enabled) z1Enabled.checked = zone1.enabled;
+    if (z1Start) {
+      z1Start.value = zone1.start;
+      z1Start.disabled = !zone1.enabled;
+    }
+    if (z1End) {
+      z1End.value = zone1.end;
+      z1End.disabled = !zone1.enabled;
+    }
+
+    // Update zone 2
+    const z2Enabled = this.#el('ntz_zone2_enabled');
+    const z2Start = this.#el('ntz_zone2_start');
+    const z2End = this.#el('ntz_zone2_end');
+    if (z2Enabled) z2Enabled.checked = zone2.enabled;
+    if (z2Start) {
+      z2Start.value = zone2.start;
+      z2Start.disabled = !zone2.enabled;
+    }
+    if (z2End) {
+      z2End.value = zone2.end;
+      z2End.disabled = !zone2.enabled;
+    }
+  }
 
-  const isAuto = mode === 'auto';
-  if (slider) {
-    slider.disabled = isAuto;
-    if (val !== undefined) {
-      slider.value = val;
+  /**
+   * Update NTZ UI from individual control updates (noTransmitStart1, etc.)
+   * Server uses flat model with -1 meaning disabled
+   */
+  #updateNoTransmitZoneFromIndividual(controlId, value) {
+    // Parse control ID: noTransmitStart1, noTransmitEnd1, noTransmitStart2, noTransmitEnd2
+    const match = controlId.match(/noTransmit(Start|End)(\d)/);
+    if (!match) return;
+
+    const [, type, zoneNum] = match;
+    const prefix = `ntz_zone${zoneNum}`;
+    const isStart = type === 'Start';
+
+    // -1 means zone is disabled (value < 0)
+    const isDisabled = value < 0;
+    const displayValue = isDisabled ? 0 : value;
+
+    // Update the angle input
+    const inputEl = this.#el(`${prefix}_${isStart ? 'start' : 'end'}`);
+    if (inputEl) {
+      inputEl.value = displayValue;
     }
+
+    // Check if both start and end are >= 0 to determine enabled state
+    // Use pending values if available, otherwise fall back to state
+    const startId = `noTransmitStart${zoneNum}`;
+    const endId = `noTransmitEnd${zoneNum}`;
+    const startVal = this.pendingControls[startId]?.value ?? this.#getControlValue(startId) ?? -1;
+    const endVal = this.pendingControls[endId]?.value ?? this.#getControlValue(endId) ?? -1;
+    const zoneEnabled = startVal >= 0 && endVal >= 0;
+
+    // Update enabled checkbox and input disabled states
+    const enabledEl = this.#el(`${prefix}_enabled`);
+    const startEl = this.#el(`${prefix}_start`);
+    const endEl = this.#el(`${prefix}_end`);
+
+    if (enabledEl) enabledEl.checked = zoneEnabled;
+    if (startEl) startEl.disabled = !zoneEnabled;
+    if (endEl) endEl.disabled = !zoneEnabled;
   }
-  if (valueEl) {
-    valueEl.textContent = isAuto ? "Auto" : (val !== undefined ? val : '-');
+
+  // reportedAt is the time the state was requested or pushed, 0 for a stored state
+  #applyStateToUI(state, reportedAt = 0) {
+    if (!state?.controls) return;
+
+    for (const [controlId, value] of Object.entries(state.controls)) {
+      // Skip controls with pending changes until server confirms the same value
+      const pending = this.pendingControls[controlId];
+      if (pending) {
+        // Check if server has confirmed our pending value
+        if (sameControlValue(value, pending.value)) {
+          // Server confirmed, clear pending
+          this.#confirmControl(controlId);
+        } else if (pending.acceptedAt && reportedAt - pending.acceptedAt >= APPLY_TIME) {
+          // Accepted, but the radar still reports another value: that one stands
+          this.#confirmControl(controlId);
+        } else {
+          // Server hasn't confirmed yet, keep user's value; roll back to this one
+          pending.confirmed = value;
+          continue;
+        }
+      }
+      this.#updateControlUI(controlId, value);
+    }
+
+    // Update range display and initialize range index
+    // Skip if we already have range from spoke data (more accurate than state API)
+    if (state.controls.range && !this.rangeFromSpokeData) {
+      this.currentRange = state.controls.range;
+      // Initialize userRequestedRangeIndex from actual radar range
+      const ranges = this.capabilities?.characteristics?.supportedRanges || [];
+      this.userRequestedRangeIndex = ranges.findIndex(r => Math.abs(r - this.currentRange) < 50);
+      if (this.userRequestedRangeIndex < 0) this.userRequestedRangeIndex = 0;
+      this.updateRangeDisplay();
+    }
+    this.stateCallbacks.forEach(cb => cb());
   }
-}
 
-function updateDopplerModeUI(controlId, value) {
-  const compound = document.getElementById(`myr_${controlId}_compound`);
-  if (!compound) return;
+  // ==========================================================================
+  // State Polling
+  // ==========================================================================
 
-  const enabled = value?.enabled || false;
-  const mode = value?.mode || 'target';
-  const activeBtn = !enabled ? 'off' : mode;
+  async #pollState() {
+    if (!this.radarId) return;
 
-  // Update buttons (Off / Target / Rain)
-  compound.querySelectorAll('.myr_mode_button').forEach(btn => {
-    btn.classList.toggle('myr_mode_active', btn.dataset.value === activeBtn);
-  });
-}
+    try {
+      const requestedAt = Date.now();
+      const newState = await fetchState(this.radarId);
+      if (newState) {
+        this.radarState = newState;
+        this.#applyStateToUI(this.radarState, requestedAt);
 
-function updateNoTransmitZonesUI(value) {
-  const zones = value?.zones || [];
-  const zone1 = zones[0] || { enabled: false, start: 0, end: 0 };
-  const zone2 = zones[1] || { enabled: false, start: 0, end: 0 };
-
-  // Update zone 1
-  const z1Enabled = document.getElementById('myr_ntz_zone1_enabled');
-  const z1Start = document.getElementById('myr_ntz_zone1_start');
-  const z1End = document.getElementById('myr_ntz_zone1_end');
-  if (z1Enabled) z1Enabled.checked = zone1.enabled;
-  if (z1Start) {
-    z1Start.value = zone1.start;
-    z1Start.disabled = !zone1.enabled;
+        // Reset fail count on success and restore normal polling
+        if (this.pollFailCount > 0) {
+          this.pollFailCount = 0;
+          this.#startStatePolling(); // Restart with normal interval
+        }
+      }
+    } catch (err) {
+      this.pollFailCount++;
+      if (this.pollFailCount <= 3) {
+        console.warn(`State poll failed (${this.pollFailCount}):`, err.message);
+      } else if (this.pollFailCount === 4) {
+        console.warn("State polling failing, backing off...");
+      }
+      // Exponential backoff: restart polling with longer interval
+      if (this.pollFailCount > 2) {
+        this.#startStatePolling();
+      }
+    }
   }
-  if (z1End) {
-    z1End.value = zone1.end;
-    z1End.disabled = !zone1.enabled;
+
+  #startStatePolling() {
+    // Not while the state is pushed
+    if (this.stateStreamLive) return;
+
+    if (this.statePollingInterval) {
+      clearInterval(this.statePollingInterval);
+    }
+
+    // Exponential backoff on failures
+    const interval = Math.min(BASE_POLL_INTERVAL * Math.pow(2, this.pollFailCount), MAX_POLL_INTERVAL);
+    this.statePollingInterval = setInterval(() => this.#pollState(), interval);
   }
 
-  // Update zone 2
-  const z2Enabled = document.getElementById('myr_ntz_zone2_enabled');
-  const z2Start = document.getElementById('myr_ntz_zone2_start');
-  const z2End = document.getElementById('myr_ntz_zone2_end');
-  if (z2Enabled) z2Enabled.checked = zone2.enabled;
-  if (z2Start) {
-    z2Start.value = zone2.start;
-    z2Start.disabled = !zone2.enabled;
+  #stopStatePolling() {
+    if (this.statePollingInterval) {
+      clearInterval(this.statePollingInterval);
+      this.statePollingInterval = null;
+    }
   }
-  if (z2End) {
-    z2End.value = zone2.end;
-    z2End.disabled = !zone2.enabled;
+
+  // ==========================================================================
+  // State Stream
+  // ==========================================================================
+
+  // Subscribe to pushed control changes; polling goes on until the socket
+  // is open and takes over while it is down
+  #connectStateStream() {
+    this.#closeStateStream();
+    if (!this.radarId || this.stateStreamMissing) return;
+
+    const { url, subscribe } = getControlStreamUrl(this.radarId);
+    const socket = new WebSocket(url);
+    this.stateSocket = socket;
+
+    socket.onopen = () => {
+      if (socket !== this.stateSocket) return;
+      console.log(`Control state stream connected: ${url}`);
+      socket.opened = true;
+      if (subscribe) socket.send(JSON.stringify(subscribe));
+
+      // The stream works: rely on it instead of polling
+      this.stateStreamLive = true;
+      this.stateSocketRetry = 0;
+      this.#stopStatePolling();
+      // Catch up with changes made while the socket was down
+      this.#pollState();
+    };
+
+    socket.onmessage = (event) => {
+      if (socket === this.stateSocket) this.#applyStateMessage(event.data);
+    };
+
+    socket.onclose = () => {
+      if (socket !== this.stateSocket) return;
+      this.stateSocket = null;
+      this.stateStreamLive = false;
+      this.#startStatePolling();
+
+      // Never opened: the server has no such stream, don't keep trying
+      if (!socket.opened) {
+        console.log("No control state stream on this server, polling the state");
+        this.stateStreamMissing = true;
+        return;
+      }
+      console.warn("Control state stream closed, polling until it reconnects");
+
+      // Reconnect with exponential backoff
+      this.stateSocketRetry = Math.min(Math.max(this.stateSocketRetry * 2, BASE_POLL_INTERVAL), MAX_POLL_INTERVAL);
+      this.stateSocketTimer = setTimeout(() => this.#connectStateStream(), this.stateSocketRetry);
+    };
   }
-}
 
-/**
- * Update NTZ UI from individual control updates (noTransmitStart1, etc.)
- * Server uses flat model with -1 meaning disabled
- */
-function updateNoTransmitZoneFromIndividual(controlId, value) {
-  // Parse control ID: noTransmitStart1, noTransmitEnd1, noTransmitStart2, noTransmitEnd2
-  const match = controlId.match(/noTransmit(Start|End)(\d)/);
-  if (!match) return;
-
-  const [, type, zoneNum] = match;
-  const prefix = `myr_ntz_zone${zoneNum}`;
-  const isStart = type === 'Start';
-
-  // -1 means zone is disabled (value < 0)
-  const isDisabled = value < 0;
-  const displayValue = isDisabled ? 0 : value;
-
-  // Update the angle input
-  const inputEl = document.getElementById(`${prefix}_${isStart ? 'start' : 'end'}`);
-  if (inputEl) {
-    inputEl.value = displayValue;
+  #closeStateStream() {
+    clearTimeout(this.stateSocketTimer);
+    this.stateSocketTimer = null;
+    const socket = this.stateSocket;
+    this.stateSocket = null;
+    this.stateStreamLive = false;
+    if (socket) socket.close();
   }
 
-  // Check if both start and end are >= 0 to determine enabled state
-  // Use pending values if available, otherwise fall back to state
-  const startId = `noTransmitStart${zoneNum}`;
-  const endId = `noTransmitEnd${zoneNum}`;
-  const startVal = pendingControls[startId]?.value ?? getControlValue(startId) ?? -1;
-  const endVal = pendingControls[endId]?.value ?? getControlValue(endId) ?? -1;
-  const zoneEnabled = startVal >= 0 && endVal >= 0;
-
-  // Update enabled checkbox and input disabled states
-  const enabledEl = document.getElementById(`${prefix}_enabled`);
-  const startEl = document.getElementById(`${prefix}_start`);
-  const endEl = document.getElementById(`${prefix}_end`);
-
-  if (enabledEl) enabledEl.checked = zoneEnabled;
-  if (startEl) startEl.disabled = !zoneEnabled;
-  if (endEl) endEl.disabled = !zoneEnabled;
-}
+  // Apply a pushed message: a (partial) state { controls }, a control value
+  // { id, value }, or a SignalK delta with radars.{id}.controls.{controlId} paths
+  #applyStateMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      console.warn("Invalid control state message:", e.message);
+      return;
+    }
 
-function applyStateToUI(state) {
-  if (!state?.controls) return;
-
-  for (const [controlId, value] of Object.entries(state.controls)) {
-    // Skip controls with pending changes until server confirms the same value
-    const pending = pendingControls[controlId];
-    if (pending) {
-      // Check if server has confirmed our pending value
-      const serverValue = JSON.stringify(value);
-      const pendingValue = JSON.stringify(pending.value);
-      if (serverValue === pendingValue) {
-        // Server confirmed, clear pending
-        delete pendingControls[controlId];
-      } else {
-        // Server hasn't confirmed yet, keep user's value
-        continue;
+    let controls = {};
+    if (message.controls && typeof message.controls === "object") {
+      controls = message.controls;
+    } else if (message.id !== undefined && "value" in message) {
+      controls[message.id] = message.value;
+    }
+    const prefix = `radars.${this.radarId}.controls.`;
+    for (const update of message.updates || []) {
+      for (const { path, value } of update.values || []) {
+        if (path?.startsWith(prefix)) controls[path.slice(prefix.length)] = value;
       }
     }
-    updateControlUI(controlId, value);
-  }
+    if (Object.keys(controls).length === 0) return;
 
-  // Update range display and initialize range index
-  // Skip if we already have range from spoke data (more accurate than state API)
-  if (state.controls.range && !rangeFromSpokeData) {
-    currentRange = state.controls.range;
-    // Initialize userRequestedRangeIndex from actual radar range
-    const ranges = capabilities?.characteristics?.supportedRanges || [];
-    userRequestedRangeIndex = ranges.findIndex(r => Math.abs(r - currentRange) < 50);
-    if (userRequestedRangeIndex < 0) userRequestedRangeIndex = 0;
-    updateRangeDisplay();
+    this.radarState = { ...this.radarState, controls: { ...this.radarState?.controls, ...controls } };
+    this.#applyStateToUI({ controls }, Date.now());
   }
-}
 
-// ============================================================================
-// State Polling
-// ============================================================================
+  // ==========================================================================
+  // Loading
+  // ==========================================================================
 
-let pollFailCount = 0;
-const MAX_POLL_INTERVAL = 30000; // Max 30s between polls on repeated failures
-const BASE_POLL_INTERVAL = 2000; // Normal 2s polling
+  async loadRadar(id) {
+    try {
+      await detectMode();
+
+      // If no ID provided, get first radar
+      if (!id) {
+        const ids = await fetchRadarIds();
+        if (ids.length > 0) {
+          id = ids[0];
+        }
+      }
+
+      if (!id) {
+        console.error("No radar found");
+        this.showError("No radar found. Please check connection.");
+        setTimeout(() => this.loadRadar(null), 10000);
+        return;
+      }
 
-async function pollState() {
-  if (!radarId) return;
+      this.radarId = id;
+      this.playbackMode = isPlaybackRadar(id);
+      console.log(`Loading radar: ${this.radarId}${this.playbackMode ? ' (playback mode)' : ''}`);
 
-  try {
-    const newState = await fetchState(radarId);
-    if (newState) {
-      radarState = newState;
-      applyStateToUI(radarState);
+      // Fetch capabilities
+      this.capabilities = await fetchCapabilities(this.radarId);
+      console.log("Capabilities:", this.capabilities);
 
-      // Reset fail count on success and restore normal polling
-      if (pollFailCount > 0) {
-        pollFailCount = 0;
-        startStatePolling(); // Restart with normal interval
+      // Fetch initial state
+      this.radarState = await fetchState(this.radarId);
+      console.log("Initial state:", this.radarState);
+
+      // Build UI
+      this.#buildControlsFromCapabilities();
+
+      // Poll for state updates until the state stream is connected
+      this.#startStatePolling();
+      this.#connectStateStream();
+
+      // Notify callbacks (viewer.js expects these properties)
+      const capabilities = this.capabilities;
+      const chars = capabilities.characteristics || {};
+
+      // Build streamUrl based on mode
+      const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+      let streamUrl;
+      if (isStandaloneMode()) {
+        // Standalone mode: use /v2/api/radars/{id}/spokes
+        streamUrl = `${wsProtocol}//${window.location.host}/v2/api/radars/${this.radarId}/spokes`;
+      } else {
+        // SignalK mode: use /signalk/v2/api/vessels/self/radars/{id}/stream
+        streamUrl = `${wsProtocol}//${window.location.host}/signalk/v2/api/vessels/self/radars/${this.radarId}/stream`;
       }
+
+      this.callbacks.forEach(cb => cb({
+        id: this.radarId,
+        name: `${capabilities.make} ${capabilities.model}`,
+        maxSpokeLen: chars.maxSpokeLength || 512,
+        spokesPerRevolution: chars.spokesPerRevolution || 2048,
+        controls: capabilities.controls || [],
+        capabilities,
+        state: this.radarState,
+        streamUrl,
+      }));
+
+    } catch (err) {
+      console.error("Failed to load radar:", err);
+      this.showError(`Failed to load radar: ${err.message}`);
+      setTimeout(() => this.loadRadar(id), 10000);
     }
-  } catch (err) {
-    pollFailCount++;
-    if (pollFailCount <= 3) {
-      console.warn(`State poll failed (${pollFailCount}):`, err.message);
-    } else if (pollFailCount === 4) {
-      console.warn("State polling failing, backing off...");
-    }
-    // Exponential backoff: restart polling with longer interval
-    if (pollFailCount > 2) {
-      startStatePolling();
+  }
+
+  showError(message) {
+    const errorEl = this.#el("error");
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.style.visibility = "visible";
+      setTimeout(() => {
+        errorEl.style.visibility = "hidden";
+      }, 5000);
     }
   }
-}
 
-function startStatePolling() {
-  if (statePollingInterval) {
-    clearInterval(statePollingInterval);
+  /**
+   * Get current power state
+   * @returns {string} 'standby' | 'transmit' | 'off' | 'warming'
+   */
+  getPowerState() {
+    return this.radarState?.controls?.power || 'standby';
   }
 
-  // Exponential backoff on failures
-  const interval = Math.min(BASE_POLL_INTERVAL * Math.pow(2, pollFailCount), MAX_POLL_INTERVAL);
-  statePollingInterval = setInterval(pollState, interval);
-}
+  /**
+   * Get operating hours from radar state
+   * @returns {{ onTime: number, txTime: number }} Operating hours
+   */
+  getOperatingHours() {
+    const controls = this.radarState?.controls || {};
+    return {
+      onTime: controls.operatingHours || 0,
+      txTime: controls.transmitHours || 0
+    };
+  }
+
+  /**
+   * Check if radar has hours capability (operatingHours or transmitHours)
+   * @returns {{ hasOnTime: boolean, hasTxTime: boolean }}
+   */
+  hasHoursCapability() {
+    const controls = this.capabilities?.controls || [];
+    return {
+      hasOnTime: controls.some(c => c.id === 'operatingHours'),
+      hasTxTime: controls.some(c => c.id === 'transmitHours')
+    };
+  }
 
-function stopStatePolling() {
-  if (statePollingInterval) {
-    clearInterval(statePollingInterval);
-    statePollingInterval = null;
+  /**
+   * Check if currently viewing a playback radar (controls are disabled)
+   * @returns {boolean} True if in playback mode
+   */
+  isPlaybackMode() {
+    return this.playbackMode;
   }
 }
 
 // ============================================================================
-// Initialization (for standalone control.html only)
+// Formatting
 // ============================================================================
 
-// For control.html: auto-initialize on load
-// For viewer.html: viewer.js imports this module and calls loadRadar() itself
-// We detect standalone mode by checking if viewer.js has NOT registered a callback
-// (viewer.js calls registerRadarCallback before window.onload)
-setTimeout(() => {
-  // If no callbacks registered after module evaluation, we're in standalone mode
-  if (callbacks.length === 0) {
-    window.onload = function() {
-      const urlParams = new URLSearchParams(window.location.search);
-      const id = urlParams.get("id");
-      loadRadar(id);
-    };
+function formatNumberValue(value, control) {
+  // Handle compound values (objects with mode/value)
+  let numValue = value;
+  if (typeof value === 'object' && value !== null) {
+    if (value.mode === 'auto') {
+      return 'Auto';
+    }
+    numValue = value.value !== undefined ? value.value : 0;
   }
-}, 0);
 
-async function loadRadar(id) {
-  try {
-    await detectMode();
-
-    // If no ID provided, get first radar
-    if (!id) {
-      const ids = await fetchRadarIds();
-      if (ids.length > 0) {
-        id = ids[0];
-      }
-    }
+  const unit = control?.range?.unit || '';
+  if (unit === 'percent') {
+    return `${numValue}%`;
+  }
+  return unit ? `${numValue} ${unit}` : String(numValue);
+}
 
-    if (!id) {
-      console.error("No radar found");
-      showError("No radar found. Please check connection.");
-      setTimeout(() => loadRadar(null), 10000);
-      return;
-    }
+function formatInfoValue(value, control) {
+  if (control.id === 'operatingHours' && typeof value === 'number') {
+    return `${value.toFixed(1)} hrs`;
+  }
+  return String(value);
+}
 
-    radarId = id;
-    playbackMode = isPlaybackRadar(id);
-    console.log(`Loading radar: ${radarId}${playbackMode ? ' (playback mode)' : ''}`);
+// Value one step up or down, within the range of the control
+function stepValue(value, direction, range) {
+  const next = Number(value) + direction * (range.step || 1);
+  return Math.min(range.max, Math.max(range.min, next));
+}
 
-    // Fetch capabilities
-    capabilities = await fetchCapabilities(radarId);
-    console.log("Capabilities:", capabilities);
+// Server value matches a sent value: objects by the sent properties (the
+// server may add others), plain values regardless of number/string type
+function sameControlValue(serverValue, sentValue) {
+  if (sentValue !== null && typeof sentValue === 'object') {
+    return serverValue !== null && typeof serverValue === 'object' &&
+      Object.keys(sentValue).every(key => sameControlValue(serverValue[key], sentValue[key]));
+  }
+  return String(serverValue) === String(sentValue);
+}
 
-    // Fetch initial state
-    radarState = await fetchState(radarId);
-    console.log("Initial state:", radarState);
+// Range display text, in the distance unit selected in units.js
+function formatRange(meters) {
+  return formatRangeValue(is_metric(meters), meters);
+}
 
-    // Build UI
-    buildControlsFromCapabilities();
+// ============================================================================
+// First panel (viewer.html, control.html)
+// ============================================================================
 
-    // Start polling for state updates
-    startStatePolling();
+const mainControl = new radar_control();
 
-    // Notify callbacks (viewer.js expects these properties)
-    const chars = capabilities.characteristics || {};
+function registerRadarCallback(callback) {
+  mainControl.registerRadarCallback(callback);
+}
 
-    // Build streamUrl based on mode
-    const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-    let streamUrl;
-    if (isStandaloneMode()) {
-      // Standalone mode: use /v2/api/radars/{id}/spokes
-      streamUrl = `${wsProtocol}//${window.location.host}/v2/api/radars/${radarId}/spokes`;
-    } else {
-      // SignalK mode: use /signalk/v2/api/vessels/self/radars/{id}/stream
-      streamUrl = `${wsProtocol}//${window.location.host}/signalk/v2/api/vessels/self/radars/${radarId}/stream`;
-    }
+function registerControlCallback(callback) {
+  mainControl.registerControlCallback(callback);
+}
 
-    callbacks.forEach(cb => cb({
-      id: radarId,
-      name: `${capabilities.make} ${capabilities.model}`,
-      maxSpokeLen: chars.maxSpokeLength || 512,
-      spokesPerRevolution: chars.spokesPerRevolution || 2048,
-      controls: capabilities.controls || [],
-      capabilities,
-      state: radarState,
-      streamUrl,
-    }));
-
-  } catch (err) {
-    console.error("Failed to load radar:", err);
-    showError(`Failed to load radar: ${err.message}`);
-    setTimeout(() => loadRadar(id), 10000);
-  }
+function setCurrentRange(meters) {
+  mainControl.setCurrentRange(meters);
 }
 
-function showError(message) {
-  const errorEl = document.getElementById("myr_error");
-  if (errorEl) {
-    errorEl.textContent = message;
-    errorEl.style.visibility = "visible";
-    setTimeout(() => {
-      errorEl.style.visibility = "hidden";
-    }, 5000);
-  }
+function loadRadar(id) {
+  return mainControl.loadRadar(id);
 }
 
-/**
- * Get current power state
- * @returns {string} 'standby' | 'transmit' | 'off' | 'warming'
- */
 function getPowerState() {
-  return radarState?.controls?.power || 'standby';
+  return mainControl.getPowerState();
 }
 
-/**
- * Get operating hours from radar state
- * @returns {{ onTime: number, txTime: number }} Operating hours
- */
 function getOperatingHours() {
-  const controls = radarState?.controls || {};
-  return {
-    onTime: controls.operatingHours || 0,
-    txTime: controls.transmitHours || 0
-  };
+  return mainControl.getOperatingHours();
 }
 
-/**
- * Check if radar has hours capability (operatingHours or transmitHours)
- * @returns {{ hasOnTime: boolean, hasTxTime: boolean }}
- */
 function hasHoursCapability() {
-  const controls = capabilities?.controls || [];
-  return {
-    hasOnTime: controls.some(c => c.id === 'operatingHours'),
-    hasTxTime: controls.some(c => c.id === 'transmitHours')
-  };
+  return mainControl.hasHoursCapability();
 }
 
-/**
- * Check if currently viewing a playback radar (controls are disabled)
- * @returns {boolean} True if in playback mode
- */
 function isPlaybackMode() {
-  return playbackMode;
+  return mainControl.isPlaybackMode();
 }
+
+// ============================================================================
+// Initialization (for standalone control.html only)
+// ============================================================================
+
+// For control.html: auto-initialize on load
+// For viewer.html: viewer.js imports this module and calls loadRadar() itself
+// We detect standalone mode by checking if viewer.js has NOT registered a callback
+// (viewer.js calls registerRadarCallback before window.onload)
+setTimeout(() => {
+  // If no callbacks registered after module evaluation, we're in standalone mode
+  if (mainControl.callbacks.length === 0) {
+    window.onload = function() {
+      const urlParams = new URLSearchParams(window.location.search);
+      const id = urlParams.get("id");
+      loadRadar(id);
+      initKeyboard(mainControl);
+    };
+  }
+}, 0);
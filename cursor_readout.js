@@ -0,0 +1,115 @@
+/**
+ * Cursor readout of range and bearing under the pointer
+ *
+ * Shows range, relative bearing, true bearing (when the heading is known)
+ * and the position of the point under the cursor (when the spokes carry the
+ * radar's lat/lon). Mouse users get a live readout while hovering; on touch
+ * screens the readout follows the finger and stays after it is lifted.
+ */
+
+export { initCursorReadout, formatLatitude, formatLongitude };
+
+import { getTrueHeading, hasHeading, getOwnPosition } from "./viewer.js";
+import { formatDistance, is_metric } from "./units.js";
+import { screenToPolar } from "./overlay.js";
+
+const EARTH_RADIUS = 6371000; // meters
+
+/**
+ * Create the readout box and pointer handlers on the overlay canvas of a display
+ * @param {Object} r - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initCursorReadout(r, prefix) {
+  const container = r.dom.parentNode;
+  const overlay = r.overlay_dom;
+  if (!container || !overlay) return;
+
+  const readoutEl = document.createElement("div");
+  readoutEl.id = `${prefix}cursor_readout`;
+  readoutEl.className = "myr_cursor_readout";
+  readoutEl.style.display = "none";
+  container.appendChild(readoutEl);
+
+  overlay.addEventListener("pointermove", (e) => {
+    // Touch pointers only move while down, so this covers drag on tablets too
+    updateReadout(r, readoutEl, e.offsetX, e.offsetY);
+  });
+  overlay.addEventListener("pointerdown", (e) => {
+    updateReadout(r, readoutEl, e.offsetX, e.offsetY);
+  });
+  overlay.addEventListener("pointerleave", (e) => {
+    if (e.pointerType === "mouse") {
+      readoutEl.style.display = "none";
+    }
+  });
+}
+
+function updateReadout(renderer, readoutEl, x, y) {
+  const range = renderer.range || renderer.actual_range;
+  if (!range) {
+    readoutEl.style.display = "none";
+    return;
+  }
+
+  const polar = screenToPolar(renderer, x, y);
+  const relDeg = (polar.bearing * 180) / Math.PI;
+  const lines = [
+    `RNG ${formatDistance(is_metric(range), polar.range)}`,
+    `BRG ${relDeg.toFixed(1)}°R`,
+  ];
+
+  if (hasHeading(renderer)) {
+    const trueBearing = polar.bearing + getTrueHeading(renderer);
+    const trueDeg = (((trueBearing * 180) / Math.PI) % 360 + 360) % 360;
+    lines.push(`BRG ${trueDeg.toFixed(1)}°T`);
+
+    const own = getOwnPosition(renderer);
+    if (own) {
+      const pos = destination(own.lat, own.lon, trueBearing, polar.range);
+      lines.push(formatLatitude(pos.lat), formatLongitude(pos.lon));
+    }
+  }
+
+  readoutEl.textContent = lines.join("\n");
+  readoutEl.style.display = "block";
+}
+
+// Great-circle destination from a start point, true bearing (radians) and distance (meters)
+function destination(lat, lon, bearing, distance) {
+  const phi1 = (lat * Math.PI) / 180;
+  const lambda1 = (lon * Math.PI) / 180;
+  const delta = distance / EARTH_RADIUS;
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(bearing)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return {
+    lat: (phi2 * 180) / Math.PI,
+    lon: ((((lambda2 * 180) / Math.PI) + 540) % 360) - 180,
+  };
+}
+
+// Degrees and decimal minutes, e.g. 52°22.123'N
+function formatLatitude(lat) {
+  return formatDegreesMinutes(Math.abs(lat), 2) + (lat >= 0 ? "N" : "S");
+}
+
+function formatLongitude(lon) {
+  return formatDegreesMinutes(Math.abs(lon), 3) + (lon >= 0 ? "E" : "W");
+}
+
+function formatDegreesMinutes(value, degreeDigits) {
+  let degrees = Math.floor(value);
+  let minutes = (value - degrees) * 60;
+  if (minutes >= 59.9995) {
+    degrees += 1;
+    minutes = 0;
+  }
+  return `${String(degrees).padStart(degreeDigits, "0")}°${minutes.toFixed(3).padStart(6, "0")}'`;
+}
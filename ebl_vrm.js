@@ -0,0 +1,266 @@
+/**
+ * Electronic Bearing Lines (EBL) and Variable Range Markers (VRM)
+ *
+ * Two EBL/VRM pairs, placed by selecting a pair and then clicking/dragging on
+ * the PPI overlay canvas. A bearing is stored in degrees together with the
+ * reference that was displayed when it was placed ("relative" in Heading Up,
+ * "true" in North Up and Course Up), so a true EBL stays on its bearing while
+ * the boat yaws.
+ *
+ * EBL/VRMs are a per-display tool: every display has its own pairs, persisted
+ * per radar in localStorage rather than on the server.
+ */
+
+export { initEblVrm, loadEblVrm, drawEblVrm, selectEblVrm };
+
+import { getHeadingMode, getTrueHeading } from "./viewer.js";
+import { formatDistance, is_metric } from "./units.js";
+import { screenToPolar, polarToScreen } from "./overlay.js";
+
+const PAIR_COUNT = 2;
+const PAIR_COLORS = ["#00e0ff", "#ff80ff"];
+const STORAGE_PREFIX = "mayara.eblVrm.";
+
+// Renderer -> EBL/VRM state of its display
+const eblVrms = new Map();
+
+/**
+ * Create the EBL/VRM panel and pointer handlers on the overlay canvas of a display
+ * @param {Object} r - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initEblVrm(r, prefix) {
+  const state = {
+    renderer: r,
+    prefix,
+    storageKey: null,
+    activePair: -1, // Index of the pair being placed, -1 if none
+    dragging: false,
+    // Each pair: { bearing: degrees, reference: "relative" | "true", range: meters } or null
+    pairs: new Array(PAIR_COUNT).fill(null),
+  };
+  eblVrms.set(r, state);
+
+  const container = r.dom.parentNode;
+  const overlay = r.overlay_dom;
+  if (!container || !overlay) return;
+
+  const panel = document.createElement("div");
+  panel.id = `${prefix}ebl_vrm_panel`;
+  panel.className = "myr_ebl_vrm_panel";
+
+  for (let i = 0; i < PAIR_COUNT; i++) {
+    const row = document.createElement("div");
+    row.className = "myr_ebl_vrm_row";
+    row.style.color = PAIR_COLORS[i];
+
+    const selectBtn = document.createElement("div");
+    selectBtn.id = `${prefix}ebl_vrm_select_${i}`;
+    selectBtn.className = "myr_ebl_vrm_button";
+    selectBtn.textContent = `EBL/VRM ${i + 1}`;
+    selectBtn.title = "Click, then click or drag on the radar to place";
+    selectBtn.addEventListener("click", () => setActivePair(state, state.activePair === i ? -1 : i));
+
+    const readout = document.createElement("span");
+    readout.id = `${prefix}ebl_vrm_readout_${i}`;
+    readout.className = "myr_ebl_vrm_readout";
+
+    const clearBtn = document.createElement("div");
+    clearBtn.className = "myr_ebl_vrm_clear";
+    clearBtn.textContent = "×";
+    clearBtn.title = `Clear EBL/VRM ${i + 1}`;
+    clearBtn.addEventListener("click", () => {
+      state.pairs[i] = null;
+      if (state.activePair === i) setActivePair(state, -1);
+      savePairs(state);
+      update(state);
+    });
+
+    row.append(selectBtn, readout, clearBtn);
+    panel.appendChild(row);
+  }
+  container.appendChild(panel);
+
+  overlay.addEventListener("pointerdown", (e) => {
+    if (state.activePair < 0) return;
+    state.dragging = true;
+    overlay.setPointerCapture(e.pointerId);
+    placeActivePair(state, e.offsetX, e.offsetY);
+  });
+  overlay.addEventListener("pointermove", (e) => {
+    if (state.dragging) placeActivePair(state, e.offsetX, e.offsetY);
+  });
+  const endDrag = () => {
+    if (!state.dragging) return;
+    state.dragging = false;
+    savePairs(state);
+  };
+  overlay.addEventListener("pointerup", endDrag);
+  overlay.addEventListener("pointercancel", endDrag);
+
+  update(state);
+}
+
+/**
+ * Load the persisted EBL/VRM pairs of a display for its radar
+ * @param {Object} r - The renderer of the display
+ * @param {string} radarKey - Radar storage key (capabilities.key or radar id)
+ */
+function loadEblVrm(r, radarKey) {
+  const state = eblVrms.get(r);
+  if (!state) return;
+
+  state.storageKey = STORAGE_PREFIX + radarKey;
+  state.pairs = new Array(PAIR_COUNT).fill(null);
+  try {
+    const saved = JSON.parse(localStorage.getItem(state.storageKey));
+    if (Array.isArray(saved)) {
+      for (let i = 0; i < PAIR_COUNT; i++) {
+        state.pairs[i] = saved[i] || null;
+      }
+    }
+  } catch (e) {
+    console.warn("Failed to load EBL/VRM settings:", e.message);
+  }
+  update(state);
+}
+
+function savePairs(state) {
+  if (!state.storageKey) return;
+  try {
+    localStorage.setItem(state.storageKey, JSON.stringify(state.pairs));
+  } catch (e) {
+    console.warn("Failed to save EBL/VRM settings:", e.message);
+  }
+}
+
+/**
+ * Start or stop placing an EBL/VRM pair on a display, as its button does (keyboard shortcuts)
+ * @param {Object} r - The renderer of the display
+ * @param {number} index - Pair index, -1 to stop placing
+ */
+function selectEblVrm(r, index) {
+  const state = eblVrms.get(r);
+  if (!state) return;
+  setActivePair(state, index >= 0 && state.activePair === index ? -1 : index);
+}
+
+function setActivePair(state, index) {
+  state.activePair = index;
+  for (let i = 0; i < PAIR_COUNT; i++) {
+    const btn = document.getElementById(`${state.prefix}ebl_vrm_select_${i}`);
+    if (btn) btn.classList.toggle("myr_ebl_vrm_active", i === state.activePair);
+  }
+  const overlay = state.renderer.overlay_dom;
+  if (overlay) overlay.classList.toggle("myr_placing", state.activePair >= 0);
+}
+
+function placeActivePair(state, x, y) {
+  if (state.activePair < 0) return;
+
+  const renderer = state.renderer;
+  const polar = screenToPolar(renderer, x, y);
+  const isTrue = getHeadingMode(renderer) !== "headingUp";
+  const bearing = isTrue ? polar.bearing + getTrueHeading(renderer) : polar.bearing;
+
+  state.pairs[state.activePair] = {
+    bearing: normalizeDegrees((bearing * 180) / Math.PI),
+    reference: isTrue ? "true" : "relative",
+    range: polar.range,
+  };
+  update(state);
+}
+
+// Refresh the overlay (which also refreshes the readouts) after a change
+function update(state) {
+  state.renderer.redrawOverlay();
+}
+
+function updateReadouts(state, range) {
+  const metric = is_metric(range);
+
+  for (let i = 0; i < PAIR_COUNT; i++) {
+    const el = document.getElementById(`${state.prefix}ebl_vrm_readout_${i}`);
+    if (!el) continue;
+    const pair = state.pairs[i];
+    if (!pair) {
+      el.textContent = "---";
+      continue;
+    }
+    el.textContent = `${formatBearing(state.renderer, pair)}  ${formatDistance(metric, pair.range)}`;
+  }
+}
+
+// Bearing shown in the reference of the heading mode of the display
+function formatBearing(obj, pair) {
+  const isTrue = getHeadingMode(obj) !== "headingUp";
+  const bearing = isTrue ? trueBearingDegrees(obj, pair) : relativeBearingDegrees(obj, pair);
+  return `${bearing.toFixed(1)}°${isTrue ? "T" : "R"}`;
+}
+
+function relativeBearingDegrees(obj, pair) {
+  if (pair.reference === "true") {
+    return normalizeDegrees(pair.bearing - (getTrueHeading(obj) * 180) / Math.PI);
+  }
+  return pair.bearing;
+}
+
+function trueBearingDegrees(obj, pair) {
+  if (pair.reference === "relative") {
+    return normalizeDegrees(pair.bearing + (getTrueHeading(obj) * 180) / Math.PI);
+  }
+  return pair.bearing;
+}
+
+function normalizeDegrees(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Draw the EBL/VRM pairs on the overlay canvas (called from drawOverlay)
+ * @param {Object} obj - The renderer
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ */
+function drawEblVrm(obj, ctx) {
+  const state = eblVrms.get(obj);
+  if (!state) return;
+  const range = obj.range || obj.actual_range;
+  updateReadouts(state, range);
+  if (!range) return;
+
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  ctx.font = "bold 12px/1 Verdana, Geneva, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  for (let i = 0; i < PAIR_COUNT; i++) {
+    const pair = state.pairs[i];
+    if (!pair) continue;
+
+    const bearing = (relativeBearingDegrees(obj, pair) * Math.PI) / 180;
+    ctx.strokeStyle = PAIR_COLORS[i];
+    ctx.fillStyle = PAIR_COLORS[i];
+
+    // EBL: dashed line from own ship to the outer ring
+    const end = polarToScreen(obj, bearing, range);
+    ctx.setLineDash([8, 6]);
+    ctx.beginPath();
+    ctx.moveTo(obj.center_x, obj.center_y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+
+    // VRM: dotted circle
+    const radius = (pair.range / range) * obj.beam_length;
+    ctx.setLineDash([3, 4]);
+    ctx.beginPath();
+    ctx.arc(obj.center_x, obj.center_y, radius, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    // Pair number just beyond the EBL end
+    const label = polarToScreen(obj, bearing, range * 1.04);
+    ctx.fillText(String(i + 1), label.x, label.y);
+  }
+
+  ctx.restore();
+}
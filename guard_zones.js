@@ -0,0 +1,484 @@
+/**
+ * Guard Zones with audible and visual alarms
+ *
+ * A guard zone is an annular sector around own ship (inner/outer range,
+ * start/end bearing relative to the bow, clockwise; start == end is a full
+ * ring). When returns above the threshold are seen inside an enabled zone
+ * for a number of consecutive sweeps, an alarm banner is shown and a tone is
+ * played until the alarm is acknowledged. The threshold is a percentage of
+ * the intensity scale of the radar legend (see intensityLevel()).
+ *
+ * Browsers only play sound after a user gesture: until then a "tap to
+ * enable alarm sound" notice is shown while a zone is enabled.
+ *
+ * Every display has its own zones, editor and alarm banner for its radar;
+ * the alarm tone is shared by the page.
+ *
+ * The ranges are entered in the display unit (units.js), which in "auto"
+ * follows the range; the editor is rebuilt when that unit changes.
+ *
+ * Zones are stored as the "guardZones" installation setting, so they survive
+ * reloads and are shared with the SignalK plugin.
+ */
+
+export { initGuardZones, loadGuardZones, checkGuardZones, drawGuardZones };
+
+import van from "./van-1.5.2.js";
+import { getInstallationSettings, saveInstallationSetting } from "./api.js";
+import { DEFAULT_INTENSITIES, intensityLevel } from "./legend.js";
+import { distanceUnit, is_metric } from "./units.js";
+
+const { div, label, input, span, button } = van.tags;
+
+const ZONE_COUNT = 2;
+const NAUTICAL_MILE = 1852.0;
+const MAX_RANGE = 96 * NAUTICAL_MILE;
+const SETTING_KEY = "guardZones";
+
+// Renderer -> guard zones of its display
+const guards = new Map();
+
+let audioContext = null;
+let beepTimer = null;
+
+function defaultSettings() {
+  const zones = [];
+  for (let i = 0; i < ZONE_COUNT; i++) {
+    zones.push({ enabled: false, inner: 0, outer: NAUTICAL_MILE / 4, start: 0, end: 0 });
+  }
+  return {
+    zones,
+    level: 50, // Percentage of the intensity scale that counts as a return
+    sweeps: 3, // Consecutive sweeps with a return before alarming
+  };
+}
+
+function resetZoneState(guard) {
+  guard.zoneState = [];
+  for (let i = 0; i < ZONE_COUNT; i++) {
+    guard.zoneState.push({ hitThisSweep: false, consecutive: 0, alarm: false, acknowledged: false });
+  }
+  guard.lastAngle = -1;
+}
+
+/**
+ * Create the guard zone editor of a display under its control panel and the alarm banner on its PPI
+ * @param {Object} r - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initGuardZones(r, prefix) {
+  const guard = {
+    renderer: r,
+    prefix,
+    storageKey: null,
+    editorUnit: null, // Distance unit of the editor fields, see distanceUnit()
+    settings: defaultSettings(), // Persisted settings; ranges in meters, bearings in degrees
+    zoneState: [], // Detection state per zone
+    lastAngle: -1,
+  };
+  resetZoneState(guard);
+
+  // Zones restored from the settings must be able to sound without a click
+  // in the editor: any click or key on the page unlocks the audio
+  if (guards.size === 0) {
+    document.addEventListener("pointerdown", unlockAudio, true);
+    document.addEventListener("keydown", unlockAudio, true);
+  }
+  guards.set(r, guard);
+
+  const tools = document.getElementById(`${prefix}tools`);
+  if (tools) {
+    const section = div({ id: `${prefix}guard_zones`, class: "myr_control_section myr_guard_section" });
+    tools.appendChild(section);
+    buildEditor(guard);
+  }
+
+  const container = r.dom.parentNode;
+  if (container) {
+    van.add(container,
+      div({ id: `${prefix}guard_alarm`, class: "myr_guard_alarm", style: "display: none;" },
+        span({ id: `${prefix}guard_alarm_text` }),
+        button({ type: "button", class: "myr_guard_ack", onclick: () => acknowledgeAlarms(guard) }, "ACK")
+      ),
+      div({ id: `${prefix}guard_audio`, class: "myr_guard_audio", style: "display: none;", onclick: ensureAudio },
+        "Tap to enable alarm sound"
+      )
+    );
+  }
+}
+
+/**
+ * Load the guard zones of a display for its radar from the installation settings
+ * @param {Object} r - The renderer of the display
+ * @param {string} radarKey - Radar storage key (capabilities.key or radar id)
+ */
+async function loadGuardZones(r, radarKey) {
+  const guard = guards.get(r);
+  if (!guard) return;
+
+  guard.storageKey = radarKey;
+  const installation = await getInstallationSettings(radarKey);
+  const saved = installation[SETTING_KEY];
+
+  const settings = defaultSettings();
+  if (saved) {
+    // Older settings have a raw threshold on the 6-bit scale
+    settings.level =
+      saved.level ??
+      (saved.threshold != null ? Math.round((saved.threshold * 100) / (DEFAULT_INTENSITIES - 1)) : settings.level);
+    settings.sweeps = saved.sweeps ?? settings.sweeps;
+    for (let i = 0; i < ZONE_COUNT; i++) {
+      if (saved.zones?.[i]) {
+        settings.zones[i] = { ...settings.zones[i], ...saved.zones[i] };
+      }
+    }
+  }
+  guard.settings = settings;
+  resetZoneState(guard);
+  updateAlarmBanner(guard);
+  buildEditor(guard);
+  r.redrawOverlay();
+}
+
+function saveSettings(guard) {
+  if (!guard.storageKey) return;
+  saveInstallationSetting(guard.storageKey, SETTING_KEY, guard.settings);
+}
+
+// ============================================================================
+// Editor
+// ============================================================================
+
+// Display unit for the current range of the display
+function currentUnit(guard) {
+  return distanceUnit(is_metric(guard.renderer.range || guard.renderer.actual_range || 0));
+}
+
+function buildEditor(guard) {
+  const section = document.getElementById(`${guard.prefix}guard_zones`);
+  if (!section) return;
+  section.innerHTML = "";
+  guard.editorUnit = currentUnit(guard);
+  const { settings, editorUnit } = guard;
+  const maxRange = Math.round(MAX_RANGE / editorUnit.meters);
+
+  function onChange() {
+    // Any user interaction is a chance to unlock audio playback
+    ensureAudio();
+    readEditor(guard);
+    resetZoneState(guard);
+    updateAlarmBanner(guard);
+    saveSettings(guard);
+    guard.renderer.redrawOverlay();
+  }
+
+  function numberField(id, text, value, min, max, step) {
+    return div({ class: "myr_ntz_angle" },
+      label({ for: id }, text),
+      input({ type: "number", id, min, max, step, value, onchange: onChange })
+    );
+  }
+
+  function buildZoneEditor(i) {
+    const zone = settings.zones[i];
+    const prefix = `${guard.prefix}guard_zone${i + 1}`;
+    return div({ class: "myr_ntz_zone" },
+      div({ class: "myr_ntz_zone_header" },
+        label({ class: "myr_checkbox_label" },
+          input({ type: "checkbox", id: `${prefix}_enabled`, checked: zone.enabled, onchange: onChange }),
+          ` Zone ${i + 1}`
+        )
+      ),
+      div({ class: "myr_ntz_angles" },
+        numberField(`${prefix}_inner`, `Inner ${editorUnit.name}`, toUnit(editorUnit, zone.inner), 0, maxRange, 0.05),
+        numberField(`${prefix}_outer`, `Outer ${editorUnit.name}`, toUnit(editorUnit, zone.outer), 0, maxRange, 0.05)
+      ),
+      div({ class: "myr_ntz_angles" },
+        numberField(`${prefix}_start`, "Start°", zone.start, 0, 359, 1),
+        numberField(`${prefix}_end`, "End°", zone.end, 0, 359, 1)
+      )
+    );
+  }
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Guard Zones"),
+    div({ class: "myr_control myr_ntz_control" },
+      div({ class: "myr_ntz_zones" },
+        ...settings.zones.map((_, i) => buildZoneEditor(i))
+      ),
+      div({ class: "myr_ntz_angles myr_guard_params" },
+        numberField(`${guard.prefix}guard_level`, "Threshold %", settings.level, 1, 100, 1),
+        numberField(`${guard.prefix}guard_sweeps`, "Sweeps", settings.sweeps, 1, 20, 1)
+      )
+    )
+  );
+}
+
+function readEditor(guard) {
+  const { settings, editorUnit } = guard;
+  const num = (id, fallback) => {
+    const v = parseFloat(document.getElementById(id)?.value);
+    return Number.isFinite(v) ? v : fallback;
+  };
+
+  for (let i = 0; i < ZONE_COUNT; i++) {
+    const prefix = `${guard.prefix}guard_zone${i + 1}`;
+    const zone = settings.zones[i];
+    zone.enabled = document.getElementById(`${prefix}_enabled`)?.checked || false;
+    zone.inner = num(`${prefix}_inner`, zone.inner / editorUnit.meters) * editorUnit.meters;
+    zone.outer = num(`${prefix}_outer`, zone.outer / editorUnit.meters) * editorUnit.meters;
+    zone.start = num(`${prefix}_start`, zone.start);
+    zone.end = num(`${prefix}_end`, zone.end);
+    if (zone.outer < zone.inner) {
+      [zone.inner, zone.outer] = [zone.outer, zone.inner];
+    }
+  }
+  settings.level = Math.min(100, Math.max(1, Math.round(num(`${guard.prefix}guard_level`, settings.level))));
+  settings.sweeps = Math.max(1, Math.round(num(`${guard.prefix}guard_sweeps`, settings.sweeps)));
+}
+
+function toUnit(unit, meters) {
+  return Math.round((meters / unit.meters) * 1000) / 1000;
+}
+
+// Rebuild the editor when the display unit changed (units setting, or the
+// range in "auto" units), unless a field is being edited
+function followUnit(guard) {
+  const unit = currentUnit(guard);
+  if (!guard.editorUnit || unit.name === guard.editorUnit.name) return;
+  const section = document.getElementById(`${guard.prefix}guard_zones`);
+  if (section?.contains?.(document.activeElement)) return;
+  buildEditor(guard);
+}
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+// True if relative bearing (degrees) lies in the clockwise sector start..end
+function inSector(deg, start, end) {
+  if (start === end) return true;
+  if (start < end) return deg >= start && deg < end;
+  return deg >= start || deg < end;
+}
+
+/**
+ * Check one spoke against the enabled guard zones of its display (called for every received spoke)
+ * @param {Object} r - The renderer of the display
+ * @param {Object} spoke - Decoded spoke (angle, range, data)
+ * @param {number} spokesPerRevolution - Spokes per revolution for this radar
+ * @param {number} maxSpokeLen - Samples covering the range, as in the renderer
+ */
+function checkGuardZones(r, spoke, spokesPerRevolution, maxSpokeLen) {
+  const guard = guards.get(r);
+  if (!guard) return;
+
+  // A new sweep starts when the angle wraps around
+  if (guard.lastAngle >= 0 && spoke.angle < guard.lastAngle - spokesPerRevolution / 2) {
+    endSweep(guard);
+  }
+  guard.lastAngle = spoke.angle;
+
+  const len = Math.min(spoke.data.length, maxSpokeLen);
+  if (!len || !spoke.range) return;
+
+  const deg = (spoke.angle * 360) / spokesPerRevolution;
+  // Shorter spokes end before the range, like in the renderers
+  const metersPerPixel = spoke.range / maxSpokeLen;
+  const threshold = intensityLevel(guard.settings.level / 100, r.intensities ?? DEFAULT_INTENSITIES);
+
+  for (let z = 0; z < ZONE_COUNT; z++) {
+    const zone = guard.settings.zones[z];
+    const state = guard.zoneState[z];
+    if (!zone.enabled || state.hitThisSweep) continue;
+    if (!inSector(deg, zone.start, zone.end)) continue;
+
+    const first = Math.max(0, Math.floor(zone.inner / metersPerPixel));
+    const last = Math.min(len - 1, Math.ceil(zone.outer / metersPerPixel));
+    for (let i = first; i <= last; i++) {
+      if (spoke.data[i] >= threshold) {
+        state.hitThisSweep = true;
+        break;
+      }
+    }
+  }
+}
+
+function endSweep(guard) {
+  let changed = false;
+  for (let z = 0; z < ZONE_COUNT; z++) {
+    const state = guard.zoneState[z];
+    if (state.hitThisSweep) {
+      state.consecutive++;
+      if (state.consecutive >= guard.settings.sweeps && !state.alarm) {
+        state.alarm = true;
+        state.acknowledged = false;
+        changed = true;
+        console.log(`Guard zone ${z + 1} alarm`);
+      }
+    } else {
+      state.consecutive = 0;
+      if (state.alarm) {
+        // Zone is clear again; a new intrusion will raise a new alarm
+        state.alarm = false;
+        changed = true;
+      }
+    }
+    state.hitThisSweep = false;
+  }
+  if (changed) {
+    updateAlarmBanner(guard);
+    guard.renderer.redrawOverlay();
+  }
+}
+
+// ============================================================================
+// Alarm
+// ============================================================================
+
+function acknowledgeAlarms(guard) {
+  ensureAudio();
+  guard.zoneState.forEach(state => {
+    if (state.alarm) state.acknowledged = true;
+  });
+  updateAlarmBanner(guard);
+}
+
+// Zone numbers of a display with an alarm that was not acknowledged
+function activeAlarms(guard) {
+  const active = [];
+  guard.zoneState.forEach((state, i) => {
+    if (state.alarm && !state.acknowledged) active.push(i + 1);
+  });
+  return active;
+}
+
+function updateAlarmBanner(guard) {
+  const active = activeAlarms(guard);
+
+  const banner = document.getElementById(`${guard.prefix}guard_alarm`);
+  const text = document.getElementById(`${guard.prefix}guard_alarm_text`);
+  if (banner && text) {
+    banner.style.display = active.length > 0 ? "flex" : "none";
+    text.textContent = `GUARD ZONE ${active.join(" + ")} ALARM`;
+  }
+
+  // The tone sounds while any display has an alarm
+  if ([...guards.values()].some((g) => activeAlarms(g).length > 0)) {
+    startBeeping();
+  } else {
+    stopBeeping();
+  }
+  updateAudioNotice();
+}
+
+function isArmed(guard) {
+  return guard.settings.zones.some((zone) => zone.enabled);
+}
+
+// Browsers only allow audio after a user gesture, so the context is created
+// (or resumed) from click and key handlers and reused for the alarm
+function ensureAudio() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return null;
+  if (!audioContext) {
+    audioContext = new AudioCtx();
+    audioContext.onstatechange = updateAudioNotice;
+  }
+  if (audioContext.state === "suspended") {
+    audioContext.resume();
+  }
+  return audioContext;
+}
+
+// Gesture anywhere on the page; the context is only created once a zone is enabled
+function unlockAudio() {
+  if ([...guards.values()].some(isArmed)) ensureAudio();
+}
+
+// Shown on the displays with an enabled zone while its alarm could not sound
+function updateAudioNotice() {
+  const canPlay = audioContext?.state === "running" || !(window.AudioContext || window.webkitAudioContext);
+  for (const guard of guards.values()) {
+    const notice = document.getElementById(`${guard.prefix}guard_audio`);
+    if (notice) notice.style.display = isArmed(guard) && !canPlay ? "block" : "none";
+  }
+}
+
+function beep() {
+  const ctx = ensureAudio();
+  if (!ctx) return;
+
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+  oscillator.type = "square";
+  oscillator.frequency.value = 880;
+  gain.gain.setValueAtTime(0.2, ctx.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.4);
+  oscillator.connect(gain);
+  gain.connect(ctx.destination);
+  oscillator.start();
+  oscillator.stop(ctx.currentTime + 0.4);
+}
+
+function startBeeping() {
+  if (beepTimer) return;
+  beep();
+  beepTimer = setInterval(beep, 1000);
+}
+
+function stopBeeping() {
+  if (beepTimer) {
+    clearInterval(beepTimer);
+    beepTimer = null;
+  }
+}
+
+// ============================================================================
+// Drawing
+// ============================================================================
+
+/**
+ * Draw the enabled guard zones on the overlay canvas (called from drawOverlay)
+ * @param {Object} obj - The renderer
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ */
+function drawGuardZones(obj, ctx) {
+  const guard = guards.get(obj);
+  if (!guard) return;
+  followUnit(guard);
+  const range = obj.range || obj.actual_range;
+  if (!range) return;
+
+  ctx.save();
+  ctx.lineWidth = 1.5;
+
+  for (let z = 0; z < ZONE_COUNT; z++) {
+    const zone = guard.settings.zones[z];
+    if (!zone.enabled) continue;
+
+    const inner = (Math.min(zone.inner, range) / range) * obj.beam_length;
+    const outer = (Math.min(zone.outer, range) / range) * obj.beam_length;
+
+    // Canvas angles start at 3 o'clock; relative bearings at the top
+    const rotation = (obj.headingRotation || 0) - Math.PI / 2;
+    let start = (zone.start * Math.PI) / 180 + rotation;
+    let end = (zone.end * Math.PI) / 180 + rotation;
+    if (zone.start === zone.end) {
+      end = start + 2 * Math.PI;
+    }
+
+    ctx.beginPath();
+    ctx.arc(obj.center_x, obj.center_y, outer, start, end);
+    ctx.arc(obj.center_x, obj.center_y, inner, end, start, true);
+    ctx.closePath();
+
+    const alarm = guard.zoneState[z].alarm;
+    ctx.fillStyle = alarm ? "rgba(255, 0, 0, 0.25)" : "rgba(255, 165, 0, 0.08)";
+    ctx.strokeStyle = alarm ? "#ff3030" : "#ffa500";
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
@@ -0,0 +1,155 @@
+/**
+ * Heading and position source selection
+ *
+ * - "signalk": SignalK stream of this server (SignalK mode) or of a
+ *   user-supplied server URL (needed in standalone mode)
+ * - "spoke": heading derived from the spoke bearing (bearing - angle), for
+ *   radars or servers that enrich the spokes with a true bearing
+ * - "none": no heading, North Up is not available
+ *
+ * The source is chosen once for the page, stored in localStorage, and
+ * feeds the heading of every display. The connection itself is handled by
+ * viewer.js, which reports its state back through setHeadingSourceStatus().
+ */
+
+export { initHeadingSource, getHeadingSource, setHeadingSourceStatus, signalkStreamUrl };
+
+import van from "./van-1.5.2.js";
+
+const { div, label, input, span, button } = van.tags;
+
+const STORAGE_KEY = "mayara.headingSource";
+
+const SOURCES = [
+  { value: "signalk", label: "SignalK" },
+  { value: "spoke", label: "Spoke" },
+  { value: "none", label: "None" },
+];
+
+let source = null;
+let onChangeCallback = null;
+let statusText = "";
+
+/**
+ * Load the heading source and create its section in the control panel
+ * @param {boolean} standalone - True in standalone mode (no SignalK on this server)
+ * @param {Function} onChange - Called with the new source after a change
+ * @returns {Object} The current source, { type, url }
+ */
+function initHeadingSource(standalone, onChange) {
+  onChangeCallback = onChange;
+
+  source = { type: standalone ? "spoke" : "signalk", url: "" };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && SOURCES.some((s) => s.value === saved.type)) {
+      source = { type: saved.type, url: saved.url || "" };
+    }
+  } catch (e) {
+    console.warn("Failed to load heading source:", e.message);
+  }
+
+  const controller = document.getElementById("myr_controller");
+  if (controller) {
+    const section = div({ id: "myr_heading_source", class: "myr_control_section myr_heading_source_section" });
+    controller.appendChild(section);
+    buildEditor(standalone);
+  }
+
+  return source;
+}
+
+function getHeadingSource() {
+  return source;
+}
+
+function saveSource() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(source));
+  } catch (e) {
+    console.warn("Failed to save heading source:", e.message);
+  }
+}
+
+function buildEditor(standalone) {
+  const section = document.getElementById("myr_heading_source");
+  if (!section) return;
+  section.innerHTML = "";
+
+  function select(type) {
+    source = { ...source, type };
+    changed();
+  }
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Heading Source"),
+    div({ class: "myr_control myr_enum_control" },
+      div({ class: "myr_button_group", id: "myr_heading_source_group" },
+        ...SOURCES.map((s) => button({
+          type: "button",
+          class: `myr_enum_button ${s.value === source.type ? "myr_enum_active" : ""}`,
+          "data-value": s.value,
+          onclick: () => select(s.value),
+        }, s.label))
+      )
+    ),
+    div({ class: "myr_ntz_angle myr_heading_source_url", style: source.type === "signalk" ? "" : "display: none;" },
+      label({ for: "myr_heading_source_url" }, "SignalK server URL"),
+      input({
+        type: "text",
+        id: "myr_heading_source_url",
+        value: source.url,
+        placeholder: standalone ? "http://192.168.1.10:3000" : "this server",
+        onchange: (e) => {
+          source = { ...source, url: e.target.value.trim() };
+          changed();
+        },
+      })
+    ),
+    span({ id: "myr_heading_source_status", class: "myr_heading_source_status" }, statusText)
+  );
+
+  function changed() {
+    saveSource();
+    buildEditor(standalone);
+    if (onChangeCallback) onChangeCallback(source);
+  }
+}
+
+/**
+ * Show the state of the heading source in the control panel and on the heading toggle
+ * @param {string} text - Status text, e.g. "Connected"
+ */
+function setHeadingSourceStatus(text) {
+  statusText = text;
+  const el = document.getElementById("myr_heading_source_status");
+  if (el) el.textContent = text;
+  const toggle = document.getElementById("myr_heading_toggle");
+  if (toggle) toggle.title = `Click to toggle: Heading Up / North Up\nHeading: ${text}`;
+}
+
+/**
+ * SignalK stream URL for a user-supplied server URL
+ * Accepts "host:port", "http(s)://host:port" or a full ws(s):// stream URL.
+ * @param {string} url - Server URL, empty for this server
+ * @returns {string} WebSocket URL of the SignalK delta stream
+ */
+function signalkStreamUrl(url) {
+  if (!url) {
+    const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    return `${wsProtocol}//${window.location.host}/signalk/v1/stream?subscribe=none`;
+  }
+
+  let streamUrl = url;
+  if (!/^[a-z]+:\/\//i.test(streamUrl)) {
+    streamUrl = "ws://" + streamUrl;
+  }
+  streamUrl = streamUrl.replace(/^http/i, "ws");
+  if (!streamUrl.includes("/signalk/")) {
+    streamUrl = streamUrl.replace(/\/*$/, "") + "/signalk/v1/stream";
+  }
+  if (!streamUrl.includes("?")) {
+    streamUrl += "?subscribe=none";
+  }
+  return streamUrl;
+}
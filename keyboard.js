@@ -0,0 +1,256 @@
+/**
+ * Keyboard shortcuts
+ *
+ * Keys for the common radar operations, also for helm keypads and USB
+ * rotary encoders that present themselves as a keyboard: range in/out,
+ * G/S/R to select gain, sea or rain and the arrow keys to step the selected
+ * control, T or Space for transmit/standby, and in the viewer H for the
+ * heading mode and E/V to place EBL/VRM 1 and 2.
+ *
+ * "?" shows the help overlay, which lists the keys and lets each action be
+ * bound to another key. One set of bindings, kept in localStorage, serves
+ * all pages; in split.html the keys act on the first display.
+ */
+
+export { initKeyboard };
+
+import van from "./van-1.5.2.js";
+
+const { div, span, button, table, tr, td } = van.tags;
+
+const STORAGE_KEY = "mayara.keys";
+
+// Actions in the order of the help overlay; keys as KeyboardEvent.key, letters in lower case
+const ACTIONS = [
+  { id: "rangeOut", label: "Range +", keys: ["+", "="] },
+  { id: "rangeIn", label: "Range -", keys: ["-"] },
+  { id: "gain", label: "Select gain", keys: ["g"] },
+  { id: "sea", label: "Select sea clutter", keys: ["s"] },
+  { id: "rain", label: "Select rain clutter", keys: ["r"] },
+  { id: "increase", label: "Selected control up", keys: ["ArrowUp", "ArrowRight"] },
+  { id: "decrease", label: "Selected control down", keys: ["ArrowDown", "ArrowLeft"] },
+  { id: "power", label: "Transmit / Standby", keys: ["t", " "] },
+  { id: "headingMode", label: "Heading mode", keys: ["h"] },
+  { id: "eblVrm1", label: "Place EBL/VRM 1", keys: ["e"] },
+  { id: "eblVrm2", label: "Place EBL/VRM 2", keys: ["v"] },
+  { id: "cancel", label: "Deselect / stop placing", keys: ["Escape"] },
+  { id: "help", label: "Show this help", keys: ["?"] },
+];
+
+const KEY_NAMES = {
+  " ": "Space",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Escape: "Esc",
+};
+
+// Pressed together with the key to bind, not bound themselves
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph"];
+
+// Text entry: typed keys are not shortcuts
+const TEXT_INPUT_TYPES = ["text", "number", "search", "email", "url", "password", "tel"];
+
+let control = null;
+let handlers = {};
+let bindings = {}; // Action id -> keys
+let selectedControl = null; // Control stepped by the arrow keys
+let capturing = null; // Action id waiting for its new key in the help overlay
+
+/**
+ * Handle the keyboard shortcuts of a page
+ * @param {radar_control} c - Control panel the range, power and control keys act on
+ * @param {Object} [extra] - Handlers of the viewer actions: headingMode, eblVrm1, eblVrm2, cancel
+ */
+function initKeyboard(c, extra = {}) {
+  control = c;
+  handlers = {
+    rangeOut: () => control.changeRange(1),
+    rangeIn: () => control.changeRange(-1),
+    gain: () => selectControl("gain"),
+    sea: () => selectControl("sea"),
+    rain: () => selectControl("rain"),
+    increase: () => adjustSelected(1),
+    decrease: () => adjustSelected(-1),
+    power: () => control.togglePower(),
+    help: toggleHelp,
+    ...extra,
+    cancel: () => {
+      if (document.getElementById("myr_keys_help")) toggleHelp();
+      selectControl(null);
+      if (extra.cancel) extra.cancel();
+    },
+  };
+
+  loadBindings();
+  document.addEventListener("keydown", onKeyDown);
+}
+
+function loadBindings() {
+  bindings = Object.fromEntries(ACTIONS.map((a) => [a.id, a.keys]));
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) {
+      for (const a of ACTIONS) {
+        if (Array.isArray(saved[a.id])) bindings[a.id] = saved[a.id];
+      }
+    }
+  } catch (e) {
+    console.warn("Failed to load keyboard shortcuts:", e.message);
+  }
+}
+
+function saveBindings() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (e) {
+    console.warn("Failed to save keyboard shortcuts:", e.message);
+  }
+}
+
+// Key of an event as stored in the bindings
+function keyOf(e) {
+  return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+function keyName(key) {
+  return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+function isTextEntry(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  return el.tagName === "INPUT" && TEXT_INPUT_TYPES.includes(el.type);
+}
+
+function onKeyDown(e) {
+  if (capturing) {
+    if (MODIFIER_KEYS.includes(e.key)) return;
+    e.preventDefault();
+    if (e.key !== "Escape") bindKey(capturing, keyOf(e));
+    capturing = null;
+    buildHelp();
+    return;
+  }
+
+  // Leave browser shortcuts and typing alone
+  if (e.ctrlKey || e.metaKey || e.altKey || isTextEntry(e.target)) return;
+
+  const key = keyOf(e);
+  const action = ACTIONS.find((a) => handlers[a.id] && bindings[a.id].includes(key));
+  if (!action) return;
+  // Arrow keys without a selected control scroll as usual
+  if ((action.id === "increase" || action.id === "decrease") && !selectedControl) return;
+
+  // Also keeps Space from clicking the focused button
+  e.preventDefault();
+  handlers[action.id]();
+}
+
+// A key belongs to one action only
+function bindKey(actionId, key) {
+  for (const id of Object.keys(bindings)) {
+    bindings[id] = bindings[id].filter((k) => k !== key);
+  }
+  bindings[actionId] = [key];
+  saveBindings();
+}
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+// Highlight the control stepped by the arrow keys, null for none
+function selectControl(controlId) {
+  const controlsEl = document.getElementById(`${control.prefix}controls`);
+  controlsEl?.querySelector(".myr_control_selected")?.classList.remove("myr_control_selected");
+
+  selectedControl = control.capabilities?.controls?.some((c) => c.id === controlId) ? controlId : null;
+  if (!selectedControl) return;
+
+  const widget = controlsEl?.querySelector(`[data-control-id="${selectedControl}"]`);
+  if (widget) {
+    widget.classList.add("myr_control_selected");
+    widget.scrollIntoView?.({ block: "nearest" });
+  }
+}
+
+function adjustSelected(direction) {
+  // The panel may have been rebuilt since the control was selected
+  selectControl(selectedControl);
+  if (selectedControl) control.adjustControl(selectedControl, direction);
+}
+
+// ============================================================================
+// Help overlay
+// ============================================================================
+
+function toggleHelp() {
+  const overlay = document.getElementById("myr_keys_help");
+  if (overlay) {
+    capturing = null;
+    overlay.remove();
+    return;
+  }
+  document.body.appendChild(
+    div({
+      id: "myr_keys_help",
+      class: "myr_keys_help",
+      onclick: (e) => {
+        if (e.target.id === "myr_keys_help") toggleHelp();
+      },
+    })
+  );
+  buildHelp();
+}
+
+function buildHelp() {
+  const overlay = document.getElementById("myr_keys_help");
+  if (!overlay) return;
+  overlay.innerHTML = "";
+
+  const rows = ACTIONS.filter((a) => handlers[a.id]).map((a) =>
+    tr(
+      td(a.label),
+      td({ class: "myr_keys_keys" },
+        capturing === a.id
+          ? span({ class: "myr_keys_capture" }, "Press a key...")
+          : bindings[a.id].length > 0
+            ? bindings[a.id].map((k) => span({ class: "myr_keys_key" }, keyName(k)))
+            : "-"
+      ),
+      td(
+        button({
+          type: "button",
+          class: "myr_keys_change",
+          title: "Bind another key, Esc to keep the current one",
+          onclick: () => {
+            capturing = a.id;
+            buildHelp();
+          },
+        }, "Change")
+      )
+    )
+  );
+
+  van.add(overlay,
+    div({ class: "myr_keys_panel" },
+      div({ class: "myr_keys_title" }, "Keyboard shortcuts"),
+      table(...rows),
+      div({ class: "myr_keys_buttons" },
+        button({
+          type: "button",
+          class: "myr_keys_change",
+          onclick: () => {
+            capturing = null;
+            localStorage.removeItem(STORAGE_KEY);
+            loadBindings();
+            buildHelp();
+          },
+        }, "Reset defaults"),
+        button({ type: "button", class: "myr_keys_change", onclick: toggleHelp }, "Close")
+      )
+    )
+  );
+}
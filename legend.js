@@ -0,0 +1,319 @@
+/**
+ * Colour legend for the spoke data
+ *
+ * buildMayaraLegend() is the client-side ramp for 6-bit intensity data,
+ * buildLegend() selects it or one of the other PALETTES by name.
+ * buildRadarLegend() fits the palette to the legend of the radar: the number
+ * of intensity values (e.g. 16 for Navico, 256 for 8-bit radars) and the
+ * special values for target borders, Doppler and history. Doppler marks
+ * approaching and receding returns; a key is drawn on the overlay of each
+ * display while Doppler is on for its radar.
+ *
+ * Echo thresholds (trails, MARPA, guard zones) are a fraction of the
+ * intensity scale, see intensityLevel(), so they work the same on 4-bit and
+ * 8-bit radars.
+ */
+
+export { PALETTES, DEFAULT_INTENSITIES, buildLegend, buildMayaraLegend, buildRadarLegend, intensityLevel, hexToRGBA, setDopplerKey, setDopplerMode, drawLegendKey };
+
+import { textColor } from "./palette.js";
+
+// Intensity values of the 6-bit data the palettes are made for
+const DEFAULT_INTENSITIES = 64;
+
+// Colours of the special pixel types, when the radar legend has none
+const SPECIAL_COLORS = {
+  TargetBorder: "#c8c8c8ff",
+  DopplerApproaching: "#ff40ffff",
+  DopplerReceding: "#00e0e0ff",
+  History: "#40608cff",
+};
+
+// Special pixel types shown in the overlay key
+const KEY_LABELS = {
+  DopplerApproaching: "Approaching",
+  DopplerReceding: "Receding",
+};
+
+// Renderer -> Doppler key of the radar it shows:
+// { entries: [{ label, index, color }], enabled }
+const dopplerKeys = new Map();
+
+// Selectable palettes: name -> { label, build }
+const PALETTES = {
+  mayara: { label: "MaYaRa", build: buildMayaraLegend },
+  classic: { label: "Classic", build: () => buildRamp(classicColor) },
+  multi: { label: "Multi", build: () => buildRamp(multiColor) },
+  mono: { label: "Mono", build: () => buildRamp(monoColor) },
+  night: { label: "Night", build: () => buildRamp(nightColor) },
+};
+
+/**
+ * Build the 256-entry legend of a palette
+ * @param {string} name - Key in PALETTES, unknown names give the MaYaRa palette
+ * @returns {Array} 256 [r, g, b, a] entries
+ */
+function buildLegend(name) {
+  return (PALETTES[name] || PALETTES.mayara).build();
+}
+
+// Legend from a colour function of the intensity t in (0, 1], for 6-bit data
+// like buildMayaraLegend(): index 0 is transparent, >63 is full intensity
+function buildRamp(color) {
+  const legend = [[0, 0, 0, 0]];
+  for (let i = 1; i < 256; i++) {
+    const [r, g, b] = color(Math.min(i, 63) / 63);
+    legend.push([Math.floor(r), Math.floor(g), Math.floor(b), 255]);
+  }
+  return legend;
+}
+
+// Classic: yellow on black, brighter with intensity
+function classicColor(t) {
+  return [80 + t * 175, 70 + t * 150, 0];
+}
+
+// Multi-colour: blue → cyan → green → yellow → red
+function multiColor(t) {
+  const hue = 240 * (1 - t);
+  const x = 1 - Math.abs(((hue / 60) % 2) - 1);
+  const [r, g, b] =
+    hue >= 180 ? [0, x, 1] : hue >= 120 ? [0, 1, x] : hue >= 60 ? [x, 1, 0] : [1, x, 0];
+  return [r * 255, g * 255, b * 255];
+}
+
+// Green monochrome, whitening slightly for the strongest returns
+function monoColor(t) {
+  const white = Math.max(0, t - 0.8) * 300;
+  return [white, 60 + t * 195, white];
+}
+
+// Night: dim red, turning amber for strong returns
+function nightColor(t) {
+  return [40 + t * 120, t * t * 60, 0];
+}
+
+// Build 256-color MaYaRa palette for radar PPI display
+// Smooth color gradient: Dark Green → Green → Yellow → Red
+// Designed for 6-bit radar data (0-63 intensity values)
+// This is a client-side rendering concern - not part of the radar API
+function buildMayaraLegend() {
+  const legend = [];
+  for (let i = 0; i < 256; i++) {
+    let r, g, b;
+    if (i === 0) {
+      // Index 0: transparent/black (noise floor)
+      r = g = b = 0;
+    } else if (i <= 15) {
+      // 1-15: dark green → brighter green (weak returns)
+      const t = (i - 1) / 14;
+      r = 0;
+      g = Math.floor(50 + t * 100);
+      b = 0;
+    } else if (i <= 31) {
+      // 16-31: green → yellow-green (moderate returns)
+      const t = (i - 16) / 15;
+      r = Math.floor(t * 200);
+      g = Math.floor(150 + t * 55);
+      b = 0;
+    } else if (i <= 47) {
+      // 32-47: yellow → yellow-red (stronger returns)
+      const t = (i - 32) / 15;
+      r = Math.floor(200 + t * 55);
+      g = Math.floor(205 - t * 125);
+      b = 0;
+    } else if (i <= 63) {
+      // 48-63: red (strong returns / land)
+      const t = (i - 48) / 15;
+      r = 255;
+      g = Math.max(0, Math.floor(80 - t * 80));
+      b = 0;
+    } else {
+      // >63: saturated red (overflow)
+      r = 255;
+      g = 0;
+      b = 0;
+    }
+    // RGBA: alpha is 0 for index 0 (transparent), 255 for others
+    legend.push([r, g, b, i === 0 ? 0 : 255]);
+  }
+  return legend;
+}
+
+function hexToRGBA(hex) {
+  let a = Array();
+  for (let i = 1; i < hex.length; i += 2) {
+    a.push(parseInt(hex.slice(i, i + 2), 16));
+  }
+  while (a.length < 3) {
+    a.push(0);
+  }
+  while (a.length < 4) {
+    a.push(255);
+  }
+
+  return a;
+}
+
+// Pixel lookup of the radar legend, [{ type, color }] by pixel value, or [].
+// Accepts { pixels: [...] }, a plain array, or an object keyed by pixel value.
+function radarPixels(radarLegend) {
+  if (!radarLegend) return [];
+  if (Array.isArray(radarLegend)) return radarLegend;
+  if (Array.isArray(radarLegend.pixels)) return radarLegend.pixels;
+
+  const pixels = [];
+  for (const [key, value] of Object.entries(radarLegend)) {
+    if (/^\d+$/.test(key) && Number(key) < 256) pixels[Number(key)] = value;
+  }
+  return pixels;
+}
+
+/**
+ * Build the colour table for a radar from its legend and the selected palette
+ *
+ * The legend comes from characteristics.legend (or capabilities.legend):
+ * pixels of type "Normal" are intensities, the others (target border,
+ * Doppler, history) are special values with their own colour. Intensities
+ * use the radar's own colours with the MaYaRa palette, and the selected
+ * palette rescaled to the number of intensities otherwise. Without pixels,
+ * pixelColors (or characteristics.pixelValues) gives the number of
+ * intensities; without either the 6-bit palette is used as is.
+ * Doppler values can also be declared as characteristics.dopplerApproaching
+ * / dopplerReceding on radars with hasDoppler.
+ *
+ * @param {string} palette - Key in PALETTES
+ * @param {Object} capabilities - Capability manifest of the radar
+ * @returns {Object} { legend: 256 [r, g, b, a] entries, specialValues: pixel values that are not intensities,
+ *   intensities: number of intensity values, dopplerKey: Doppler entries for setDopplerKey() }
+ */
+function buildRadarLegend(palette, capabilities) {
+  const chars = capabilities?.characteristics || {};
+  const radarLegend = chars.legend || capabilities?.legend || null;
+  const pixels = radarPixels(radarLegend);
+  const ramp = buildLegend(palette);
+  const legend = ramp.slice();
+
+  // Special values, from the pixel types or declared by index
+  const special = new Map(); // pixel value -> type
+  pixels.forEach((p, i) => {
+    if (p?.type && p.type !== "Normal" && SPECIAL_COLORS[p.type]) special.set(i, p.type);
+  });
+  const declared = [
+    ["TargetBorder", radarLegend?.border],
+    ["DopplerApproaching", radarLegend?.dopplerApproaching ?? (chars.hasDoppler ? chars.dopplerApproaching : null)],
+    ["DopplerReceding", radarLegend?.dopplerReceding ?? (chars.hasDoppler ? chars.dopplerReceding : null)],
+  ];
+  for (const [type, index] of declared) {
+    if (Number.isInteger(index) && index >= 0 && index < 256 && ![...special.values()].includes(type)) {
+      special.set(index, type);
+    }
+  }
+
+  // Intensities: pixel values 0..count-1
+  const count =
+    radarLegend?.pixelColors ??
+    chars.pixelValues ??
+    pixels.filter((p, i) => !special.has(i) && (!p?.type || p.type === "Normal")).length;
+  if (count > 1) {
+    for (let i = 0; i < count && i < 256; i++) {
+      const own = pixels[i]?.color;
+      if (palette === "mayara" && typeof own === "string") {
+        legend[i] = hexToRGBA(own);
+      } else {
+        legend[i] = ramp[Math.round((i * 63) / (count - 1))];
+      }
+    }
+    // Values above the intensities that are not special are drawn as the strongest return
+    for (let i = count; i < 256; i++) {
+      legend[i] = legend[count - 1];
+    }
+    // The noise floor stays transparent, whatever colour the radar gives it
+    legend[0] = [0, 0, 0, 0];
+  }
+
+  const dopplerKey = [];
+  for (const [index, type] of special) {
+    const own = pixels[index]?.color;
+    const color = typeof own === "string" ? own : SPECIAL_COLORS[type];
+    legend[index] = hexToRGBA(color);
+    if (KEY_LABELS[type]) dopplerKey.push({ label: KEY_LABELS[type], index, color });
+  }
+  dopplerKey.sort((a, b) => a.label.localeCompare(b.label));
+
+  return {
+    legend,
+    specialValues: [...special.keys()],
+    intensities: count > 1 ? Math.min(count, 256) : DEFAULT_INTENSITIES,
+    dopplerKey,
+  };
+}
+
+/**
+ * Pixel value at a fraction of the intensity scale
+ * @param {number} fraction - Fraction of the strongest intensity, 0..1
+ * @param {number} intensities - Number of intensity values of the legend
+ * @returns {number} Smallest pixel value that counts, at least 1
+ */
+function intensityLevel(fraction, intensities) {
+  return Math.max(1, Math.round(fraction * (intensities - 1)));
+}
+
+// Doppler key of a renderer, shown until the dopplerMode control says otherwise
+function dopplerKeyOf(obj) {
+  if (!dopplerKeys.has(obj)) dopplerKeys.set(obj, { entries: [], enabled: true });
+  return dopplerKeys.get(obj);
+}
+
+/**
+ * Set the Doppler entries of the legend a renderer uses
+ * @param {Object} obj - The renderer
+ * @param {Array} entries - dopplerKey from buildRadarLegend()
+ */
+function setDopplerKey(obj, entries) {
+  dopplerKeyOf(obj).entries = entries;
+}
+
+/**
+ * Show or hide the Doppler key of a renderer, following the dopplerMode control of its radar
+ * @param {Object} obj - The renderer
+ * @param {*} value - Control value: { enabled, mode } (Furuno) or an enum value (0/"off" is off)
+ */
+function setDopplerMode(obj, value) {
+  if (value !== null && typeof value === "object") {
+    dopplerKeyOf(obj).enabled = !!value.enabled;
+  } else {
+    dopplerKeyOf(obj).enabled = !!value && value !== "off";
+  }
+}
+
+/**
+ * Draw the Doppler colour key at the bottom of the overlay (called from drawOverlay)
+ * @param {Object} obj - The renderer
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ */
+function drawLegendKey(obj, ctx) {
+  const { entries, enabled } = dopplerKeyOf(obj);
+  if (!enabled || entries.length === 0) return;
+
+  ctx.save();
+  ctx.font = "12px/1 Verdana, Geneva, sans-serif";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+
+  const box = 12;
+  const gap = 16;
+  const widths = entries.map((entry) => box + 6 + ctx.measureText(entry.label).width);
+  let x = obj.width / 2 - (widths.reduce((a, b) => a + b, 0) + gap * (widths.length - 1)) / 2;
+  const y = obj.height - 20;
+
+  entries.forEach((entry, i) => {
+    ctx.fillStyle = entry.color.slice(0, 7);
+    ctx.fillRect(x, y - box / 2, box, box);
+    ctx.fillStyle = textColor("#00ff00");
+    ctx.fillText(entry.label, x + box + 6, y);
+    x += widths[i] + gap;
+  });
+
+  ctx.restore();
+}
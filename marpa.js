@@ -0,0 +1,534 @@
+/**
+ * MARPA - manual target acquisition and tracking
+ *
+ * Click "ACQ" and then a blob on the PPI to acquire a target. Each time the
+ * sweep has passed a target, the echoes around its predicted position are
+ * read back from the renderer's spoke buffer (renderer.data) and their
+ * centroid is fed into an alpha-beta filter.
+ *
+ * Targets are tracked relative to own ship, in a north-oriented frame when
+ * the heading is known (bow-oriented otherwise), so the filtered velocity is
+ * the relative motion used for CPA/TCPA. Adding own ship velocity, estimated
+ * from the spoke lat/lon, gives the true course and speed.
+ *
+ * Every display tracks the targets of its own radar. Tracked targets are
+ * published per radar as a "mayara-targets" CustomEvent on window and on the
+ * "mayara-targets" BroadcastChannel for other pages.
+ */
+
+export { initMarpa, setMarpaRadar, updateMarpa, drawMarpa };
+
+import { getTrueHeading, hasHeading, getOwnPosition } from "./viewer.js";
+import { formatDistance, is_metric } from "./units.js";
+import { screenToPolar, polarToScreen } from "./overlay.js";
+import { intensityLevel } from "./legend.js";
+
+const TARGET_COLOR = "#ffff00";
+const LOST_COLOR = "#ff4040";
+const MAX_TARGETS = 10;
+const ECHO_LEVEL = 0.5; // Fraction of the intensity scale that counts as an echo
+const VECTOR_MINUTES = 6;
+const LOST_AFTER_MISSES = 3;
+const DROP_AFTER_MISSES = 10;
+const TRACKING_AFTER_UPDATES = 3;
+const MIN_UPDATE_SECONDS = 0.5; // Ignore window crossings right after an update
+const ALPHA_MIN = 0.3;
+const BETA_MIN = 0.05;
+const OWN_VELOCITY_SPAN = 10; // Seconds of own positions needed for a velocity
+const OWN_HISTORY_SECONDS = 60;
+const METERS_PER_DEGREE_LAT = 111320;
+const MS_TO_KNOTS = 3600 / 1852;
+const EVENT_NAME = "mayara-targets";
+
+let nextId = 1; // Target ids are unique on the page
+let channel = null;
+
+// Renderer -> MARPA tracker of its display
+const trackers = new Map();
+
+/**
+ * Create the MARPA panel and acquisition handler on the overlay canvas of a display
+ * @param {Object} r - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initMarpa(r, prefix) {
+  const tracker = {
+    renderer: r,
+    prefix,
+    radarKey: null,
+    acquireMode: false,
+    lastAngle: -1,
+    lastTime: 0, // Time of the last spoke, in seconds
+    // Each target: { id, north, x, y, vx, vy, updates, misses, time, windowEnd }
+    // x/y are meters from own ship (x = east or starboard, y = north or ahead)
+    targets: [],
+    // Recent own ship positions for the own velocity estimate: { t, lat, lon }
+    ownHistory: [],
+  };
+  trackers.set(r, tracker);
+
+  if (!channel && typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(EVENT_NAME);
+  }
+
+  const container = r.dom.parentNode;
+  const overlay = r.overlay_dom;
+  if (!container || !overlay) return;
+
+  const panel = document.createElement("div");
+  panel.id = `${prefix}marpa_panel`;
+  panel.className = "myr_marpa_panel";
+
+  const buttons = document.createElement("div");
+  buttons.className = "myr_marpa_buttons";
+
+  const acqBtn = document.createElement("div");
+  acqBtn.id = `${prefix}marpa_acquire`;
+  acqBtn.className = "myr_ebl_vrm_button";
+  acqBtn.textContent = "ACQ";
+  acqBtn.title = "Click, then click a target on the radar to acquire or cancel it";
+  acqBtn.addEventListener("click", () => setAcquireMode(tracker, !tracker.acquireMode));
+
+  const clearBtn = document.createElement("div");
+  clearBtn.id = `${prefix}marpa_clear`;
+  clearBtn.className = "myr_ebl_vrm_button";
+  clearBtn.textContent = "CLR";
+  clearBtn.title = "Cancel all targets";
+  clearBtn.addEventListener("click", () => {
+    tracker.targets = [];
+    setAcquireMode(tracker, false);
+    changed(tracker);
+  });
+
+  const list = document.createElement("div");
+  list.id = `${prefix}marpa_list`;
+  list.className = "myr_marpa_list";
+
+  buttons.append(acqBtn, clearBtn);
+  panel.append(buttons, list);
+  container.appendChild(panel);
+
+  // Capture phase, so an acquisition click doesn't also place an EBL/VRM
+  overlay.addEventListener("pointerdown", (e) => {
+    if (!tracker.acquireMode) return;
+    e.stopImmediatePropagation();
+    acquireOrCancel(tracker, e.offsetX, e.offsetY);
+    setAcquireMode(tracker, false);
+  }, true);
+}
+
+/**
+ * Select the radar tracked on a display; targets of another radar are dropped
+ * @param {Object} r - The renderer of the display
+ * @param {string} key - Radar storage key (capabilities.key or radar id)
+ */
+function setMarpaRadar(r, key) {
+  const tracker = trackers.get(r);
+  if (!tracker || key === tracker.radarKey) return;
+  tracker.radarKey = key;
+  tracker.targets = [];
+  tracker.ownHistory = [];
+  tracker.lastAngle = -1;
+  tracker.lastTime = 0;
+  changed(tracker);
+}
+
+function setAcquireMode(tracker, on) {
+  tracker.acquireMode = on;
+  const btn = document.getElementById(`${tracker.prefix}marpa_acquire`);
+  if (btn) btn.classList.toggle("myr_ebl_vrm_active", on);
+  const overlay = tracker.renderer.overlay_dom;
+  if (overlay) overlay.classList.toggle("myr_placing", on);
+}
+
+function acquireOrCancel(tracker, x, y) {
+  const { renderer, targets } = tracker;
+  if (!renderer.data || !renderer.actual_range) return;
+
+  // Clicking on an existing target cancels it
+  for (let i = 0; i < targets.length; i++) {
+    const p = targetScreenPosition(tracker, targets[i]);
+    if (Math.hypot(p.x - x, p.y - y) < 15) {
+      targets.splice(i, 1);
+      changed(tracker);
+      return;
+    }
+  }
+
+  if (targets.length >= MAX_TARGETS) {
+    console.warn(`MARPA: at most ${MAX_TARGETS} targets can be tracked`);
+    return;
+  }
+
+  const polar = screenToPolar(renderer, x, y);
+  const north = hasHeading(renderer);
+  const angle = polar.bearing + frameRotation(tracker, north);
+  const guess = { x: polar.range * Math.sin(angle), y: polar.range * Math.cos(angle) };
+
+  const z = measure(tracker, guess, north, 1.5 * gateMeters(tracker));
+  if (!z) {
+    console.log("MARPA: no echo found at the selected position");
+    return;
+  }
+
+  const target = {
+    id: nextId++,
+    north,
+    x: z.x,
+    y: z.y,
+    vx: 0,
+    vy: 0,
+    updates: 1,
+    misses: 0,
+    time: tracker.lastTime || Date.now() / 1000,
+  };
+  setWindowEnd(tracker, target);
+  targets.push(target);
+  changed(tracker);
+}
+
+/**
+ * Feed a spoke to the tracker of its display; targets are measured once the sweep has passed them
+ * @param {Object} r - The renderer of the display
+ * @param {Object} spoke - Decoded spoke
+ * @param {number} spokesPerRevolution - Spokes per revolution for this radar
+ */
+function updateMarpa(r, spoke, spokesPerRevolution) {
+  const tracker = trackers.get(r);
+  if (!tracker) return;
+
+  const time = spokeTime(spoke);
+  tracker.lastTime = time;
+  recordOwnPosition(tracker, time);
+
+  const prev = tracker.lastAngle;
+  tracker.lastAngle = spoke.angle;
+  if (prev < 0 || tracker.targets.length === 0 || r.waitForRotation) return;
+
+  const step = (spoke.angle - prev + spokesPerRevolution) % spokesPerRevolution;
+  if (step === 0 || step > spokesPerRevolution / 2) return;
+
+  let updated = false;
+  for (const target of [...tracker.targets]) {
+    const toEnd = (target.windowEnd - prev + spokesPerRevolution) % spokesPerRevolution;
+    if (toEnd === 0 || toEnd > step) continue;
+    if (time - target.time < MIN_UPDATE_SECONDS) continue;
+    trackTarget(tracker, target, time);
+    updated = true;
+  }
+  if (updated) changed(tracker);
+}
+
+function trackTarget(tracker, target, time) {
+  const dt = Math.max(0, time - target.time);
+  const predicted = { x: target.x + target.vx * dt, y: target.y + target.vy * dt };
+  const z = measure(tracker, predicted, target.north, gateMeters(tracker));
+  target.time = time;
+
+  if (!z) {
+    // Coast on the prediction
+    target.x = predicted.x;
+    target.y = predicted.y;
+    target.misses++;
+    if (target.misses >= DROP_AFTER_MISSES) {
+      tracker.targets.splice(tracker.targets.indexOf(target), 1);
+      return;
+    }
+  } else {
+    // Alpha-beta filter, with least squares gains for the first updates
+    const k = ++target.updates;
+    const alpha = Math.max(ALPHA_MIN, (2 * (2 * k - 1)) / (k * (k + 1)));
+    const beta = Math.max(BETA_MIN, 6 / (k * (k + 1)));
+    const rx = z.x - predicted.x;
+    const ry = z.y - predicted.y;
+
+    target.x = predicted.x + alpha * rx;
+    target.y = predicted.y + alpha * ry;
+    if (dt > 0) {
+      target.vx += (beta * rx) / dt;
+      target.vy += (beta * ry) / dt;
+    }
+    target.misses = 0;
+  }
+  setWindowEnd(tracker, target);
+}
+
+// Gate radius around the predicted position, scaled with the range
+function gateMeters(tracker) {
+  return Math.min(300, Math.max(30, tracker.renderer.actual_range * 0.03));
+}
+
+// Rotation from bow relative bearings to the target frame
+function frameRotation(tracker, north) {
+  return north ? getTrueHeading(tracker.renderer) : 0;
+}
+
+/**
+ * Echo centroid near a position, read from the renderer's spoke buffer
+ * @param {Object} tracker - MARPA tracker of the display
+ * @param {Object} pos - Position in the target frame ({x, y} meters)
+ * @param {boolean} north - True if the frame is north-oriented
+ * @param {number} gate - Search radius in meters
+ * @returns {Object|null} Centroid in the target frame, or null without echoes
+ */
+function measure(tracker, pos, north, gate) {
+  const renderer = tracker.renderer;
+  const data = renderer.data;
+  const spokes = renderer.spokesPerRevolution;
+  const len = renderer.max_spoke_len;
+  if (!data || !spokes || !len || !renderer.actual_range) return null;
+
+  const rotation = frameRotation(tracker, north);
+  const distance = Math.hypot(pos.x, pos.y);
+  const bowAngle = Math.atan2(pos.x, pos.y) - rotation;
+  const px = distance * Math.sin(bowAngle);
+  const py = distance * Math.cos(bowAngle);
+
+  const threshold = intensityLevel(ECHO_LEVEL, renderer.intensities);
+  const metersPerSample = renderer.actual_range / len;
+  const s0 = Math.max(0, Math.floor((distance - gate) / metersPerSample));
+  const s1 = Math.min(len - 1, Math.ceil((distance + gate) / metersPerSample));
+  const halfWidth = Math.min(
+    spokes / 8,
+    Math.ceil((Math.atan2(gate, Math.max(distance, gate)) / (2 * Math.PI)) * spokes)
+  );
+  const center = Math.round((bowAngle / (2 * Math.PI)) * spokes);
+
+  let sum = 0;
+  let sumX = 0;
+  let sumY = 0;
+  for (let k = -halfWidth; k <= halfWidth; k++) {
+    const spoke = (((center + k) % spokes) + spokes) % spokes;
+    const theta = (2 * Math.PI * spoke) / spokes;
+    const sin = Math.sin(theta);
+    const cos = Math.cos(theta);
+    const offset = spoke * len;
+
+    for (let s = s0; s <= s1; s++) {
+      const v = data[offset + s];
+      if (v < threshold) continue;
+      const rho = (s + 0.5) * metersPerSample;
+      const ex = rho * sin;
+      const ey = rho * cos;
+      if (Math.hypot(ex - px, ey - py) > gate) continue;
+      const w = v - threshold + 1;
+      sum += w;
+      sumX += w * ex;
+      sumY += w * ey;
+    }
+  }
+  if (sum === 0) return null;
+
+  // Back from the bow frame to the target frame
+  const cx = sumX / sum;
+  const cy = sumY / sum;
+  const r = Math.hypot(cx, cy);
+  const a = Math.atan2(cx, cy) + rotation;
+  return { x: r * Math.sin(a), y: r * Math.cos(a) };
+}
+
+// Spoke index at the end of the target's search window
+function setWindowEnd(tracker, target) {
+  const spokes = tracker.renderer.spokesPerRevolution;
+  const distance = Math.max(Math.hypot(target.x, target.y), 1);
+  const bowAngle = Math.atan2(target.x, target.y) - frameRotation(tracker, target.north);
+  const halfWidth = Math.atan2(gateMeters(tracker), distance);
+  const end = Math.ceil(((bowAngle + halfWidth) / (2 * Math.PI)) * spokes) + 1;
+  target.windowEnd = ((end % spokes) + spokes) % spokes;
+}
+
+function spokeTime(spoke) {
+  const t = spoke.time != null ? Number(spoke.time.toString()) : 0;
+  return (t > 0 ? t : Date.now()) / 1000;
+}
+
+function recordOwnPosition(tracker, time) {
+  const pos = getOwnPosition(tracker.renderer);
+  if (!pos) return;
+  const ownHistory = tracker.ownHistory;
+  const last = ownHistory[ownHistory.length - 1];
+  if (last && last.lat === pos.lat && last.lon === pos.lon) return;
+  ownHistory.push({ t: time, lat: pos.lat, lon: pos.lon });
+  while (ownHistory.length > 2 && time - ownHistory[0].t > OWN_HISTORY_SECONDS) {
+    ownHistory.shift();
+  }
+}
+
+// Own ship velocity over ground (m/s, x = east, y = north), or null if unknown
+function ownVelocity(tracker) {
+  const ownHistory = tracker.ownHistory;
+  if (ownHistory.length < 2) return null;
+  const first = ownHistory[0];
+  const last = ownHistory[ownHistory.length - 1];
+  const dt = last.t - first.t;
+  if (dt < OWN_VELOCITY_SPAN) return null;
+  return {
+    x: ((last.lon - first.lon) * METERS_PER_DEGREE_LAT * Math.cos((last.lat * Math.PI) / 180)) / dt,
+    y: ((last.lat - first.lat) * METERS_PER_DEGREE_LAT) / dt,
+  };
+}
+
+function targetStatus(target) {
+  if (target.misses >= LOST_AFTER_MISSES) return "lost";
+  if (target.updates < TRACKING_AFTER_UPDATES) return "acquiring";
+  return "tracking";
+}
+
+// Derived values of a target, as published in the event
+function describeTarget(tracker, target) {
+  const rotationDeg = (frameRotation(tracker, target.north) * 180) / Math.PI;
+  const frameBearing = (Math.atan2(target.x, target.y) * 180) / Math.PI;
+  const range = Math.hypot(target.x, target.y);
+
+  // CPA/TCPA from the relative motion
+  const v2 = target.vx * target.vx + target.vy * target.vy;
+  let tcpa = null;
+  let cpa = range;
+  if (v2 > 1e-6) {
+    tcpa = -(target.x * target.vx + target.y * target.vy) / v2;
+    cpa = Math.hypot(target.x + target.vx * tcpa, target.y + target.vy * tcpa);
+  }
+
+  // True motion needs a north-oriented frame and own ship velocity
+  const own = target.north ? ownVelocity(tracker) : null;
+  const vx = own ? target.vx + own.x : target.vx;
+  const vy = own ? target.vy + own.y : target.vy;
+
+  const result = {
+    id: target.id,
+    status: targetStatus(target),
+    bearing: normalizeDegrees(frameBearing - rotationDeg),
+    trueBearing: target.north ? normalizeDegrees(frameBearing) : null,
+    range,
+    cpa,
+    tcpa,
+    motion: own ? "true" : "relative",
+    course: normalizeDegrees((Math.atan2(vx, vy) * 180) / Math.PI),
+    courseReference: target.north ? "true" : "relative",
+    speed: Math.hypot(vx, vy),
+  };
+
+  const pos = getOwnPosition(tracker.renderer);
+  if (pos && target.north) {
+    result.lat = pos.lat + target.y / METERS_PER_DEGREE_LAT;
+    result.lon = pos.lon + target.x / (METERS_PER_DEGREE_LAT * Math.cos((pos.lat * Math.PI) / 180));
+  }
+  return result;
+}
+
+function normalizeDegrees(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+// Publish the targets of a display and refresh its panel and overlay
+function changed(tracker) {
+  const list = tracker.targets.map((target) => describeTarget(tracker, target));
+  const radar = tracker.radarKey;
+
+  if (typeof window !== "undefined" && typeof CustomEvent !== "undefined") {
+    window.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: { radar, targets: list } }));
+  }
+  if (channel) {
+    channel.postMessage({ radar, targets: list });
+  }
+
+  updateList(tracker, list);
+  tracker.renderer.redrawOverlay();
+}
+
+function updateList(tracker, list) {
+  const el = document.getElementById(`${tracker.prefix}marpa_list`);
+  if (!el) return;
+
+  const renderer = tracker.renderer;
+  const metric = is_metric(renderer.range || renderer.actual_range || 0);
+  el.textContent = list.map((t) => {
+    const brg = t.trueBearing != null ? `${t.trueBearing.toFixed(0)}°T` : `${t.bearing.toFixed(0)}°R`;
+    const crs = `${t.course.toFixed(0)}°${t.courseReference === "true" ? "T" : "R"}`;
+    const lines = [
+      `#${t.id} ${t.status === "lost" ? "LOST" : ""}`.trim(),
+      `  ${brg} ${formatDistance(metric, t.range)}`,
+    ];
+    if (t.status === "tracking") {
+      lines.push(
+        `  CPA ${formatDistance(metric, t.cpa)} TCPA ${formatTcpa(t.tcpa)}`,
+        `  ${t.motion === "true" ? "CRS" : "REL"} ${crs} ${(t.speed * MS_TO_KNOTS).toFixed(1)} kn`
+      );
+    }
+    return lines.join("\n");
+  }).join("\n");
+}
+
+// TCPA as mm:ss, negative when the CPA has passed
+function formatTcpa(tcpa) {
+  if (tcpa == null) return "---";
+  const sign = tcpa < 0 ? "-" : "";
+  const total = Math.min(Math.round(Math.abs(tcpa)), 99 * 60 + 59);
+  const mm = String(Math.floor(total / 60)).padStart(2, "0");
+  const ss = String(total % 60).padStart(2, "0");
+  return `${sign}${mm}:${ss}`;
+}
+
+function targetScreenPosition(tracker, target) {
+  const bearing = Math.atan2(target.x, target.y) - frameRotation(tracker, target.north);
+  return polarToScreen(tracker.renderer, bearing, Math.hypot(target.x, target.y));
+}
+
+/**
+ * Draw the tracked targets on the overlay canvas (called from drawOverlay)
+ * @param {Object} obj - The renderer
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ */
+function drawMarpa(obj, ctx) {
+  const tracker = trackers.get(obj);
+  if (!tracker || tracker.targets.length === 0 || !(obj.range || obj.actual_range)) return;
+
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  ctx.font = "bold 12px/1 Verdana, Geneva, sans-serif";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+
+  for (const target of tracker.targets) {
+    const status = targetStatus(target);
+    const color = status === "lost" ? LOST_COLOR : TARGET_COLOR;
+    const p = targetScreenPosition(tracker, target);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+
+    // Symbol: dashed circle while acquiring, solid when tracking, crossed when lost
+    ctx.setLineDash(status === "acquiring" ? [3, 3] : []);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 8, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (status === "lost") {
+      ctx.beginPath();
+      ctx.moveTo(p.x - 6, p.y - 6);
+      ctx.lineTo(p.x + 6, p.y + 6);
+      ctx.moveTo(p.x + 6, p.y - 6);
+      ctx.lineTo(p.x - 6, p.y + 6);
+      ctx.stroke();
+    } else if (status === "tracking") {
+      // Vector: true motion when own ship velocity is known, relative otherwise
+      const own = target.north ? ownVelocity(tracker) : null;
+      const seconds = VECTOR_MINUTES * 60;
+      const ex = target.x + (target.vx + (own ? own.x : 0)) * seconds;
+      const ey = target.y + (target.vy + (own ? own.y : 0)) * seconds;
+      const end = polarToScreen(
+        obj,
+        Math.atan2(ex, ey) - frameRotation(tracker, target.north),
+        Math.hypot(ex, ey)
+      );
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+    }
+
+    ctx.fillText(String(target.id), p.x + 11, p.y - 9);
+  }
+
+  ctx.restore();
+}
@@ -110,6 +110,9 @@ async function checkWebGPUSupport() {
   const content = div({ class: 'myr_warning_content' });
   van.add(warningDiv, content);
 
+  van.add(content, p('The radar viewer will use a slower Canvas 2D renderer. ' +
+    'Enable WebGPU for full frame rate.'));
+
   // Secure context warning (if not secure)
   if (!isSecure) {
     const hostname = window.location.hostname;
@@ -376,6 +379,16 @@ function radarsLoaded(d) {
       van.add(table, RadarEntry(radar));
     });
 
+    // Two radars (or both ranges of a dual range radar) side by side
+    if (c > 1) {
+      const ids = radarIds.sort();
+      van.add(r, div({ class: 'myr_split_link' },
+        a({ href: `split.html?id=${encodeURIComponent(ids[0])}&id2=${encodeURIComponent(ids[1])}`, class: 'myr_radar_link myr_radar_link_primary' },
+          'Open Split Display'
+        )
+      ));
+    }
+
     // Add recordings link (standalone mode only)
     if (isStandaloneMode()) {
       van.add(r, div({ class: 'myr_recordings_link' },
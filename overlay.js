@@ -0,0 +1,210 @@
+export { drawOverlay, screenToPolar, polarToScreen };
+
+import { getUpDirection } from "./viewer.js";
+import { formatRangeValue, is_metric, ringDistances } from "./units.js";
+import { drawEblVrm } from "./ebl_vrm.js";
+import { drawGuardZones } from "./guard_zones.js";
+import { drawMarpa } from "./marpa.js";
+import { drawAis } from "./ais.js";
+import { drawOwnShip } from "./own_ship.js";
+import { drawLegendKey } from "./legend.js";
+import { textColor } from "./palette.js";
+
+// Overlay drawing shared by all renderers (render_webgpu, render_2d).
+// Like drawBackground() in viewer.js, this works on the renderer object and
+// reads its overlay_ctx, width/height, center_x/center_y, beam_length and range.
+
+// Convert a point on the PPI canvas to bearing and range.
+// This is the inverse of the shader mapping: the spoke at relative bearing b
+// is drawn at screen angle b + headingRotation (clockwise from the top).
+// Returns bearing in radians relative to the bow [0, 2PI) and range in meters.
+function screenToPolar(obj, x, y) {
+  const dx = x - obj.center_x;
+  const dy = obj.center_y - y;
+  const range = obj.range || obj.actual_range || 0;
+
+  let bearing = Math.atan2(dx, dy) - (obj.headingRotation || 0);
+  bearing = ((bearing % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+  return {
+    bearing,
+    range: obj.beam_length > 0 ? (Math.hypot(dx, dy) / obj.beam_length) * range : 0,
+  };
+}
+
+// Convert bearing (radians relative to the bow) and range (meters) to a point on the PPI canvas
+function polarToScreen(obj, bearing, meters) {
+  const range = obj.range || obj.actual_range || 1;
+  const radius = (meters / range) * obj.beam_length;
+  const angle = bearing + (obj.headingRotation || 0);
+
+  return {
+    x: obj.center_x + radius * Math.sin(angle),
+    y: obj.center_y - radius * Math.cos(angle),
+  };
+}
+
+// Format hours as TimeZero-style DAYS.HH:MM:SS
+function formatHoursAsTimeZero(totalHours) {
+  const totalSeconds = Math.floor(totalHours * 3600);
+  const days = Math.floor(totalSeconds / 86400);
+  const remainingAfterDays = totalSeconds % 86400;
+  const hours = Math.floor(remainingAfterDays / 3600);
+  const minutes = Math.floor((remainingAfterDays % 3600) / 60);
+  const seconds = remainingAfterDays % 60;
+
+  const hh = hours.toString().padStart(2, '0');
+  const mm = minutes.toString().padStart(2, '0');
+  const ss = seconds.toString().padStart(2, '0');
+
+  return `${days}.${hh}:${mm}:${ss}`;
+}
+
+function drawStandbyOverlay(obj, ctx) {
+  // Draw STANDBY text with ON-TIME and TX-Time in center of PPI
+  ctx.save();
+
+  // Large STANDBY text
+  ctx.fillStyle = textColor("white");
+  ctx.font = "bold 36px/1 Verdana, Geneva, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  // Add shadow for better readability
+  ctx.shadowColor = "black";
+  ctx.shadowBlur = 4;
+  ctx.shadowOffsetX = 2;
+  ctx.shadowOffsetY = 2;
+
+  // Calculate vertical position based on what we're showing
+  const hasAnyHours = obj.hasOnTimeCapability || obj.hasTxTimeCapability;
+  const standbyY = hasAnyHours ? obj.center_y - 40 : obj.center_y;
+
+  ctx.fillText("STANDBY", obj.center_x, standbyY);
+
+  // Only show hours if capability exists
+  if (hasAnyHours) {
+    ctx.font = "bold 20px/1 Verdana, Geneva, sans-serif";
+
+    let yOffset = obj.center_y + 10;
+
+    if (obj.hasOnTimeCapability) {
+      const onTimeStr = formatHoursAsTimeZero(obj.onTimeHours);
+      ctx.fillText("ON-TIME: " + onTimeStr, obj.center_x, yOffset);
+      yOffset += 30;
+    }
+
+    if (obj.hasTxTimeCapability) {
+      const txTimeStr = formatHoursAsTimeZero(obj.txTimeHours);
+      ctx.fillText("TX-TIME: " + txTimeStr, obj.center_x, yOffset);
+    }
+  }
+
+  ctx.restore();
+}
+
+function drawOverlay(obj) {
+  if (!obj.overlay_ctx) return;
+
+  const ctx = obj.overlay_ctx;
+  const range = obj.range || obj.actual_range;
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, obj.width, obj.height);
+
+  // Draw standby overlay if in standby mode
+  if (obj.standbyMode) {
+    drawStandbyOverlay(obj, ctx);
+  }
+
+  drawGuardZones(obj, ctx);
+
+  // Draw range rings in bright green on top of radar (dim red at night)
+  ctx.strokeStyle = textColor("#00ff00");
+  ctx.lineWidth = 1.5;
+  ctx.fillStyle = textColor("#00ff00");
+  ctx.font = "bold 14px/1 Verdana, Geneva, sans-serif";
+
+  // Rings as configured in units.js: a fixed number dividing the range, or at round intervals
+  const metric = is_metric(range);
+  for (const distance of ringDistances(range)) {
+    const radius = (distance / range) * obj.beam_length;
+    ctx.beginPath();
+    ctx.arc(obj.center_x, obj.center_y, radius, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    // Draw range labels
+    const text = formatRangeValue(metric, distance);
+    // Position labels at 45 degrees (upper right)
+    const labelX = obj.center_x + (radius * 0.707);
+    const labelY = obj.center_y - (radius * 0.707);
+    ctx.fillText(text, labelX + 5, labelY - 5);
+  }
+
+  drawOwnShip(obj, ctx);
+
+  // Draw degree markers (compass rose) around the 3rd range ring
+  const degreeRingRadius = (3 * obj.beam_length) / 4;
+  const tickLength = 8;
+  const majorTickLength = 12;
+  ctx.font = "bold 12px/1 Verdana, Geneva, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  // Compass rose rotates so the true direction at the top of the screen is at the top:
+  // the heading in Heading Up, 0 (N) in North Up, the locked course in Course Up
+  const roseRotationDeg = -(getUpDirection(obj) * 180) / Math.PI;
+
+  for (let deg = 0; deg < 360; deg += 10) {
+    // Apply compass rose rotation
+    const displayDeg = deg + roseRotationDeg;
+
+    // Radar convention: 0° = top, angles increase clockwise
+    // Canvas: 0 radians = right (3 o'clock), increases counter-clockwise
+    // So we need: canvasAngle = -displayDeg + 90 (in degrees), or (90 - displayDeg) * PI/180
+    const radians = ((90 - displayDeg) * Math.PI) / 180;
+
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    // Determine tick length (longer for cardinal directions)
+    const isMajor = deg % 30 === 0;
+    const tick = isMajor ? majorTickLength : tickLength;
+
+    // Inner and outer points of tick mark
+    const innerRadius = degreeRingRadius - tick / 2;
+    const outerRadius = degreeRingRadius + tick / 2;
+
+    const x1 = obj.center_x + innerRadius * cos;
+    const y1 = obj.center_y - innerRadius * sin;
+    const x2 = obj.center_x + outerRadius * cos;
+    const y2 = obj.center_y - outerRadius * sin;
+
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+
+    // Draw degree labels at major ticks (every 30°)
+    if (isMajor) {
+      const labelRadius = degreeRingRadius + majorTickLength + 10;
+      const labelX = obj.center_x + labelRadius * cos;
+      const labelY = obj.center_y - labelRadius * sin;
+      ctx.fillText(deg.toString(), labelX, labelY);
+    }
+  }
+
+  // Draw North indicator (N) at 0° position
+  const northDeg = roseRotationDeg; // Where 0° (North) appears on screen
+  const northRadians = ((90 - northDeg) * Math.PI) / 180;
+  const northRadius = degreeRingRadius + majorTickLength + 25;
+  const northX = obj.center_x + northRadius * Math.cos(northRadians);
+  const northY = obj.center_y - northRadius * Math.sin(northRadians);
+  ctx.font = "bold 14px/1 Verdana, Geneva, sans-serif";
+  ctx.fillText("N", northX, northY);
+
+  drawLegendKey(obj, ctx);
+  drawEblVrm(obj, ctx);
+  drawAis(obj, ctx);
+  drawMarpa(obj, ctx);
+}
@@ -0,0 +1,267 @@
+/**
+ * Own ship: heading line, stern line and ship outline
+ *
+ * The heading line runs from own ship to the edge of the radar picture in
+ * the direction of the bow. As on a real radar it is hidden while the HL
+ * button is pressed and held, to look at targets right ahead. The stern
+ * line is an optional dashed line astern.
+ *
+ * The optional outline is the ship drawn to scale around the antenna, from
+ * the vessel length and beam (the "ownShip" installation setting, edited
+ * here) and the antenna position of the radar: the antennaForward and
+ * antennaStarboard installation settings, in metres forward of amidships
+ * and to starboard of the centre line. It is only drawn once it is a few
+ * pixels long, i.e. on short ranges.
+ *
+ * Every display has its own settings and HL button, for the radar it shows.
+ */
+
+export { initOwnShip, loadOwnShip, setOwnShipInstallation, drawOwnShip };
+
+import van from "./van-1.5.2.js";
+import { getInstallationSettings, saveInstallationSetting } from "./api.js";
+import { polarToScreen } from "./overlay.js";
+import { textColor } from "./palette.js";
+
+const { div, label, input } = van.tags;
+
+const SETTING_KEY = "ownShip";
+const MIN_OUTLINE_PIXELS = 6; // Ship length below which no outline is drawn
+
+// Renderer -> own ship settings of its display
+const ownShips = new Map();
+
+function defaultSettings() {
+  return { sternLine: false, outline: false, length: 12, beam: 4 };
+}
+
+/**
+ * Create the own ship section of a display under its control panel and the HL button on its PPI
+ * @param {Object} r - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initOwnShip(r, prefix) {
+  const ship = {
+    renderer: r,
+    prefix,
+    storageKey: null,
+    headingLineHeld: false,
+    settings: defaultSettings(), // Persisted settings; lengths in metres
+    antenna: { forward: 0, starboard: 0 }, // Antenna position from the radar installation settings, in metres
+  };
+  ownShips.set(r, ship);
+
+  const tools = document.getElementById(`${prefix}tools`);
+  if (tools) {
+    const section = div({ id: `${prefix}own_ship`, class: "myr_control_section myr_own_ship_section" });
+    tools.appendChild(section);
+    buildEditor(ship);
+  }
+
+  const container = r.dom.parentNode;
+  if (!container) return;
+
+  // Press and hold: heading line off while held
+  const holdBtn = document.createElement("div");
+  holdBtn.id = `${prefix}heading_line_hold`;
+  holdBtn.className = "myr_heading_toggle myr_heading_line_hold";
+  holdBtn.textContent = "HL";
+  holdBtn.title = "Press and hold to hide the heading line";
+
+  const hold = (held) => (e) => {
+    if (held) holdBtn.setPointerCapture?.(e.pointerId);
+    holdHeadingLine(ship, held);
+  };
+  holdBtn.addEventListener("pointerdown", hold(true));
+  holdBtn.addEventListener("pointerup", hold(false));
+  holdBtn.addEventListener("pointercancel", hold(false));
+  holdBtn.addEventListener("lostpointercapture", hold(false));
+  container.appendChild(holdBtn);
+}
+
+function holdHeadingLine(ship, held) {
+  if (held === ship.headingLineHeld) return;
+  ship.headingLineHeld = held;
+  document.getElementById(`${ship.prefix}heading_line_hold`)?.classList.toggle("myr_view_active", held);
+  ship.renderer.redrawOverlay();
+}
+
+/**
+ * Load the vessel dimensions and antenna position of a display for its radar from the installation settings
+ * @param {Object} r - The renderer of the display
+ * @param {string} radarKey - Radar storage key (capabilities.key or radar id)
+ */
+async function loadOwnShip(r, radarKey) {
+  const ship = ownShips.get(r);
+  if (!ship) return;
+
+  ship.storageKey = radarKey;
+  const installation = await getInstallationSettings(radarKey);
+
+  ship.settings = { ...defaultSettings(), ...installation[SETTING_KEY] };
+  ship.antenna = {
+    forward: settingValue(installation.antennaForward),
+    starboard: settingValue(installation.antennaStarboard),
+  };
+  buildEditor(ship);
+  r.redrawOverlay();
+}
+
+/**
+ * Follow changes of the antenna position installation controls of the radar of a display
+ * @param {Object} r - The renderer of the display
+ * @param {string} controlId - Id of the changed installation control
+ * @param {*} value - New value
+ */
+function setOwnShipInstallation(r, controlId, value) {
+  const ship = ownShips.get(r);
+  if (!ship) return;
+
+  if (controlId === "antennaForward") {
+    ship.antenna.forward = settingValue(value);
+  } else if (controlId === "antennaStarboard") {
+    ship.antenna.starboard = settingValue(value);
+  } else {
+    return;
+  }
+  r.redrawOverlay();
+}
+
+// Installation values are plain numbers or control values ({ value })
+function settingValue(v) {
+  const n = parseFloat(v !== null && typeof v === "object" ? v.value : v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function saveSettings(ship) {
+  if (!ship.storageKey) return;
+  saveInstallationSetting(ship.storageKey, SETTING_KEY, ship.settings);
+}
+
+// ============================================================================
+// Editor
+// ============================================================================
+
+function buildEditor(ship) {
+  const section = document.getElementById(`${ship.prefix}own_ship`);
+  if (!section) return;
+  section.innerHTML = "";
+  const { prefix, settings } = ship;
+
+  function onChange() {
+    readEditor(ship);
+    saveSettings(ship);
+    ship.renderer.redrawOverlay();
+  }
+
+  function toggle(id, text, checked) {
+    return label({ class: "myr_checkbox_label" },
+      input({ type: "checkbox", id, checked, onchange: onChange }),
+      ` ${text}`
+    );
+  }
+
+  function numberField(id, text, value) {
+    return div({ class: "myr_ntz_angle" },
+      label({ for: id }, text),
+      input({ type: "number", id, min: 1, max: 500, step: 0.1, value, onchange: onChange })
+    );
+  }
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Own Ship"),
+    div({ class: "myr_control myr_ntz_control" },
+      toggle(`${prefix}own_ship_stern`, "Stern line", settings.sternLine),
+      toggle(`${prefix}own_ship_outline`, "Ship outline", settings.outline),
+      div({ class: "myr_ntz_angles" },
+        numberField(`${prefix}own_ship_length`, "Length m", settings.length),
+        numberField(`${prefix}own_ship_beam`, "Beam m", settings.beam)
+      )
+    )
+  );
+}
+
+function readEditor(ship) {
+  const { prefix, settings } = ship;
+  const num = (id, fallback) => {
+    const v = parseFloat(document.getElementById(id)?.value);
+    return Number.isFinite(v) && v > 0 ? v : fallback;
+  };
+
+  settings.sternLine = document.getElementById(`${prefix}own_ship_stern`)?.checked || false;
+  settings.outline = document.getElementById(`${prefix}own_ship_outline`)?.checked || false;
+  settings.length = num(`${prefix}own_ship_length`, settings.length);
+  settings.beam = num(`${prefix}own_ship_beam`, settings.beam);
+}
+
+// ============================================================================
+// Drawing
+// ============================================================================
+
+/**
+ * Draw the heading line, stern line and ship outline (called from drawOverlay)
+ * @param {Object} obj - The renderer
+ * @param {CanvasRenderingContext2D} ctx - Overlay context
+ */
+function drawOwnShip(obj, ctx) {
+  const ship = ownShips.get(obj);
+  const range = obj.range || obj.actual_range;
+  if (!ship || !range) return;
+
+  ctx.save();
+  ctx.strokeStyle = textColor("#00ff00");
+  ctx.lineWidth = 1.5;
+
+  if (!ship.headingLineHeld) {
+    const own = polarToScreen(obj, 0, 0);
+    const bow = polarToScreen(obj, 0, range);
+    ctx.beginPath();
+    ctx.moveTo(own.x, own.y);
+    ctx.lineTo(bow.x, bow.y);
+    ctx.stroke();
+
+    if (ship.settings.sternLine) {
+      const stern = polarToScreen(obj, Math.PI, range);
+      ctx.setLineDash([8, 6]);
+      ctx.beginPath();
+      ctx.moveTo(own.x, own.y);
+      ctx.lineTo(stern.x, stern.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+
+  if (ship.settings.outline) {
+    drawOutline(obj, ctx, ship, obj.beam_length / range);
+  }
+
+  ctx.restore();
+}
+
+// Ship outline around the antenna, bow up before rotation to the heading
+function drawOutline(obj, ctx, ship, pixelsPerMeter) {
+  const { length, beam } = ship.settings;
+  const antenna = ship.antenna;
+  if (length * pixelsPerMeter < MIN_OUTLINE_PIXELS) return;
+
+  const half = beam / 2;
+  const bowLength = Math.min(length / 3, beam);
+  // Ship corners in metres from the antenna: x to starboard, y forward
+  const points = [
+    [0, length / 2],
+    [half, length / 2 - bowLength],
+    [half * 0.9, -length / 2],
+    [-half * 0.9, -length / 2],
+    [-half, length / 2 - bowLength],
+  ].map(([x, y]) => [x - antenna.starboard, y - antenna.forward]);
+
+  ctx.translate(obj.center_x, obj.center_y);
+  ctx.rotate(obj.headingRotation || 0);
+  ctx.beginPath();
+  points.forEach(([x, y], i) => {
+    if (i === 0) ctx.moveTo(x * pixelsPerMeter, -y * pixelsPerMeter);
+    else ctx.lineTo(x * pixelsPerMeter, -y * pixelsPerMeter);
+  });
+  ctx.closePath();
+  ctx.stroke();
+}
@@ -0,0 +1,131 @@
+/**
+ * Colour palette chooser and night mode
+ *
+ * The palette sets the colours of the radar image (see PALETTES in
+ * legend.js). Night mode dims the control panel and PPI buttons to red
+ * (the myr_night class on the document, see layout.css and controls.css),
+ * draws the overlay and background text in a dim red, and switches to the
+ * Night palette; switching back to day restores the previous palette.
+ *
+ * Palette and night mode are stored in localStorage and apply to the whole
+ * page: both displays of split.html use the same colours.
+ */
+
+export { initPalette, getPalette, isNightMode, textColor };
+
+import van from "./van-1.5.2.js";
+import { PALETTES } from "./legend.js";
+
+const { div, button } = van.tags;
+
+const STORAGE_KEY = "mayara.palette";
+const NIGHT_TEXT_COLOR = "#b03010";
+
+let settings = { palette: "mayara", night: false, dayPalette: "mayara" };
+let onChangeCallback = null;
+
+/**
+ * Load the palette settings and create their section in the control panel
+ * @param {Function} onChange - Called after the palette or night mode changed
+ */
+function initPalette(onChange) {
+  onChangeCallback = onChange;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && PALETTES[saved.palette]) {
+      settings = {
+        palette: saved.palette,
+        night: !!saved.night,
+        dayPalette: PALETTES[saved.dayPalette] ? saved.dayPalette : "mayara",
+      };
+    }
+  } catch (e) {
+    console.warn("Failed to load palette:", e.message);
+  }
+  document.documentElement.classList.toggle("myr_night", settings.night);
+
+  const controller = document.getElementById("myr_controller");
+  if (controller) {
+    const section = div({ id: "myr_palette", class: "myr_control_section myr_palette_section" });
+    controller.appendChild(section);
+    buildEditor();
+  }
+}
+
+function getPalette() {
+  return settings.palette;
+}
+
+function isNightMode() {
+  return settings.night;
+}
+
+/**
+ * Colour for text and lines drawn on the canvases
+ * @param {string} dayColor - Colour used in day mode
+ * @returns {string} dayColor, or dim red in night mode
+ */
+function textColor(dayColor) {
+  return settings.night ? NIGHT_TEXT_COLOR : dayColor;
+}
+
+function buildEditor() {
+  const section = document.getElementById("myr_palette");
+  if (!section) return;
+  section.innerHTML = "";
+
+  function setNight(night) {
+    if (night === settings.night) return;
+    if (night) {
+      settings = { palette: "night", night, dayPalette: settings.palette };
+    } else {
+      settings = { ...settings, palette: settings.dayPalette, night };
+    }
+    changed();
+  }
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Display"),
+    div({ class: "myr_control myr_enum_control" },
+      div({ class: "myr_button_group", id: "myr_palette_group" },
+        ...Object.entries(PALETTES).map(([value, p]) => button({
+          type: "button",
+          class: `myr_enum_button ${value === settings.palette ? "myr_enum_active" : ""}`,
+          "data-value": value,
+          onclick: () => {
+            settings = { ...settings, palette: value };
+            changed();
+          },
+        }, p.label))
+      )
+    ),
+    div({ class: "myr_control myr_enum_control" },
+      div({ class: "myr_button_group", id: "myr_night_group" },
+        button({
+          type: "button",
+          class: `myr_enum_button ${!settings.night ? "myr_enum_active" : ""}`,
+          "data-value": "day",
+          onclick: () => setNight(false),
+        }, "Day"),
+        button({
+          type: "button",
+          class: `myr_enum_button ${settings.night ? "myr_enum_active" : ""}`,
+          "data-value": "night",
+          onclick: () => setNight(true),
+        }, "Night")
+      )
+    )
+  );
+
+  function changed() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+      console.warn("Failed to save palette:", e.message);
+    }
+    document.documentElement.classList.toggle("myr_night", settings.night);
+    buildEditor();
+    if (onChangeCallback) onChangeCallback(settings);
+  }
+}
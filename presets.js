@@ -0,0 +1,125 @@
+/**
+ * Control presets (harbour, coastal, offshore, rain, ...)
+ *
+ * A preset is a named set of control values taken from the radar state:
+ * all controls except power, installation settings and read-only ones.
+ * Applying it sends the values that differ from the current state one after
+ * another, in the order of the capabilities (the order of the control panel).
+ *
+ * Presets are stored per radar model (make and model) in the application
+ * data, next to the installation settings, so they are shared between
+ * standalone and SignalK mode and between radars of the same model.
+ */
+
+export { buildPresetsSection };
+
+import van from "./van-1.5.2.js";
+import { getControlPresets, saveControlPresets } from "./api.js";
+
+const { div, input, button } = van.tags;
+
+const MAX_NAME_LENGTH = 24;
+
+// Model key -> presets, shared by the panels of split.html
+const presetsByModel = new Map();
+
+/**
+ * Create the presets section of a control panel; filled once the presets are loaded
+ * @param {radar_control} control - The panel (radar state, capabilities and commands)
+ * @returns {HTMLElement} The section
+ */
+function buildPresetsSection(control) {
+  const section = div({ id: `${control.prefix}presets`, class: "myr_control_section myr_presets_section" });
+  const modelKey = modelKeyOf(control);
+
+  getControlPresets(modelKey).then((presets) => {
+    presetsByModel.set(modelKey, presets);
+    buildEditor(section, control);
+  });
+  return section;
+}
+
+function modelKeyOf(control) {
+  const capabilities = control.capabilities || {};
+  return `${capabilities.make || ""} ${capabilities.model || ""}`.trim() || control.radarId;
+}
+
+// Controls stored in a preset, in capabilities order
+function presetControls(control) {
+  return (control.capabilities?.controls || []).filter(
+    (c) => c.id !== "power" && !c.readOnly && c.category !== "installation"
+  );
+}
+
+function buildEditor(section, control) {
+  const modelKey = modelKeyOf(control);
+  const presets = () => presetsByModel.get(modelKey) || [];
+  section.innerHTML = "";
+
+  function save(list) {
+    presetsByModel.set(modelKey, list);
+    saveControlPresets(modelKey, list);
+    buildEditor(section, control);
+  }
+
+  function saveCurrent() {
+    const name = section.querySelector(".myr_preset_name")?.value.trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) return;
+
+    const values = control.radarState?.controls || {};
+    const controls = {};
+    for (const c of presetControls(control)) {
+      if (values[c.id] !== undefined) controls[c.id] = values[c.id];
+    }
+    // Saving under an existing name replaces that preset
+    const list = [...presets()];
+    const index = list.findIndex((p) => p.name === name);
+    if (index >= 0) {
+      list[index] = { name, controls };
+    } else {
+      list.push({ name, controls });
+    }
+    save(list);
+  }
+
+  async function apply(preset, presetBtn) {
+    const order = presetControls(control).map((c) => c.id);
+    const values = order.filter((id) => id in preset.controls).map((id) => [id, preset.controls[id]]);
+
+    presetBtn.classList.add("myr_enum_active");
+    const failed = await control.applyControlValues(values);
+    presetBtn.classList.remove("myr_enum_active");
+    if (failed > 0) {
+      control.showError(`Preset ${preset.name}: ${failed} control${failed > 1 ? "s" : ""} not accepted`);
+    }
+  }
+
+  function remove(preset) {
+    if (!confirm(`Delete preset "${preset.name}"?`)) return;
+    save(presets().filter((p) => p !== preset));
+  }
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Presets"),
+    ...presets().map((preset) => {
+      const presetBtn = button({ type: "button", class: "myr_enum_button myr_preset_apply" }, preset.name);
+      presetBtn.onclick = () => apply(preset, presetBtn);
+      return div({ class: "myr_preset_row" },
+        presetBtn,
+        button({ type: "button", class: "myr_preset_delete", title: "Delete preset", onclick: () => remove(preset) }, "×")
+      );
+    }),
+    div({ class: "myr_preset_row" },
+      input({
+        type: "text",
+        class: "myr_preset_name",
+        maxlength: MAX_NAME_LENGTH,
+        placeholder: "Harbour, Coastal, Offshore...",
+        onkeydown: (e) => {
+          if (e.key === "Enter") saveCurrent();
+        },
+      }),
+      button({ type: "button", class: "myr_enum_button myr_preset_save", title: "Save the current controls as a preset", onclick: saveCurrent }, "Save")
+    )
+  );
+}
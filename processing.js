@@ -0,0 +1,453 @@
+/**
+ * Display processing: the enhancement pipeline for incoming spokes
+ *
+ * Each spoke passes through the enabled filters, in the order of FILTERS,
+ * before it is written into the polar buffer of the renderer:
+ * - Angular smoothing: spreads returns to the neighbouring spokes, strong
+ *   returns wider, to fill the display quickly after a start or range change
+ * - Interference rejection: suppresses returns that are not on the previous
+ *   spoke nor on the previous rotation (other radars show up as one-spoke spikes)
+ * - Scatter suppression: boosts returns supported by their neighbours and
+ *   suppresses isolated ones
+ * - Echo stretch: stretches returns along the spoke, for small targets
+ *
+ * The echo thresholds of scatter suppression are fractions of the intensity
+ * scale of the legend, see scatterLevels(); special pixel values (Doppler,
+ * target borders) pass through unchanged. registerFilter() adds a filter.
+ * The WebGPU renderer runs the built-in filters (those marked gpu) in a
+ * compute shader, see render_webgpu.js; there they read the neighbouring
+ * spokes as received, and scatter suppression does not raise neighbours.
+ * There is one pipeline for the page, run by every display: it is set up in
+ * the "Display processing" section of the control panel and stored in
+ * localStorage.
+ */
+
+export { initProcessing, processSpoke, registerFilter, getPipeline, scatterLevels };
+
+import van from "./van-1.5.2.js";
+import { DEFAULT_INTENSITIES, intensityLevel } from "./legend.js";
+
+const { div, label, input } = van.tags;
+
+const STORAGE_KEY = "mayara.processing";
+
+// Spread factors of angular smoothing by distance in spokes, resampled to the width
+const SPREAD_STRONG = [0.95, 0.88, 0.78, 0.65, 0.5, 0.35];
+const SPREAD_MEDIUM = [0.85, 0.65, 0.45, 0.25];
+const SPREAD_WEAK = [0.6, 0.3];
+
+// Neighbour support of scatter suppression, as fractions of the intensity
+// scale: the sums are over 4 or 8 neighbouring spokes, so they go above 1
+const SCATTER_SUPPORT = {
+  solidSum: 3.17, // Strong return in a solid mass, sum of ±4 spokes
+  strongMax: 0.8, // Strong return with some support, strongest of ±4 spokes
+  mediumSum: 1.27, // Medium return with good support, sum of ±2 spokes
+  mediumMax: 0.63, // Medium return with some support, strongest of ±2 spokes
+  weakSum: 1.59, // Weak return that is kept, sum of ±2 spokes
+  weakMax: 0.95, // Weak return that is halved, strongest of ±2 spokes
+};
+
+/**
+ * Filters by id, in pipeline order
+ * A filter is { label, enabled, params, apply(row, ctx, params), gpu }:
+ * - params: { key: { label, min, max, step, value } }, value is the default
+ * - gpu: true if the WebGPU compute shader implements the filter
+ * - apply() returns the processed row. ctx is { data, raw, offset, angle,
+ *   spokes, maxLen, rotation, special, intensities }: the polar buffer and
+ *   the spokes as received (both still holding the previous rotation at
+ *   offset; raw is null if the renderer keeps none), the spoke, the rotations
+ *   since the display was cleared, a 256-entry table of special pixel values
+ *   and the number of intensity values of the legend.
+ */
+const FILTERS = {
+  smoothing: {
+    label: "Angular smoothing",
+    enabled: true,
+    params: {
+      width: { label: "Width", min: 1, max: 12, step: 1, value: 6 },
+      rotations: { label: "Rotations", min: 0, max: 20, step: 1, value: 4 },
+    },
+    apply: angularSmoothing,
+    gpu: true,
+  },
+  interference: {
+    label: "Interference rejection",
+    enabled: false,
+    params: {
+      level: { label: "Level", min: 1, max: 3, step: 1, value: 2 },
+    },
+    apply: interferenceRejection,
+    gpu: true,
+  },
+  scatter: {
+    label: "Scatter suppression",
+    enabled: true,
+    params: {
+      after: { label: "After rot.", min: 0, max: 20, step: 1, value: 4 },
+      strongLevel: { label: "Strong %", min: 1, max: 100, step: 1, value: 95 },
+      mediumLevel: { label: "Medium %", min: 1, max: 100, step: 1, value: 40 },
+      boost: { label: "Boost %", min: 100, max: 200, step: 5, value: 135 },
+      isolated: { label: "Isolated %", min: 0, max: 100, step: 5, value: 40 },
+    },
+    apply: scatterSuppression,
+    gpu: true,
+  },
+  stretch: {
+    label: "Echo stretch",
+    enabled: false,
+    params: {
+      samples: { label: "Samples", min: 1, max: 8, step: 1, value: 2 },
+    },
+    apply: echoStretch,
+    gpu: true,
+  },
+};
+
+// Current pipeline: id -> { enabled, params: { key: value } }
+let pipeline = {};
+
+/**
+ * Add a filter to the end of the pipeline
+ * @param {string} id - Filter id, also the key in the stored settings
+ * @param {Object} filter - { label, enabled, params, apply }, see FILTERS
+ */
+function registerFilter(id, filter) {
+  FILTERS[id] = filter;
+  pipeline[id] = defaultSettings(filter);
+  buildEditor();
+}
+
+function defaultSettings(filter) {
+  const params = {};
+  for (const [key, p] of Object.entries(filter.params)) {
+    params[key] = p.value;
+  }
+  return { enabled: filter.enabled, params };
+}
+
+// Current pipeline settings, id -> { enabled, params }
+function getPipeline() {
+  return pipeline;
+}
+
+/**
+ * Pixel values of the scatter suppression thresholds
+ * @param {Object} params - Parameters of the scatter filter in the pipeline
+ * @param {number} intensities - Number of intensity values of the legend
+ * @returns {Object} strong and medium, the lowest strong and medium returns,
+ *   and the neighbour support levels of SCATTER_SUPPORT
+ */
+function scatterLevels(params, intensities) {
+  const levels = {
+    strong: intensityLevel(params.strongLevel / 100, intensities),
+    medium: intensityLevel(params.mediumLevel / 100, intensities),
+  };
+  for (const [key, fraction] of Object.entries(SCATTER_SUPPORT)) {
+    levels[key] = intensityLevel(fraction, intensities);
+  }
+  return levels;
+}
+
+/**
+ * Load the pipeline and create its section in the control panel
+ */
+function initProcessing() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    console.warn("Failed to load display processing:", e.message);
+  }
+
+  for (const [id, filter] of Object.entries(FILTERS)) {
+    const settings = defaultSettings(filter);
+    const s = saved?.[id];
+    if (s) {
+      settings.enabled = !!s.enabled;
+      for (const key of Object.keys(settings.params)) {
+        if (typeof s.params?.[key] === "number") settings.params[key] = s.params[key];
+      }
+    }
+    pipeline[id] = settings;
+  }
+
+  const controller = document.getElementById("myr_controller");
+  if (controller) {
+    const section = div({ id: "myr_processing", class: "myr_control_section myr_processing_section" });
+    controller.appendChild(section);
+    buildEditor();
+  }
+}
+
+/**
+ * Run a spoke through the pipeline and write it into the polar buffer
+ * @param {Object} r - The renderer: data, raw (optional), spokesPerRevolution,
+ *   max_spoke_len, rotationCount, specialValues and intensities
+ * @param {Object} spoke - The spoke from the radar stream
+ * @param {boolean} [onGpu=false] - Skip the filters the renderer runs on the GPU
+ */
+function processSpoke(r, spoke, onGpu = false) {
+  const maxLen = r.max_spoke_len;
+  const offset = spoke.angle * maxLen;
+  const spokeLen = Math.min(spoke.data.length, maxLen);
+
+  let row = spoke.data.subarray(0, spokeLen);
+  const ctx = {
+    data: r.data,
+    raw: r.raw || null,
+    offset,
+    angle: spoke.angle,
+    spokes: r.spokesPerRevolution,
+    maxLen,
+    rotation: r.rotationCount || 0,
+    special: r.specialValues,
+    intensities: r.intensities ?? DEFAULT_INTENSITIES,
+  };
+
+  for (const [id, filter] of Object.entries(FILTERS)) {
+    const settings = pipeline[id];
+    if (settings?.enabled && !(onGpu && filter.gpu)) {
+      row = filter.apply(row, ctx, settings.params);
+    }
+  }
+
+  r.data.set(row, offset);
+  // Clear remainder of spoke if data is shorter than max
+  if (spokeLen < maxLen) {
+    r.data.fill(0, offset + spokeLen, offset + maxLen);
+  }
+
+  // The spoke as received, for the filters of the next spokes and rotation
+  if (r.raw) {
+    r.raw.set(spoke.data.subarray(0, spokeLen), offset);
+    r.raw.fill(0, offset + spokeLen, offset + maxLen);
+  }
+}
+
+// ============================================================================
+// Filters
+// ============================================================================
+
+// Spread returns to the neighbouring spokes, during the first rotations
+// (all the time with rotations 0). Only raises the neighbours, never lowers.
+function angularSmoothing(row, ctx, params) {
+  if (params.rotations > 0 && ctx.rotation >= params.rotations) return row;
+
+  const { data, angle, spokes, maxLen, special } = ctx;
+  const spreads = [
+    [60, SPREAD_STRONG, params.width],
+    [25, SPREAD_MEDIUM, Math.round((params.width * 2) / 3)],
+    [1, SPREAD_WEAK, Math.round(params.width / 3)],
+  ];
+
+  for (let i = 0; i < row.length; i++) {
+    const val = row[i];
+    if (val <= 1 || special[val]) continue;
+
+    const [, factors, width] = spreads.find(([threshold]) => val > threshold);
+    for (let d = 1; d <= width; d++) {
+      const blendVal = Math.floor(val * factors[Math.floor(((d - 1) * factors.length) / width)]);
+      const prevOffset = ((angle + spokes - d) % spokes) * maxLen + i;
+      const nextOffset = ((angle + d) % spokes) * maxLen + i;
+
+      if (data[prevOffset] < blendVal && !special[data[prevOffset]]) {
+        data[prevOffset] = blendVal;
+      }
+      if (data[nextOffset] < blendVal && !special[data[nextOffset]]) {
+        data[nextOffset] = blendVal;
+      }
+    }
+  }
+  return row;
+}
+
+// Limit each return to a multiple of the strongest of the previous spoke and
+// the same cell one rotation ago, as received (the filtered buffer would keep
+// rejecting once it is empty); the higher the level, the smaller the multiple
+function interferenceRejection(row, ctx, params) {
+  const { offset, angle, spokes, maxLen, special } = ctx;
+  const data = ctx.raw || ctx.data;
+  const prevOffset = ((angle + spokes - 1) % spokes) * maxLen;
+  const ratio = [4, 2.5, 1.5][params.level - 1] || 2.5;
+  const out = new Uint8Array(row.length);
+
+  for (let i = 0; i < row.length; i++) {
+    const val = row[i];
+    if (special[val]) {
+      out[i] = val;
+      continue;
+    }
+    const support = Math.max(data[prevOffset + i], data[offset + i]);
+    out[i] = Math.min(val, Math.floor(support * ratio));
+  }
+  return out;
+}
+
+// Boost returns with neighbour support on the previous rotation (±4 spokes
+// for strong returns, ±2 for weaker ones) and suppress isolated ones
+function scatterSuppression(row, ctx, params) {
+  if (ctx.rotation < params.after) return row;
+
+  const { data, angle, spokes, maxLen, special } = ctx;
+  const levels = scatterLevels(params, ctx.intensities);
+  const boost = params.boost / 100;
+  const isolated = params.isolated / 100;
+  const neighbour = (d) => ((angle + spokes + d) % spokes) * maxLen;
+  const prev1Offset = neighbour(-1);
+  const prev2Offset = neighbour(-2);
+  const prev3Offset = neighbour(-3);
+  const prev4Offset = neighbour(-4);
+  const next1Offset = neighbour(1);
+  const next2Offset = neighbour(2);
+  const next3Offset = neighbour(3);
+  const next4Offset = neighbour(4);
+
+  // Raise a neighbour that is a medium or strong return
+  const raise = (index, factor) => {
+    const v = data[index];
+    if (v > levels.medium && !special[v]) data[index] = Math.min(255, Math.floor(v * factor));
+  };
+
+  const out = new Uint8Array(row.length);
+  for (let i = 0; i < row.length; i++) {
+    const val = row[i];
+
+    const prev1 = data[prev1Offset + i];
+    const prev2 = data[prev2Offset + i];
+    const prev3 = data[prev3Offset + i];
+    const prev4 = data[prev4Offset + i];
+    const next1 = data[next1Offset + i];
+    const next2 = data[next2Offset + i];
+    const next3 = data[next3Offset + i];
+    const next4 = data[next4Offset + i];
+
+    // For strong signals: use wide sum (±4)
+    const wideSum = prev1 + prev2 + prev3 + prev4 + next1 + next2 + next3 + next4;
+    const wideMax = Math.max(prev1, prev2, prev3, prev4, next1, next2, next3, next4);
+    // For weak signals: use narrow sum (±2)
+    const narrowSum = prev1 + prev2 + next1 + next2;
+    const narrowMax = Math.max(prev1, prev2, next1, next2);
+
+    let outputVal;
+
+    if (special[val] || val <= 1) {
+      outputVal = val;
+    } else if (val > levels.strong) {
+      if (wideSum > levels.solidSum) {
+        // Solid mass - boost hard and spread to neighbors
+        outputVal = Math.min(255, Math.floor(val * boost));
+        raise(prev1Offset + i, 1.15);
+        raise(next1Offset + i, 1.15);
+        raise(prev2Offset + i, 1.1);
+        raise(next2Offset + i, 1.1);
+      } else if (wideMax > levels.strongMax) {
+        // Some support - moderate boost
+        outputVal = Math.min(255, Math.floor(val * 1.2));
+      } else {
+        // Strong but isolated - suspicious, reduce
+        outputVal = Math.floor(val * 0.8);
+      }
+    } else if (val > levels.medium) {
+      if (narrowSum > levels.mediumSum) {
+        // Good support - boost it
+        outputVal = Math.min(255, Math.floor(val * 1.2));
+      } else if (narrowMax > levels.mediumMax) {
+        // Some support - keep
+        outputVal = val;
+      } else {
+        // Isolated medium - likely scatter
+        outputVal = Math.floor(val * isolated);
+      }
+    } else {
+      // Weak signal: kill it unless very well supported
+      if (narrowSum > levels.weakSum) {
+        outputVal = val;
+      } else if (narrowMax > levels.weakMax) {
+        outputVal = Math.floor(val * 0.5);
+      } else {
+        outputVal = 0;
+      }
+    }
+
+    out[i] = outputVal;
+  }
+  return out;
+}
+
+// Each sample takes the strongest of itself and the samples before it
+function echoStretch(row, ctx, params) {
+  const { special } = ctx;
+  const out = new Uint8Array(row.length);
+
+  for (let i = 0; i < row.length; i++) {
+    let max = special[row[i]] ? 0 : row[i];
+    for (let k = 1; k <= params.samples && k <= i; k++) {
+      const v = row[i - k];
+      if (v > max && !special[v]) max = v;
+    }
+    out[i] = special[row[i]] ? row[i] : max;
+  }
+  return out;
+}
+
+// ============================================================================
+// Editor
+// ============================================================================
+
+function saveSettings() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(pipeline));
+  } catch (e) {
+    console.warn("Failed to save display processing:", e.message);
+  }
+}
+
+function buildEditor() {
+  const section = document.getElementById("myr_processing");
+  if (!section) return;
+  section.innerHTML = "";
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Display processing"),
+    ...Object.entries(FILTERS).map(([id, filter]) => {
+      const settings = pipeline[id];
+      const prefix = `myr_processing_${id}`;
+      return div({ class: "myr_ntz_zone" },
+        div({ class: "myr_ntz_zone_header" },
+          label({ class: "myr_checkbox_label" },
+            input({
+              type: "checkbox",
+              id: `${prefix}_enabled`,
+              checked: settings.enabled,
+              onchange: (e) => {
+                settings.enabled = e.target.checked;
+                saveSettings();
+              },
+            }),
+            ` ${filter.label}`
+          )
+        ),
+        div({ class: "myr_ntz_angles myr_processing_params" },
+          ...Object.entries(filter.params).map(([key, p]) => div({ class: "myr_ntz_angle" },
+            label({ for: `${prefix}_${key}` }, p.label),
+            input({
+              type: "number",
+              id: `${prefix}_${key}`,
+              min: p.min,
+              max: p.max,
+              step: p.step,
+              value: settings.params[key],
+              onchange: (e) => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) return;
+                settings.params[key] = Math.min(p.max, Math.max(p.min, value));
+                e.target.value = settings.params[key];
+                saveSettings();
+              },
+            })
+          ))
+        )
+      );
+    })
+  );
+}
@@ -0,0 +1,415 @@
+export { render_2d };
+
+import { formatRangeValue, is_metric } from "./units.js";
+import { drawOverlay } from "./overlay.js";
+import { applyView } from "./view.js";
+import { textColor } from "./palette.js";
+import { processSpoke } from "./processing.js";
+import { target_trails } from "./trails.js";
+import { DEFAULT_INTENSITIES } from "./legend.js";
+
+// Trail colour, same as TRAIL_COLOR in the WebGPU shader
+const TRAIL_RGB = [77, 140, 255];
+
+// Canvas 2D fallback renderer, used when WebGPU is not available.
+// Same interface as render_webgpu, but the polar-to-cartesian mapping is done
+// on the CPU into an ImageData. A lookup table maps every pixel inside the
+// radar circle to its (spoke, sample) index, so a frame is a single pass of
+// table lookups. Frames are coalesced with requestAnimationFrame.
+class render_2d {
+  constructor(canvas_dom, canvas_background_dom, drawBackground, canvas_overlay_dom = document.getElementById("myr_canvas_overlay")) {
+    this.dom = canvas_dom;
+    this.ctx = this.dom.getContext("2d");
+    this.background_dom = canvas_background_dom;
+    this.background_ctx = this.background_dom.getContext("2d");
+    // Overlay canvas for range rings (on top of radar)
+    this.overlay_dom = canvas_overlay_dom;
+    this.overlay_ctx = this.overlay_dom ? this.overlay_dom.getContext("2d") : null;
+    this.drawBackgroundCallback = drawBackground;
+
+    this.actual_range = 0;
+    this.palette = new Uint32Array(256);
+    this.specialValues = new Uint8Array(256); // Pixel values that are not intensities
+    this.intensities = DEFAULT_INTENSITIES; // Number of intensity values, from the legend
+    this.frameRequested = false;
+
+    // Rotation tracking for the enhancement pipeline
+    this.rotationCount = 0;
+    this.lastSpokeAngle = -1;
+
+    // Buffer flush - wait for full rotation after standby/range change
+    // This ensures we only draw fresh data, not stale buffered spokes
+    this.waitForRotation = false; // True when waiting for angle wraparound
+    this.waitStartAngle = -1; // Angle when we started waiting
+    this.seenAngleWrap = false; // True once we've seen angle decrease (wrap)
+
+    // Heading rotation for North Up mode (in radians)
+    this.headingRotation = 0;
+
+    // Target trails (echo history), drawn under the live returns
+    this.trails = new target_trails(this);
+    this.trailPalette = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      const alpha = Math.round(i * 0.8);
+      this.trailPalette[i] = ((alpha << 24) | (TRAIL_RGB[2] << 16) | (TRAIL_RGB[1] << 8) | TRAIL_RGB[0]) >>> 0;
+    }
+
+    // Standby mode state
+    this.standbyMode = false;
+    this.onTimeHours = 0;
+    this.txTimeHours = 0;
+    this.hasOnTimeCapability = false;
+    this.hasTxTimeCapability = false;
+
+    // No async initialization needed for Canvas 2D
+    this.ready = true;
+    this.initPromise = Promise.resolve();
+    this.redrawCanvas();
+    console.log("Canvas 2D initialized (CPU polar rendering)");
+  }
+
+  setSpokes(spokesPerRevolution, max_spoke_len) {
+    this.spokesPerRevolution = spokesPerRevolution;
+    this.max_spoke_len = max_spoke_len;
+    this.data = new Uint8Array(spokesPerRevolution * max_spoke_len);
+    this.raw = new Uint8Array(spokesPerRevolution * max_spoke_len); // Spokes as received, see processSpoke()
+    this.#buildLookup();
+  }
+
+  setRange(range) {
+    this.range = range;
+    // Clear spoke data when range changes - old data is no longer valid
+    if (this.data) {
+      this.data.fill(0);
+    }
+    this.trails.clear();
+    this.redrawCanvas();
+  }
+
+  setHeadingRotation(radians) {
+    // Heading Up passes 0 on every heading update, don't rebuild for nothing
+    if (radians === this.headingRotation) return;
+    this.headingRotation = radians;
+    this.#buildLookup();
+    this.render();
+  }
+
+  /**
+   * Set the target trails mode
+   * @param {number} seconds - Trail time, 0 = off, Infinity = permanent
+   * @param {string} motion - "relative" or "true"
+   */
+  setTrails(seconds, motion) {
+    this.trails.setMode(seconds, motion);
+    this.render();
+  }
+
+  setStandbyMode(isStandby, onTimeHours, txTimeHours, hasOnTimeCap, hasTxTimeCap) {
+    const wasStandby = this.standbyMode;
+    this.standbyMode = isStandby;
+    this.onTimeHours = onTimeHours || 0;
+    this.txTimeHours = txTimeHours || 0;
+    this.hasOnTimeCapability = hasOnTimeCap || false;
+    this.hasTxTimeCapability = hasTxTimeCap || false;
+
+    if (isStandby !== wasStandby) {
+      // Entering or leaving standby - clear any stale data
+      this.clearRadarDisplay();
+    }
+
+    // Redraw to show/hide standby overlay
+    this.redrawCanvas();
+  }
+
+  // Clear all radar data from display (used when entering standby or changing range)
+  clearRadarDisplay() {
+    if (this.data) {
+      this.data.fill(0);
+    }
+    this.trails.clear();
+    this.rotationCount = 0;
+    this.lastSpokeAngle = -1;
+
+    // Wait for full rotation to flush any buffered stale spokes
+    this.waitForRotation = true;
+    this.waitStartAngle = -1;
+    this.seenAngleWrap = false;
+
+    this.render();
+  }
+
+  // specialValues are pixel values that are not intensities (e.g. Doppler),
+  // they are drawn as received and not changed by the enhancement pipeline.
+  // intensities is the number of intensity values, for the echo thresholds
+  setLegend(l, specialValues = [], intensities = DEFAULT_INTENSITIES) {
+    this.intensities = intensities;
+    this.trails.setIntensities(intensities);
+    this.specialValues = new Uint8Array(256);
+    for (const v of specialValues) {
+      this.specialValues[v] = 1;
+    }
+
+    // Pack RGBA into one 32-bit word per entry, matching the byte order of
+    // ImageData viewed as a Uint32Array on little-endian hosts (all browsers we target)
+    this.palette = new Uint32Array(256);
+    for (let i = 0; i < l.length && i < 256; i++) {
+      this.palette[i] = ((l[i][3] << 24) | (l[i][2] << 16) | (l[i][1] << 8) | l[i][0]) >>> 0;
+    }
+    this.render();
+  }
+
+  drawSpoke(spoke) {
+    if (!this.data) return;
+
+    // Don't draw spokes in standby mode
+    if (this.standbyMode) {
+      // Prepare to wait for full rotation when we exit standby
+      this.waitForRotation = true;
+      this.waitStartAngle = -1;
+      this.seenAngleWrap = false;
+      return;
+    }
+
+    // Bounds check - log bad angles
+    if (spoke.angle >= this.spokesPerRevolution) {
+      console.error(`Bad spoke angle: ${spoke.angle} >= ${this.spokesPerRevolution}`);
+      return;
+    }
+
+    // Wait for full rotation: skip all buffered spokes until we complete one full sweep
+    if (this.waitForRotation) {
+      if (this.waitStartAngle < 0) {
+        this.waitStartAngle = spoke.angle;
+        this.lastWaitAngle = spoke.angle;
+        return;
+      }
+      if (!this.seenAngleWrap && spoke.angle < this.lastWaitAngle - this.spokesPerRevolution / 2) {
+        this.seenAngleWrap = true;
+      }
+      if (this.seenAngleWrap && spoke.angle >= this.waitStartAngle) {
+        // Full rotation complete - start drawing fresh data
+        this.waitForRotation = false;
+        this.rotationCount = 0;
+        this.lastSpokeAngle = -1;
+        this.data.fill(0);
+      } else {
+        this.lastWaitAngle = spoke.angle;
+        return;
+      }
+    }
+
+    if (this.actual_range != spoke.range) {
+      const wasInitialRange = this.actual_range === 0;
+      this.actual_range = spoke.range;
+      // Clear spoke data when range changes - old data is at wrong scale
+      this.data.fill(0);
+      this.rotationCount = 0;
+      this.lastSpokeAngle = -1;
+      this.redrawCanvas();
+
+      // Only wait for full rotation on actual range CHANGE, not initial range setting
+      if (!wasInitialRange) {
+        this.waitForRotation = true;
+        this.waitStartAngle = -1;
+        this.seenAngleWrap = false;
+        this.render();
+        return; // Skip this spoke, it's from the old range
+      }
+    }
+
+    // Track rotations: detect when we wrap around from high angle to low angle
+    if (this.lastSpokeAngle >= 0 && spoke.angle < this.lastSpokeAngle - this.spokesPerRevolution / 2) {
+      this.rotationCount++;
+    }
+    this.lastSpokeAngle = spoke.angle;
+
+    // Trails use the raw spoke, before enhancement
+    this.trails.addSpoke(spoke, this.spokesPerRevolution, this.max_spoke_len);
+
+    // Enhancement pipeline (see processing.js) writes the spoke into the buffer
+    processSpoke(this, spoke);
+  }
+
+  render() {
+    if (this.frameRequested) return;
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      this.#paint();
+    });
+  }
+
+  #paint() {
+    if (!this.imageData) return;
+
+    const pixels = this.pixels;
+    const pixelIndex = this.lookupPixel;
+    const dataIndex = this.lookupData;
+    const palette = this.palette;
+    const data = this.data;
+
+    if (data && pixelIndex) {
+      if (this.trails.enabled) {
+        this.#paintWithTrails();
+      } else {
+        for (let i = 0; i < pixelIndex.length; i++) {
+          pixels[pixelIndex[i]] = palette[data[dataIndex[i]]];
+        }
+      }
+    }
+    this.ctx.putImageData(this.imageData, 0, 0);
+  }
+
+  // Same as the plain paint loop, but pixels without a live return show the
+  // trail grid, rotated from screen to grid orientation (see the shader)
+  #paintWithTrails() {
+    const pixels = this.pixels;
+    const pixelIndex = this.lookupPixel;
+    const dataIndex = this.lookupData;
+    const lookupX = this.lookupX;
+    const lookupY = this.lookupY;
+    const palette = this.palette;
+    const trailPalette = this.trailPalette;
+    const data = this.data;
+    const trail = this.trails.data;
+    const size = this.trails.size;
+    const half = size / 2;
+
+    const rotation = this.trails.rotation(this.headingRotation);
+    const cos = Math.cos(rotation) * half;
+    const sin = Math.sin(rotation) * half;
+
+    for (let i = 0; i < pixelIndex.length; i++) {
+      const v = data[dataIndex[i]];
+      if (v) {
+        pixels[pixelIndex[i]] = palette[v];
+        continue;
+      }
+      const sx = lookupX[i];
+      const sy = lookupY[i];
+      const col = Math.floor(half + sx * cos + sy * sin);
+      const row = Math.floor(half - (sy * cos - sx * sin));
+      pixels[pixelIndex[i]] = col >= 0 && col < size && row >= 0 && row < size
+        ? trailPalette[trail[row * size + col]]
+        : palette[0];
+    }
+  }
+
+  // Build the pixel -> polar data lookup table for the current size, range and heading
+  #buildLookup() {
+    this.lookupPixel = null;
+    this.lookupData = null;
+    this.lookupX = null;
+    this.lookupY = null;
+    if (this.pixels) {
+      this.pixels.fill(0);
+    }
+    if (!this.spokesPerRevolution || !this.max_spoke_len || !this.width || !this.height) {
+      return;
+    }
+
+    // Same scaling as the WebGPU vertex uniforms: the spoke data covers
+    // actual_range, the outer ring (beam_length) shows the display range
+    const range = this.range || this.actual_range || 1500;
+    const radius = (this.beam_length * this.actual_range) / range;
+    if (!(radius > 0)) return;
+
+    const spokes = this.spokesPerRevolution;
+    const maxLen = this.max_spoke_len;
+    const TWO_PI = 2 * Math.PI;
+
+    const x0 = Math.max(0, Math.floor(this.center_x - radius));
+    const x1 = Math.min(this.width, Math.ceil(this.center_x + radius));
+    const y0 = Math.max(0, Math.floor(this.center_y - radius));
+    const y1 = Math.min(this.height, Math.ceil(this.center_y + radius));
+
+    const capacity = (x1 - x0) * (y1 - y0);
+    const pixelIndex = new Int32Array(capacity);
+    const dataIndex = new Int32Array(capacity);
+    // Screen position relative to the radar circle, for the trail grid
+    const screenX = new Float32Array(capacity);
+    const screenY = new Float32Array(capacity);
+    let n = 0;
+
+    for (let y = y0; y < y1; y++) {
+      // dy is positive towards the top of the screen (bow)
+      const dy = this.center_y - (y + 0.5);
+      for (let x = x0; x < x1; x++) {
+        const dx = x + 0.5 - this.center_x;
+        const r = Math.sqrt(dx * dx + dy * dy) / radius;
+        if (r >= 1.0) continue;
+
+        // Clockwise angle from top, then apply heading rotation (see shader)
+        let theta = Math.atan2(dx, dy) - this.headingRotation;
+        theta = ((theta % TWO_PI) + TWO_PI) % TWO_PI;
+
+        const spoke = Math.floor((theta / TWO_PI) * spokes) % spokes;
+        const sample = Math.floor(r * maxLen);
+
+        pixelIndex[n] = y * this.width + x;
+        dataIndex[n] = spoke * maxLen + sample;
+        screenX[n] = dx / radius;
+        screenY[n] = dy / radius;
+        n++;
+      }
+    }
+
+    this.lookupPixel = pixelIndex.subarray(0, n);
+    this.lookupData = dataIndex.subarray(0, n);
+    this.lookupX = screenX.subarray(0, n);
+    this.lookupY = screenY.subarray(0, n);
+  }
+
+  // Redraw only the overlay canvas (EBL/VRM changes, heading updates)
+  redrawOverlay() {
+    drawOverlay(this);
+  }
+
+  // Draw the radar image onto a 2D context (snapshots)
+  drawRadarImage(ctx) {
+    ctx.drawImage(this.dom, 0, 0);
+    return Promise.resolve();
+  }
+
+  redrawCanvas() {
+    var parent = this.dom.parentNode,
+      styles = getComputedStyle(parent),
+      w = parseInt(styles.getPropertyValue("width"), 10),
+      h = parseInt(styles.getPropertyValue("height"), 10);
+
+    this.dom.width = w;
+    this.dom.height = h;
+    this.background_dom.width = w;
+    this.background_dom.height = h;
+    if (this.overlay_dom) {
+      this.overlay_dom.width = w;
+      this.overlay_dom.height = h;
+    }
+
+    this.width = this.dom.width;
+    this.height = this.dom.height;
+    // Own ship position and beam length follow the off-centre/zoom/pan view
+    applyView(this);
+
+    this.imageData = this.ctx.createImageData(this.width, this.height);
+    this.pixels = new Uint32Array(this.imageData.data.buffer);
+    this.#buildLookup();
+
+    this.redrawBackground();
+    drawOverlay(this);
+
+    this.render();
+  }
+
+  // Redraw only the background canvas (chart underlay moved or rotated)
+  redrawBackground() {
+    this.drawBackgroundCallback(this, "MAYARA (Canvas 2D)");
+
+    const range = this.range || this.actual_range || 1500;
+    this.background_ctx.fillStyle = textColor("lightgreen");
+    this.background_ctx.fillText("Beam length: " + this.beam_length + " px", 5, 40);
+    this.background_ctx.fillText("Display range: " + formatRangeValue(is_metric(range), range), 5, 60);
+    this.background_ctx.fillText("Radar range: " + formatRangeValue(is_metric(this.actual_range), this.actual_range), 5, 80);
+    this.background_ctx.fillText("Spoke length: " + (this.max_spoke_len || 0) + " px", 5, 100);
+  }
+}
@@ -1,14 +1,25 @@
 export { render_webgpu };
 
-import { RANGE_SCALE, formatRangeValue, is_metric, getHeadingMode, getTrueHeading } from "./viewer.js";
+import { formatRangeValue, is_metric } from "./units.js";
+import { drawOverlay } from "./overlay.js";
+import { applyView } from "./view.js";
+import { textColor } from "./palette.js";
+import { processSpoke, getPipeline, scatterLevels } from "./processing.js";
+import { target_trails, TRAIL_GRID_SIZE } from "./trails.js";
+import { DEFAULT_INTENSITIES } from "./legend.js";
+
+// Frame rate limit; spokes arriving in between are uploaded together
+const MAX_FPS = 30;
+// Rows are padded to this many bytes, as copyBufferToTexture requires
+const ROW_ALIGNMENT = 256;
 
 class render_webgpu {
-  constructor(canvas_dom, canvas_background_dom, drawBackground) {
+  constructor(canvas_dom, canvas_background_dom, drawBackground, canvas_overlay_dom = document.getElementById("myr_canvas_overlay")) {
     this.dom = canvas_dom;
     this.background_dom = canvas_background_dom;
     this.background_ctx = this.background_dom.getContext("2d");
     // Overlay canvas for range rings (on top of radar)
-    this.overlay_dom = document.getElementById("myr_canvas_overlay");
+    this.overlay_dom = canvas_overlay_dom;
     this.overlay_ctx = this.overlay_dom ? this.overlay_dom.getContext("2d") : null;
     this.drawBackgroundCallback = drawBackground;
 
@@ -16,11 +27,15 @@ class render_webgpu {
     this.ready = false;
     this.pendingLegend = null;
     this.pendingSpokes = null;
+    this.specialValues = new Uint8Array(256); // Pixel values that are not intensities
+    this.intensities = DEFAULT_INTENSITIES; // Number of intensity values, from the legend
+    this.frameRequested = false;
+    this.lastFrameTime = 0;
+    this.frameCallbacks = []; // Run right after the next frame is submitted
 
-    // Rotation tracking for neighbor enhancement
+    // Rotation tracking for the enhancement pipeline
     this.rotationCount = 0;
     this.lastSpokeAngle = -1;
-    this.fillRotations = 4; // Number of rotations to use neighbor enhancement
 
     // Buffer flush - wait for full rotation after standby/range change
     // This ensures we only draw fresh data, not stale buffered spokes
@@ -31,6 +46,9 @@ class render_webgpu {
     // Heading rotation for North Up mode (in radians)
     this.headingRotation = 0;
 
+    // Target trails (echo history), drawn under the live returns
+    this.trails = new target_trails(this);
+
     // Standby mode state
     this.standbyMode = false;
     this.onTimeHours = 0;
@@ -62,7 +80,8 @@ class render_webgpu {
       alphaMode: "premultiplied",
     });
 
-    // Create sampler for polar data (linear for smooth display like TZ Pro)
+    // Create sampler for polar data (linear for smooth display like TZ Pro);
+    // special values and the colour table are read unfiltered, see shaderCode
     this.sampler = this.device.createSampler({
       magFilter: "linear",
       minFilter: "linear",
@@ -72,10 +91,17 @@ class render_webgpu {
 
     // Create uniform buffer for parameters
     this.uniformBuffer = this.device.createBuffer({
-      size: 32,  // scaleX, scaleY, spokesPerRev, maxSpokeLen + padding
+      size: 48,  // scaleX, scaleY, spokesPerRev, maxSpokeLen, headingRotation, trails, offset + padding
       usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
 
+    // Create trail texture (cartesian grid centred on own ship)
+    this.trailTexture = this.device.createTexture({
+      size: [TRAIL_GRID_SIZE, TRAIL_GRID_SIZE],
+      format: "r8unorm",
+      usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+    });
+
     // Create vertex buffer for fullscreen quad
     const vertices = new Float32Array([
       -1.0, -1.0, 0.0, 0.0,
@@ -90,8 +116,19 @@ class render_webgpu {
     });
     this.device.queue.writeBuffer(this.vertexBuffer, 0, vertices);
 
-    // Create render pipeline
+    // Special pixel values for the enhancement compute shader, one u32 per value
+    this.specialBuffer = this.device.createBuffer({
+      size: 256 * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+    this.enhanceUniformBuffer = this.device.createBuffer({
+      size: 96,  // See struct Params in enhanceShaderCode
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    // Create render and compute pipelines
     await this.#createRenderPipeline();
+    await this.#createComputePipeline();
 
     this.ready = true;
     this.redrawCanvas();
@@ -101,7 +138,7 @@ class render_webgpu {
       this.pendingSpokes = null;
     }
     if (this.pendingLegend) {
-      this.setLegend(this.pendingLegend);
+      this.setLegend(...this.pendingLegend);
       this.pendingLegend = null;
     }
     console.log("WebGPU initialized (direct polar rendering)");
@@ -118,6 +155,7 @@ class render_webgpu {
         { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: "float" } }, // color table
         { binding: 2, visibility: GPUShaderStage.FRAGMENT, sampler: { type: "filtering" } },
         { binding: 3, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: { type: "uniform" } },
+        { binding: 4, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: "float" } }, // trails
       ],
     });
 
@@ -143,6 +181,29 @@ class render_webgpu {
     });
   }
 
+  async #createComputePipeline() {
+    const module = this.device.createShaderModule({
+      code: enhanceShaderCode,
+    });
+
+    const storage = (type) => ({ visibility: GPUShaderStage.COMPUTE, buffer: { type } });
+    this.computeBindGroupLayout = this.device.createBindGroupLayout({
+      entries: [
+        { binding: 0, ...storage("read-only-storage") }, // raw spokes
+        { binding: 1, ...storage("read-only-storage") }, // raw spokes of the previous rotation
+        { binding: 2, ...storage("storage") },           // enhanced spokes
+        { binding: 3, ...storage("read-only-storage") }, // rows to enhance
+        { binding: 4, ...storage("read-only-storage") }, // special pixel values
+        { binding: 5, ...storage("uniform") },           // params
+      ],
+    });
+
+    this.computePipeline = this.device.createComputePipeline({
+      layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.computeBindGroupLayout] }),
+      compute: { module, entryPoint: "enhanceMain" },
+    });
+  }
+
   setSpokes(spokesPerRevolution, max_spoke_len) {
     if (!this.ready) {
       this.pendingSpokes = { spokesPerRevolution, max_spoke_len };
@@ -154,7 +215,10 @@ class render_webgpu {
 
     this.spokesPerRevolution = spokesPerRevolution;
     this.max_spoke_len = max_spoke_len;
+    // Spokes as received (after any CPU-only filters); enhancement runs on the GPU
     this.data = new Uint8Array(spokesPerRevolution * max_spoke_len);
+    this.dirtyRows = new Uint8Array(spokesPerRevolution);
+    this.allDirty = true;
 
     // Create polar data texture (width = range samples, height = angles)
     this.polarTexture = this.device.createTexture({
@@ -163,6 +227,34 @@ class render_webgpu {
       usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
     });
 
+    // Raw, previous rotation and enhanced spokes, 4 samples per u32, rows padded
+    this.rowBytes = Math.ceil(max_spoke_len / ROW_ALIGNMENT) * ROW_ALIGNMENT;
+    const size = spokesPerRevolution * this.rowBytes;
+    const usage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST;
+    this.rawBuffer = this.device.createBuffer({ size, usage });
+    this.prevBuffer = this.device.createBuffer({ size, usage });
+    this.enhancedBuffer = this.device.createBuffer({ size, usage });
+    // New rows are written here and copied into rawBuffer by the frame's commands
+    this.stagingBuffer = this.device.createBuffer({ size, usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+    this.rowListBuffer = this.device.createBuffer({
+      size: spokesPerRevolution * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+    // Padded copy of the rows, when the rows of this.data are not aligned
+    this.rowStaging = this.rowBytes === max_spoke_len ? null : new Uint8Array(size);
+
+    this.computeBindGroup = this.device.createBindGroup({
+      layout: this.computeBindGroupLayout,
+      entries: [
+        { binding: 0, resource: { buffer: this.rawBuffer } },
+        { binding: 1, resource: { buffer: this.prevBuffer } },
+        { binding: 2, resource: { buffer: this.enhancedBuffer } },
+        { binding: 3, resource: { buffer: this.rowListBuffer } },
+        { binding: 4, resource: { buffer: this.specialBuffer } },
+        { binding: 5, resource: { buffer: this.enhanceUniformBuffer } },
+      ],
+    });
+
     this.#createBindGroup();
   }
 
@@ -171,7 +263,9 @@ class render_webgpu {
     // Clear spoke data when range changes - old data is no longer valid
     if (this.data) {
       this.data.fill(0);
+      this.allDirty = true;
     }
+    this.trails.clear();
     this.redrawCanvas();
   }
 
@@ -182,6 +276,19 @@ class render_webgpu {
     }
   }
 
+  /**
+   * Set the target trails mode
+   * @param {number} seconds - Trail time, 0 = off, Infinity = permanent
+   * @param {string} motion - "relative" or "true"
+   */
+  setTrails(seconds, motion) {
+    this.trails.setMode(seconds, motion);
+    if (this.ready) {
+      this.#updateUniforms();
+      this.render();
+    }
+  }
+
   setStandbyMode(isStandby, onTimeHours, txTimeHours, hasOnTimeCap, hasTxTimeCap) {
     const wasStandby = this.standbyMode;
     this.standbyMode = isStandby;
@@ -207,6 +314,7 @@ class render_webgpu {
     if (this.data) {
       this.data.fill(0);
     }
+    this.trails.clear();
     // Reset rotation counter and tracking
     this.rotationCount = 0;
     this.lastSpokeAngle = -1;
@@ -219,32 +327,43 @@ class render_webgpu {
 
     // Upload cleared data to GPU and render
     if (this.ready && this.polarTexture && this.data) {
-      this.device.queue.writeTexture(
-        { texture: this.polarTexture },
-        this.data,
-        { bytesPerRow: this.max_spoke_len },
-        { width: this.max_spoke_len, height: this.spokesPerRevolution }
-      );
+      this.allDirty = true;
       this.render();
     }
   }
 
-  setLegend(l) {
+  // specialValues are pixel values that are not intensities (e.g. Doppler),
+  // they are drawn as received and not changed by the enhancement pipeline.
+  // intensities is the number of intensity values, for the echo thresholds
+  setLegend(l, specialValues = [], intensities = DEFAULT_INTENSITIES) {
+    this.intensities = intensities;
+    this.trails.setIntensities(intensities);
     if (!this.ready) {
-      this.pendingLegend = l;
+      this.pendingLegend = [l, specialValues, intensities];
       return;
     }
 
-    const colorTableData = new Uint8Array(256 * 4);
+    this.specialValues = new Uint8Array(256);
+    for (const v of specialValues) {
+      this.specialValues[v] = 1;
+    }
+    this.device.queue.writeBuffer(this.specialBuffer, 0, Uint32Array.from(this.specialValues));
+    this.allDirty = true;
+
+    // Row 0: the colours, row 1: 255 in red for the special values
+    const colorTableData = new Uint8Array(256 * 4 * 2);
     for (let i = 0; i < l.length; i++) {
       colorTableData[i * 4] = l[i][0];
       colorTableData[i * 4 + 1] = l[i][1];
       colorTableData[i * 4 + 2] = l[i][2];
       colorTableData[i * 4 + 3] = l[i][3];
     }
+    for (let i = 0; i < 256; i++) {
+      colorTableData[(256 + i) * 4] = this.specialValues[i] ? 255 : 0;
+    }
 
     this.colorTexture = this.device.createTexture({
-      size: [256, 1],
+      size: [256, 2],
       format: "rgba8unorm",
       usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
     });
@@ -253,7 +372,7 @@ class render_webgpu {
       { texture: this.colorTexture },
       colorTableData,
       { bytesPerRow: 256 * 4 },
-      { width: 256, height: 1 }
+      { width: 256, height: 2 }
     );
 
     if (this.polarTexture) {
@@ -271,6 +390,7 @@ class render_webgpu {
         { binding: 1, resource: this.colorTexture.createView() },
         { binding: 2, resource: this.sampler },
         { binding: 3, resource: { buffer: this.uniformBuffer } },
+        { binding: 4, resource: this.trailTexture.createView() },
       ],
     });
   }
@@ -318,14 +438,7 @@ class render_webgpu {
         this.firstSpokeAngle = -1;
         // Clear display before starting fresh
         if (this.data) this.data.fill(0);
-        if (this.ready && this.polarTexture && this.data) {
-          this.device.queue.writeTexture(
-            { texture: this.polarTexture },
-            this.data,
-            { bytesPerRow: this.max_spoke_len },
-            { width: this.max_spoke_len, height: this.spokesPerRevolution }
-          );
-        }
+        this.allDirty = true;
         // Fall through to draw this spoke
       } else {
         // Still waiting for rotation to complete
@@ -352,15 +465,8 @@ class render_webgpu {
         this.waitStartAngle = -1;
         this.seenAngleWrap = false;
         // Upload cleared data to GPU
-        if (this.ready && this.polarTexture) {
-          this.device.queue.writeTexture(
-            { texture: this.polarTexture },
-            this.data,
-            { bytesPerRow: this.max_spoke_len },
-            { width: this.max_spoke_len, height: this.spokesPerRevolution }
-          );
-          this.render();
-        }
+        this.allDirty = true;
+        this.render();
         return;  // Skip this spoke, it's from the old range
       }
       // For initial range, just continue drawing - no stale data to flush
@@ -385,165 +491,56 @@ class render_webgpu {
       return;
     }
 
-    const spokeLen = spoke.data.length;
-    const maxLen = this.max_spoke_len;
-
-    // Only use neighbor enhancement during first few rotations to fill display quickly
-    if (this.rotationCount < this.fillRotations) {
-      // Write spoke data with neighbor enhancement
-      // Strong signals spread wider, weak signals spread less
-      const spokes = this.spokesPerRevolution;
+    // Trails use the raw spoke, before enhancement
+    this.trails.addSpoke(spoke, this.spokesPerRevolution, this.max_spoke_len);
 
-      for (let i = 0; i < spokeLen; i++) {
-        const val = spoke.data[i];
-        // Write current spoke at full value
-        this.data[offset + i] = val;
-
-        if (val > 1) {
-          // Strong signals (>60): spread wide (±6 spokes) with higher intensity
-          // Medium signals (25-60): spread medium (±4 spokes)
-          // Weak signals (<25): spread narrow (±2 spokes) with lower intensity
-          let spreadWidth, blendFactors;
-
-          if (val > 60) {
-            // Strong signal - spread wide and strong
-            spreadWidth = 6;
-            blendFactors = [0.95, 0.88, 0.78, 0.65, 0.50, 0.35];
-          } else if (val > 25) {
-            // Medium signal - normal spread
-            spreadWidth = 4;
-            blendFactors = [0.85, 0.65, 0.45, 0.25];
-          } else {
-            // Weak signal - narrow spread, lower intensity
-            spreadWidth = 2;
-            blendFactors = [0.6, 0.3];
-          }
-
-          // Spread to neighboring spokes (both directions)
-          for (let d = 1; d <= spreadWidth; d++) {
-            const prev = (spoke.angle + spokes - d) % spokes;
-            const next = (spoke.angle + d) % spokes;
-            const prevOffset = prev * maxLen;
-            const nextOffset = next * maxLen;
-            const blendVal = Math.floor(val * blendFactors[d - 1]);
-
-            if (this.data[prevOffset + i] < blendVal) {
-              this.data[prevOffset + i] = blendVal;
-            }
-            if (this.data[nextOffset + i] < blendVal) {
-              this.data[nextOffset + i] = blendVal;
-            }
-          }
-        }
-      }
-    } else {
-      // RUN mode: smart filtering
-      // - Strong signals with neighbor support get amplified aggressively (wide check ±4)
-      // - Isolated weak signals (scatter) get killed
-      const spokes = this.spokesPerRevolution;
-
-      // Wide neighbor check for strong signals: ±4 spokes
-      const prev1Offset = ((spoke.angle + spokes - 1) % spokes) * maxLen;
-      const prev2Offset = ((spoke.angle + spokes - 2) % spokes) * maxLen;
-      const prev3Offset = ((spoke.angle + spokes - 3) % spokes) * maxLen;
-      const prev4Offset = ((spoke.angle + spokes - 4) % spokes) * maxLen;
-      const next1Offset = ((spoke.angle + 1) % spokes) * maxLen;
-      const next2Offset = ((spoke.angle + 2) % spokes) * maxLen;
-      const next3Offset = ((spoke.angle + 3) % spokes) * maxLen;
-      const next4Offset = ((spoke.angle + 4) % spokes) * maxLen;
-
-      for (let i = 0; i < spokeLen; i++) {
-        const val = spoke.data[i];
-
-        // Check neighbor support (from previous rotation's data still in buffer)
-        const prev1 = this.data[prev1Offset + i];
-        const prev2 = this.data[prev2Offset + i];
-        const prev3 = this.data[prev3Offset + i];
-        const prev4 = this.data[prev4Offset + i];
-        const next1 = this.data[next1Offset + i];
-        const next2 = this.data[next2Offset + i];
-        const next3 = this.data[next3Offset + i];
-        const next4 = this.data[next4Offset + i];
-
-        // For strong signals: use wide sum (±4)
-        const wideSum = prev1 + prev2 + prev3 + prev4 + next1 + next2 + next3 + next4;
-        const wideMax = Math.max(prev1, prev2, prev3, prev4, next1, next2, next3, next4);
-        // For weak signals: use narrow sum (±2)
-        const narrowSum = prev1 + prev2 + next1 + next2;
-        const narrowMax = Math.max(prev1, prev2, next1, next2);
-
-        let outputVal;
-
-        if (val > 60) {
-          // Strong signal: use wide neighbor check (±4)
-          if (wideSum > 200) {
-            // Solid mass - boost hard and spread to neighbors
-            outputVal = Math.min(255, Math.floor(val * 1.35));
-            // Boost immediate neighbors to fill gaps
-            if (prev1 > 25) this.data[prev1Offset + i] = Math.min(255, Math.floor(prev1 * 1.15));
-            if (next1 > 25) this.data[next1Offset + i] = Math.min(255, Math.floor(next1 * 1.15));
-            if (prev2 > 25) this.data[prev2Offset + i] = Math.min(255, Math.floor(prev2 * 1.1));
-            if (next2 > 25) this.data[next2Offset + i] = Math.min(255, Math.floor(next2 * 1.1));
-          } else if (wideMax > 50) {
-            // Some support - moderate boost
-            outputVal = Math.min(255, Math.floor(val * 1.2));
-          } else {
-            // Strong but isolated - suspicious, reduce
-            outputVal = Math.floor(val * 0.8);
-          }
-        } else if (val > 25) {
-          // Medium signal: needs good neighbor support
-          if (narrowSum > 80) {
-            // Good support - boost it
-            outputVal = Math.min(255, Math.floor(val * 1.2));
-          } else if (narrowMax > 40) {
-            // Some support - keep
-            outputVal = val;
-          } else {
-            // Isolated medium - likely scatter, punish hard
-            outputVal = Math.floor(val * 0.4);
-          }
-        } else if (val > 1) {
-          // Weak signal: kill it unless very well supported
-          if (narrowSum > 100) {
-            // Strong neighbors - this might be edge of real target
-            outputVal = val;
-          } else if (narrowMax > 60) {
-            // Next to something strong - keep faint
-            outputVal = Math.floor(val * 0.5);
-          } else {
-            // Isolated weak signal - kill it
-            outputVal = 0;
-          }
-        } else {
-          outputVal = val;
-        }
-
-        this.data[offset + i] = outputVal;
-      }
-    }
+    // Filters without a GPU version (see processing.js) run here, the rest
+    // in the compute pass when the row is uploaded
+    processSpoke(this, spoke, true);
+    this.dirtyRows[spoke.angle] = 1;
+  }
 
-    // Clear remainder of spoke if data is shorter than max
-    if (spokeLen < maxLen) {
-      this.data.fill(0, offset + spokeLen, offset + maxLen);
+  // Request a frame; frames are limited to MAX_FPS and the display refresh rate
+  render() {
+    if (!this.ready || !this.data || !this.bindGroup || this.frameRequested) {
+      return;
     }
+    this.frameRequested = true;
+    requestAnimationFrame((now) => this.#frame(now));
   }
 
-  render() {
+  #frame(now) {
+    // A little slack so a 60 Hz display draws every other refresh
+    if (now - this.lastFrameTime < 1000 / MAX_FPS - 2) {
+      requestAnimationFrame((t) => this.#frame(t));
+      return;
+    }
+    this.frameRequested = false;
+    this.lastFrameTime = now;
     if (!this.ready || !this.data || !this.bindGroup) {
+      this.#runFrameCallbacks();
       return;
     }
 
-    // Upload spoke data to GPU
-    this.device.queue.writeTexture(
-      { texture: this.polarTexture },
-      this.data,
-      { bytesPerRow: this.max_spoke_len },
-      { width: this.max_spoke_len, height: this.spokesPerRevolution }
-    );
-
     const encoder = this.device.createCommandEncoder();
 
+    // Upload the spokes received since the last frame and enhance them
+    this.#uploadSpokes(encoder);
+
+    if (this.trails.enabled) {
+      if (this.trails.dirty) {
+        this.device.queue.writeTexture(
+          { texture: this.trailTexture },
+          this.trails.data,
+          { bytesPerRow: TRAIL_GRID_SIZE },
+          { width: TRAIL_GRID_SIZE, height: TRAIL_GRID_SIZE }
+        );
+        this.trails.dirty = false;
+      }
+      // True trails rotate with the heading in Heading Up
+      this.#updateUniforms();
+    }
+
     const renderPass = encoder.beginRenderPass({
       colorAttachments: [{
         view: this.context.getCurrentTexture().createView(),
@@ -559,6 +556,155 @@ class render_webgpu {
     renderPass.end();
 
     this.device.queue.submit([encoder.finish()]);
+    this.#runFrameCallbacks();
+  }
+
+  #runFrameCallbacks() {
+    const callbacks = this.frameCallbacks;
+    this.frameCallbacks = [];
+    callbacks.forEach((callback) => callback());
+  }
+
+  /**
+   * Draw the radar image onto a 2D context (snapshots)
+   * The WebGPU canvas only holds its image until it is presented, so it is
+   * copied right after the next frame is submitted.
+   * @param {CanvasRenderingContext2D} ctx - Destination context
+   * @returns {Promise} Resolved once the image is drawn
+   */
+  drawRadarImage(ctx) {
+    if (!this.ready || !this.data || !this.bindGroup) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.frameCallbacks.push(() => {
+        ctx.drawImage(this.dom, 0, 0);
+        resolve();
+      });
+      this.render();
+    });
+  }
+
+  // Rows changed since the last frame, sorted
+  #takeDirtyRows() {
+    const rows = [];
+    for (let i = 0; i < this.spokesPerRevolution; i++) {
+      if (this.allDirty || this.dirtyRows[i]) rows.push(i);
+    }
+    this.dirtyRows.fill(0);
+    this.allDirty = false;
+    return rows;
+  }
+
+  // Write the changed rows into the raw buffer and record the compute pass
+  // that enhances them (and the rows whose filters see them) into the texture
+  #uploadSpokes(encoder) {
+    const rows = this.#takeDirtyRows();
+    if (rows.length === 0) return;
+
+    const queue = this.device.queue;
+    const rowBytes = this.rowBytes;
+    const maxLen = this.max_spoke_len;
+
+    // One staging write per run of rows. writeBuffer() happens before the
+    // encoder's commands, so the rows go through stagingBuffer: the encoder
+    // first keeps the previous rotation of these rows for interference
+    // rejection, then copies the new rows into rawBuffer.
+    const runs = rowRuns(rows);
+    for (const [start, count] of runs) {
+      if (!this.rowStaging) {
+        queue.writeBuffer(this.stagingBuffer, start * rowBytes, this.data, start * maxLen, count * maxLen);
+      } else {
+        for (let row = start; row < start + count; row++) {
+          this.rowStaging.set(this.data.subarray(row * maxLen, (row + 1) * maxLen), row * rowBytes);
+        }
+        queue.writeBuffer(this.stagingBuffer, start * rowBytes, this.rowStaging, start * rowBytes, count * rowBytes);
+      }
+    }
+    for (const [start, count] of runs) {
+      encoder.copyBufferToBuffer(this.rawBuffer, start * rowBytes, this.prevBuffer, start * rowBytes, count * rowBytes);
+      encoder.copyBufferToBuffer(this.stagingBuffer, start * rowBytes, this.rawBuffer, start * rowBytes, count * rowBytes);
+    }
+
+    // A row's enhancement reads the rows within reach
+    const reach = this.#writeEnhanceParams();
+    let affected = rows;
+    if (reach > 0 && rows.length < this.spokesPerRevolution) {
+      const spokes = this.spokesPerRevolution;
+      const marked = new Uint8Array(spokes);
+      for (const row of rows) {
+        for (let d = -reach; d <= reach; d++) {
+          marked[(row + d + spokes) % spokes] = 1;
+        }
+      }
+      affected = [];
+      for (let i = 0; i < spokes; i++) {
+        if (marked[i]) affected.push(i);
+      }
+    }
+    queue.writeBuffer(this.rowListBuffer, 0, Uint32Array.from(affected));
+    queue.writeBuffer(this.enhanceUniformBuffer, 12, Uint32Array.of(affected.length));
+
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(this.computePipeline);
+    pass.setBindGroup(0, this.computeBindGroup);
+    pass.dispatchWorkgroups(Math.ceil(rowBytes / 4 / 64), affected.length);
+    pass.end();
+
+    for (const [start, count] of rowRuns(affected)) {
+      encoder.copyBufferToTexture(
+        { buffer: this.enhancedBuffer, offset: start * rowBytes, bytesPerRow: rowBytes },
+        { texture: this.polarTexture, origin: [0, start] },
+        [maxLen, count]
+      );
+    }
+  }
+
+  // Write the filter settings of the pipeline for the compute shader
+  // Returns the number of neighbouring rows the enabled filters read
+  #writeEnhanceParams() {
+    const pipeline = getPipeline();
+    const on = (id) => (pipeline[id]?.enabled ? 1 : 0);
+    const param = (id, key) => pipeline[id]?.params[key] ?? 0;
+
+    const params = new ArrayBuffer(96);
+    const u32 = new Uint32Array(params);
+    const f32 = new Float32Array(params);
+    u32[0] = this.spokesPerRevolution;
+    u32[1] = this.max_spoke_len;
+    u32[2] = this.rowBytes / 4;
+    u32[3] = 0; // Row count, written by #uploadSpokes
+    u32[4] = this.rotationCount;
+    u32[5] = on("smoothing");
+    u32[6] = param("smoothing", "width");
+    u32[7] = param("smoothing", "rotations");
+    u32[8] = on("interference");
+    u32[9] = param("interference", "level");
+    u32[10] = on("scatter");
+    u32[11] = param("scatter", "after");
+    f32[14] = param("scatter", "boost") / 100;
+    f32[15] = param("scatter", "isolated") / 100;
+    u32[16] = on("stretch");
+    u32[17] = param("stretch", "samples");
+    if (pipeline.scatter) {
+      // Echo thresholds in pixel values of the legend's intensity scale
+      const levels = scatterLevels(pipeline.scatter.params, this.intensities);
+      u32[12] = levels.strong;
+      u32[13] = levels.medium;
+      u32[18] = levels.solidSum;
+      u32[19] = levels.strongMax;
+      u32[20] = levels.mediumSum;
+      u32[21] = levels.mediumMax;
+      u32[22] = levels.weakSum;
+      u32[23] = levels.weakMax;
+    }
+    this.device.queue.writeBuffer(this.enhanceUniformBuffer, 0, params);
+
+    return Math.max(
+      u32[5] ? u32[6] : 0,
+      u32[8] ? 1 : 0,
+      u32[10] ? 4 : 0
+    );
   }
 
   redrawCanvas() {
@@ -578,14 +724,11 @@ class render_webgpu {
 
     this.width = this.dom.width;
     this.height = this.dom.height;
-    this.center_x = this.width / 2;
-    this.center_y = this.height / 2;
-    this.beam_length = Math.trunc(
-      Math.max(this.center_x, this.center_y) * RANGE_SCALE
-    );
+    // Own ship position and beam length follow the off-centre/zoom/pan view
+    applyView(this);
 
-    this.drawBackgroundCallback(this, "MAYARA (WebGPU)");
-    this.#drawOverlay();
+    this.redrawBackground();
+    drawOverlay(this);
 
     if (this.ready) {
       this.context.configure({
@@ -597,165 +740,15 @@ class render_webgpu {
     }
   }
 
-  // Format hours as TimeZero-style DAYS.HH:MM:SS
-  #formatHoursAsTimeZero(totalHours) {
-    const totalSeconds = Math.floor(totalHours * 3600);
-    const days = Math.floor(totalSeconds / 86400);
-    const remainingAfterDays = totalSeconds % 86400;
-    const hours = Math.floor(remainingAfterDays / 3600);
-    const minutes = Math.floor((remainingAfterDays % 3600) / 60);
-    const seconds = remainingAfterDays % 60;
-
-    const hh = hours.toString().padStart(2, '0');
-    const mm = minutes.toString().padStart(2, '0');
-    const ss = seconds.toString().padStart(2, '0');
-
-    return `${days}.${hh}:${mm}:${ss}`;
-  }
-
-  #drawStandbyOverlay(ctx) {
-    // Draw STANDBY text with ON-TIME and TX-Time in center of PPI
-    ctx.save();
-
-    // Large STANDBY text
-    ctx.fillStyle = "white";
-    ctx.font = "bold 36px/1 Verdana, Geneva, sans-serif";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-
-    // Add shadow for better readability
-    ctx.shadowColor = "black";
-    ctx.shadowBlur = 4;
-    ctx.shadowOffsetX = 2;
-    ctx.shadowOffsetY = 2;
-
-    // Calculate vertical position based on what we're showing
-    const hasAnyHours = this.hasOnTimeCapability || this.hasTxTimeCapability;
-    const standbyY = hasAnyHours ? this.center_y - 40 : this.center_y;
-
-    ctx.fillText("STANDBY", this.center_x, standbyY);
-
-    // Only show hours if capability exists
-    if (hasAnyHours) {
-      ctx.font = "bold 20px/1 Verdana, Geneva, sans-serif";
-
-      let yOffset = this.center_y + 10;
-
-      if (this.hasOnTimeCapability) {
-        const onTimeStr = this.#formatHoursAsTimeZero(this.onTimeHours);
-        ctx.fillText("ON-TIME: " + onTimeStr, this.center_x, yOffset);
-        yOffset += 30;
-      }
-
-      if (this.hasTxTimeCapability) {
-        const txTimeStr = this.#formatHoursAsTimeZero(this.txTimeHours);
-        ctx.fillText("TX-TIME: " + txTimeStr, this.center_x, yOffset);
-      }
-    }
-
-    ctx.restore();
+  // Redraw only the overlay canvas (EBL/VRM changes, heading updates)
+  redrawOverlay() {
+    drawOverlay(this);
   }
 
-  #drawOverlay() {
-    if (!this.overlay_ctx) return;
-
-    const ctx = this.overlay_ctx;
-    const range = this.range || this.actual_range;
-
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.clearRect(0, 0, this.width, this.height);
-
-    // Draw standby overlay if in standby mode
-    if (this.standbyMode) {
-      this.#drawStandbyOverlay(ctx);
-    }
-
-    // Draw range rings in bright green on top of radar
-    ctx.strokeStyle = "#00ff00";
-    ctx.lineWidth = 1.5;
-    ctx.fillStyle = "#00ff00";
-    ctx.font = "bold 14px/1 Verdana, Geneva, sans-serif";
-
-    for (let i = 1; i <= 4; i++) {
-      const radius = (i * this.beam_length) / 4;
-      ctx.beginPath();
-      ctx.arc(this.center_x, this.center_y, radius, 0, 2 * Math.PI);
-      ctx.stroke();
-
-      // Draw range labels
-      if (range) {
-        const text = formatRangeValue(is_metric(range), (range * i) / 4);
-        // Position labels at 45 degrees (upper right)
-        const labelX = this.center_x + (radius * 0.707);
-        const labelY = this.center_y - (radius * 0.707);
-        ctx.fillText(text, labelX + 5, labelY - 5);
-      }
-    }
-
-    // Draw degree markers (compass rose) around the 3rd range ring
-    const degreeRingRadius = (3 * this.beam_length) / 4;
-    const tickLength = 8;
-    const majorTickLength = 12;
-    ctx.font = "bold 12px/1 Verdana, Geneva, sans-serif";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-
-    // Get heading mode and true heading for compass rose rotation
-    const headingMode = getHeadingMode();
-    const trueHeadingRad = getTrueHeading();
-    const trueHeadingDeg = (trueHeadingRad * 180) / Math.PI;
-
-    // In Heading Up mode: compass rose rotates so heading is at top
-    // In North Up mode: compass rose stays fixed with 0 (N) at top
-    const roseRotationDeg = headingMode === "headingUp" ? -trueHeadingDeg : 0;
-
-    for (let deg = 0; deg < 360; deg += 10) {
-      // Apply compass rose rotation
-      const displayDeg = deg + roseRotationDeg;
-
-      // Radar convention: 0° = top, angles increase clockwise
-      // Canvas: 0 radians = right (3 o'clock), increases counter-clockwise
-      // So we need: canvasAngle = -displayDeg + 90 (in degrees), or (90 - displayDeg) * PI/180
-      const radians = ((90 - displayDeg) * Math.PI) / 180;
-
-      const cos = Math.cos(radians);
-      const sin = Math.sin(radians);
-
-      // Determine tick length (longer for cardinal directions)
-      const isMajor = deg % 30 === 0;
-      const tick = isMajor ? majorTickLength : tickLength;
-
-      // Inner and outer points of tick mark
-      const innerRadius = degreeRingRadius - tick / 2;
-      const outerRadius = degreeRingRadius + tick / 2;
-
-      const x1 = this.center_x + innerRadius * cos;
-      const y1 = this.center_y - innerRadius * sin;
-      const x2 = this.center_x + outerRadius * cos;
-      const y2 = this.center_y - outerRadius * sin;
-
-      ctx.beginPath();
-      ctx.moveTo(x1, y1);
-      ctx.lineTo(x2, y2);
-      ctx.stroke();
-
-      // Draw degree labels at major ticks (every 30°)
-      if (isMajor) {
-        const labelRadius = degreeRingRadius + majorTickLength + 10;
-        const labelX = this.center_x + labelRadius * cos;
-        const labelY = this.center_y - labelRadius * sin;
-        ctx.fillText(deg.toString(), labelX, labelY);
-      }
-    }
-
-    // Draw North indicator (N) at 0° position
-    const northDeg = roseRotationDeg; // Where 0° (North) appears on screen
-    const northRadians = ((90 - northDeg) * Math.PI) / 180;
-    const northRadius = degreeRingRadius + majorTickLength + 25;
-    const northX = this.center_x + northRadius * Math.cos(northRadians);
-    const northY = this.center_y - northRadius * Math.sin(northRadians);
-    ctx.font = "bold 14px/1 Verdana, Geneva, sans-serif";
-    ctx.fillText("N", northX, northY);
+  // Redraw only the background canvas (chart underlay moved or rotated)
+  redrawBackground() {
+    this.drawBackgroundCallback(this, "MAYARA (WebGPU)");
+    this.#drawInfo();
   }
 
   #updateUniforms() {
@@ -765,18 +758,31 @@ class render_webgpu {
     const scaleX = scale * ((2 * this.beam_length) / this.width);
     const scaleY = scale * ((2 * this.beam_length) / this.height);
 
-    // Pack uniforms: scaleX, scaleY, spokesPerRev, maxSpokeLen, headingRotation
+    // Own ship offset from the canvas centre, in clip space (Y up)
+    const offsetX = (2 * this.center_x) / this.width - 1;
+    const offsetY = 1 - (2 * this.center_y) / this.height;
+
+    // Pack uniforms: scaleX, scaleY, spokesPerRev, maxSpokeLen, headingRotation,
+    // trailRotation, trailsEnabled, offsetX, offsetY
     const uniforms = new Float32Array([
       scaleX, scaleY,
       this.spokesPerRevolution || 2048,
       this.max_spoke_len || 512,
       this.headingRotation || 0,  // Heading rotation in radians (for North Up mode)
-      0, 0, 0  // padding to 32 bytes
+      this.trails.rotation(this.headingRotation || 0),
+      this.trails.enabled ? 1 : 0,
+      offsetX, offsetY,
+      0, 0, 0  // padding to 48 bytes
     ]);
 
     this.device.queue.writeBuffer(this.uniformBuffer, 0, uniforms);
+  }
 
-    this.background_ctx.fillStyle = "lightgreen";
+  // Debug info on the background canvas
+  #drawInfo() {
+    const range = this.range || this.actual_range || 1500;
+
+    this.background_ctx.fillStyle = textColor("lightgreen");
     this.background_ctx.fillText("Beam length: " + this.beam_length + " px", 5, 40);
     this.background_ctx.fillText("Display range: " + formatRangeValue(is_metric(range), range), 5, 60);
     this.background_ctx.fillText("Radar range: " + formatRangeValue(is_metric(this.actual_range), this.actual_range), 5, 80);
@@ -784,6 +790,20 @@ class render_webgpu {
   }
 }
 
+// Runs of consecutive rows in a sorted row list: [[start, count], ...]
+function rowRuns(rows) {
+  const runs = [];
+  for (const row of rows) {
+    const last = runs[runs.length - 1];
+    if (last && last[0] + last[1] === row) {
+      last[1]++;
+    } else {
+      runs.push([row, 1]);
+    }
+  }
+  return runs;
+}
+
 // Direct polar-to-cartesian shader with color lookup
 // Radar convention: angle 0 = bow (up), angles increase CLOCKWISE
 // So angle spokesPerRev/4 = starboard (right), spokesPerRev/2 = stern (down)
@@ -799,6 +819,10 @@ struct Uniforms {
   spokesPerRev: f32,
   maxSpokeLen: f32,
   headingRotation: f32,  // Rotation in radians for North Up mode
+  trailRotation: f32,    // Screen angle to trail grid angle, in radians
+  trailsEnabled: f32,    // 1.0 when target trails are shown
+  offsetX: f32,          // Own ship position in clip space (off-centre, pan)
+  offsetY: f32,
 }
 
 @group(0) @binding(3) var<uniform> uniforms: Uniforms;
@@ -806,8 +830,9 @@ struct Uniforms {
 @vertex
 fn vertexMain(@location(0) pos: vec2<f32>, @location(1) texCoord: vec2<f32>) -> VertexOutput {
   var output: VertexOutput;
-  // Apply scaling
-  let scaledPos = vec2<f32>(pos.x * uniforms.scaleX, pos.y * uniforms.scaleY);
+  // Apply scaling, then move the centre to own ship
+  let scaledPos = vec2<f32>(pos.x * uniforms.scaleX + uniforms.offsetX,
+                            pos.y * uniforms.scaleY + uniforms.offsetY);
   output.position = vec4<f32>(scaledPos, 0.0, 1.0);
   output.texCoord = texCoord;
   return output;
@@ -816,9 +841,21 @@ fn vertexMain(@location(0) pos: vec2<f32>, @location(1) texCoord: vec2<f32>) ->
 @group(0) @binding(0) var polarData: texture_2d<f32>;
 @group(0) @binding(1) var colorTable: texture_2d<f32>;
 @group(0) @binding(2) var texSampler: sampler;
+@group(0) @binding(4) var trailData: texture_2d<f32>;
 
 const PI: f32 = 3.14159265359;
 const TWO_PI: f32 = 6.28318530718;
+const TRAIL_COLOR: vec3<f32> = vec3<f32>(0.3, 0.55, 1.0);
+
+// Colour table entry of a pixel value read from the polar data
+fn tableIndex(v: f32) -> i32 {
+  return clamp(i32(round(v * 255.0)), 0, 255);
+}
+
+// Special values (Doppler, target border, ...) are flagged in row 1 of the colour table
+fn isSpecial(v: f32) -> bool {
+  return textureLoad(colorTable, vec2<i32>(tableIndex(v), 1), 0).r > 0.5;
+}
 
 @fragment
 fn fragmentMain(@location(0) texCoord: vec2<f32>) -> @location(0) vec4<f32> {
@@ -852,9 +889,16 @@ fn fragmentMain(@location(0) texCoord: vec2<f32>) -> @location(0) vec4<f32> {
   // - Left:   (-0.5, 0)  -> atan2(-0.5, 0) = -PI/2 -> normalized to 3PI/2
   var theta = atan2(centered.x, centered.y);
 
+  // Trail grid is a square centred on own ship, rows top to bottom, and is
+  // either bow up (relative trails) or north up (true trails)
+  let trailTheta = theta + uniforms.trailRotation;
+  let trailUV = vec2<f32>(0.5 + 0.5 * r * sin(trailTheta), 0.5 - 0.5 * r * cos(trailTheta));
+  let trailValue = textureSample(trailData, texSampler, trailUV).r * uniforms.trailsEnabled;
+
   // Apply heading rotation for North Up mode
-  // In North Up: we rotate the radar image by -heading, so we add heading to theta
-  // This samples the spoke data at (theta + heading), effectively rotating the display
+  // In North Up: we rotate the radar image clockwise by heading, so the spoke
+  // at relative angle b is drawn at screen angle (b + heading)
+  // This samples the spoke data at (theta - heading), effectively rotating the display
   theta = theta - uniforms.headingRotation;
 
   if (theta < 0.0) {
@@ -869,10 +913,22 @@ fn fragmentMain(@location(0) texCoord: vec2<f32>) -> @location(0) vec4<f32> {
 
   // Sample polar data (always sample, mask later to avoid non-uniform control flow)
   // U = radius [0,1], V = angle [0,1] where 0=bow, 0.25=starboard, 0.5=stern, 0.75=port
-  let radarValue = textureSample(polarData, texSampler, vec2<f32>(r, normalizedTheta)).r;
-
-  // Look up color from table
-  let color = textureSample(colorTable, texSampler, vec2<f32>(radarValue, 0.0));
+  let uv = vec2<f32>(r, normalizedTheta);
+  let smoothValue = textureSample(polarData, texSampler, uv).r;
+
+  // Special values are pixel values, not intensities: filtering would blend
+  // them into unrelated entries. Where one is among the filtered texels, or
+  // the blend lands on one, the nearest texel is used as received.
+  let size = vec2<i32>(textureDimensions(polarData));
+  let texel = vec2<i32>(min(i32(r * f32(size.x)), size.x - 1), i32(normalizedTheta * f32(size.y)) % size.y);
+  let nearestValue = textureLoad(polarData, texel, 0).r;
+  let footprint = textureGather(0, polarData, texSampler, uv);
+  let unfiltered = isSpecial(footprint.x) || isSpecial(footprint.y) || isSpecial(footprint.z) ||
+                   isSpecial(footprint.w) || isSpecial(smoothValue);
+  let radarValue = select(smoothValue, nearestValue, unfiltered);
+
+  // Look up color from table, one entry per pixel value
+  let color = textureLoad(colorTable, vec2<i32>(tableIndex(radarValue), 0), 0);
 
   // Mask pixels outside the radar circle (use step instead of if)
   let insideCircle = step(r, 1.0);
@@ -881,6 +937,189 @@ fn fragmentMain(@location(0) texCoord: vec2<f32>) -> @location(0) vec4<f32> {
   let hasData = step(0.004, radarValue);  // ~1/255 threshold
   let alpha = hasData * color.a * insideCircle;
 
-  return vec4<f32>(color.rgb * insideCircle, alpha);
+  // Trails only show where there is no live return (premultiplied alpha)
+  let trailAlpha = (1.0 - hasData) * step(0.004, trailValue) * trailValue * 0.8 * insideCircle;
+
+  return vec4<f32>(color.rgb * insideCircle + TRAIL_COLOR * trailAlpha, alpha + trailAlpha);
+}
+`;
+
+// Enhancement pipeline of processing.js on the raw spokes, one thread per
+// 4 samples of a row. Gather form: each sample reads its neighbours as
+// received, rather than filters writing into the neighbouring spokes.
+const enhanceShaderCode = `
+struct Params {
+  spokes: u32,
+  maxLen: u32,
+  rowWords: u32,
+  rowCount: u32,
+  rotation: u32,
+  smoothing: u32,
+  smoothWidth: u32,
+  smoothRotations: u32,
+  interference: u32,
+  irLevel: u32,
+  scatter: u32,
+  scatterAfter: u32,
+  strong: u32,
+  medium: u32,
+  boost: f32,
+  isolated: f32,
+  stretch: u32,
+  stretchSamples: u32,
+  solidSum: u32,
+  strongMax: u32,
+  mediumSum: u32,
+  mediumMax: u32,
+  weakSum: u32,
+  weakMax: u32,
+}
+
+@group(0) @binding(0) var<storage, read> raw: array<u32>;
+@group(0) @binding(1) var<storage, read> prev: array<u32>;
+@group(0) @binding(2) var<storage, read_write> enhanced: array<u32>;
+@group(0) @binding(3) var<storage, read> rows: array<u32>;
+@group(0) @binding(4) var<storage, read> special: array<u32>;
+@group(0) @binding(5) var<uniform> params: Params;
+
+fn wordIndex(row: i32, i: i32) -> u32 {
+  let n = i32(params.spokes);
+  return u32((row % n + n) % n) * params.rowWords + u32(i) / 4u;
+}
+
+fn rawAt(row: i32, i: i32) -> u32 {
+  if (i < 0 || i >= i32(params.maxLen)) {
+    return 0u;
+  }
+  return (raw[wordIndex(row, i)] >> ((u32(i) % 4u) * 8u)) & 0xffu;
+}
+
+fn prevAt(row: i32, i: i32) -> u32 {
+  if (i < 0 || i >= i32(params.maxLen)) {
+    return 0u;
+  }
+  return (prev[wordIndex(row, i)] >> ((u32(i) % 4u) * 8u)) & 0xffu;
+}
+
+fn isSpecial(v: u32) -> bool {
+  return special[v] != 0u;
+}
+
+// Angular smoothing factor of a return v at d spokes, 0 beyond its width
+fn spreadFactor(v: u32, d: u32) -> f32 {
+  var strong = array<f32, 6>(0.95, 0.88, 0.78, 0.65, 0.5, 0.35);
+  var medium = array<f32, 4>(0.85, 0.65, 0.45, 0.25);
+  var weak = array<f32, 2>(0.6, 0.3);
+  let w = params.smoothWidth;
+
+  if (v > 60u) {
+    if (d > w) { return 0.0; }
+    return strong[(d - 1u) * 6u / w];
+  }
+  if (v > 25u) {
+    let width = (2u * w + 1u) / 3u;
+    if (d > width) { return 0.0; }
+    return medium[(d - 1u) * 4u / width];
+  }
+  let width = (w + 1u) / 3u;
+  if (d > width) { return 0.0; }
+  return weak[(d - 1u) * 2u / width];
+}
+
+fn scatter(v: u32, row: i32, i: i32) -> u32 {
+  if (v <= 1u) {
+    return v;
+  }
+  let p1 = rawAt(row - 1, i);
+  let p2 = rawAt(row - 2, i);
+  let p3 = rawAt(row - 3, i);
+  let p4 = rawAt(row - 4, i);
+  let n1 = rawAt(row + 1, i);
+  let n2 = rawAt(row + 2, i);
+  let n3 = rawAt(row + 3, i);
+  let n4 = rawAt(row + 4, i);
+  let narrowSum = p1 + p2 + n1 + n2;
+  let narrowMax = max(max(p1, p2), max(n1, n2));
+  let wideSum = narrowSum + p3 + p4 + n3 + n4;
+  let wideMax = max(narrowMax, max(max(p3, p4), max(n3, n4)));
+  let fv = f32(v);
+
+  if (v > params.strong) {
+    if (wideSum > params.solidSum) { return min(255u, u32(fv * params.boost)); }
+    if (wideMax > params.strongMax) { return min(255u, u32(fv * 1.2)); }
+    return u32(fv * 0.8);
+  }
+  if (v > params.medium) {
+    if (narrowSum > params.mediumSum) { return min(255u, u32(fv * 1.2)); }
+    if (narrowMax > params.mediumMax) { return v; }
+    return u32(fv * params.isolated);
+  }
+  if (narrowSum > params.weakSum) { return v; }
+  if (narrowMax > params.weakMax) { return u32(fv * 0.5); }
+  return 0u;
+}
+
+fn enhance(row: i32, i: i32) -> u32 {
+  var v = rawAt(row, i);
+  if (isSpecial(v)) {
+    return v;
+  }
+
+  if (params.interference != 0u) {
+    var ratio = array<f32, 3>(4.0, 2.5, 1.5);
+    let support = max(rawAt(row - 1, i), prevAt(row, i));
+    v = min(v, u32(f32(support) * ratio[clamp(params.irLevel, 1u, 3u) - 1u]));
+  }
+
+  if (params.scatter != 0u && params.rotation >= params.scatterAfter) {
+    v = scatter(v, row, i);
+  }
+
+  if (params.smoothing != 0u && (params.smoothRotations == 0u || params.rotation < params.smoothRotations)) {
+    for (var d = 1u; d <= params.smoothWidth; d++) {
+      let before = rawAt(row - i32(d), i);
+      if (before > 1u && !isSpecial(before)) {
+        v = max(v, u32(f32(before) * spreadFactor(before, d)));
+      }
+      let after = rawAt(row + i32(d), i);
+      if (after > 1u && !isSpecial(after)) {
+        v = max(v, u32(f32(after) * spreadFactor(after, d)));
+      }
+    }
+  }
+
+  return min(v, 255u);
+}
+
+// Echo stretch: the strongest of the sample and the samples before it
+fn stretched(row: i32, i: i32) -> u32 {
+  if (i >= i32(params.maxLen)) {
+    return 0u;
+  }
+  let own = enhance(row, i);
+  if (params.stretch == 0u || isSpecial(own)) {
+    return own;
+  }
+  var m = own;
+  for (var k = 1; k <= i32(params.stretchSamples) && k <= i; k++) {
+    let v = enhance(row, i - k);
+    if (v > m && !isSpecial(v)) {
+      m = v;
+    }
+  }
+  return m;
+}
+
+@compute @workgroup_size(64)
+fn enhanceMain(@builtin(global_invocation_id) id: vec3<u32>) {
+  if (id.y >= params.rowCount || id.x >= params.rowWords) {
+    return;
+  }
+  let row = rows[id.y];
+  var word = 0u;
+  for (var b = 0u; b < 4u; b++) {
+    word |= stretched(i32(row), i32(id.x * 4u + b)) << (b * 8u);
+  }
+  enhanced[row * params.rowWords + id.x] = word;
 }
 `;
@@ -0,0 +1,155 @@
+/**
+ * PPI snapshot export
+ *
+ * The SNAP button composites the background, radar and overlay canvases
+ * into one PNG with a caption below the picture: time, radar model, range,
+ * gain/sea/rain from the radar state and own position when known. The PNG
+ * is downloaded. Every display has its own button, for its own picture.
+ */
+
+export { initSnapshot };
+
+import { getOwnPosition } from "./viewer.js";
+import { formatRangeValue, is_metric } from "./units.js";
+import { formatLatitude, formatLongitude } from "./cursor_readout.js";
+
+const CAPTION_LINE_HEIGHT = 18;
+const CAPTION_PADDING = 8;
+const CAPTION_CONTROLS = [
+  ["gain", "Gain"],
+  ["sea", "Sea"],
+  ["rain", "Rain"],
+];
+
+/**
+ * Create the snapshot button on the PPI of a display
+ * @param {Object} r - The renderer of the display
+ * @param {radar_control} c - Control panel of the radar shown by the renderer
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initSnapshot(r, c, prefix) {
+  const container = r.dom.parentNode;
+  if (!container) return;
+
+  const snapshot = { renderer: r, control: c, busy: false };
+
+  const snapBtn = document.createElement("div");
+  snapBtn.id = `${prefix}snapshot`;
+  snapBtn.className = "myr_heading_toggle myr_snapshot";
+  snapBtn.textContent = "SNAP";
+  snapBtn.title = "Save a snapshot of the radar picture (PNG)";
+  snapBtn.addEventListener("click", () => takeSnapshot(snapshot, snapBtn));
+  container.appendChild(snapBtn);
+}
+
+async function takeSnapshot(snapshot, snapBtn) {
+  if (snapshot.busy) return;
+  snapshot.busy = true;
+
+  try {
+    const now = new Date();
+    const blob = await composeSnapshot(snapshot.renderer, captionLines(snapshot, now));
+    const filename = `mayara-${timestamp(now)}.png`;
+
+    download(blob, filename);
+    flash(snapBtn, "Saved");
+  } catch (e) {
+    console.error("Snapshot failed:", e);
+    flash(snapBtn, "Failed");
+  } finally {
+    snapshot.busy = false;
+  }
+}
+
+// Composite of the three canvases with the caption below, as a PNG blob
+async function composeSnapshot(renderer, lines) {
+  const width = renderer.width;
+  const height = renderer.height;
+  const captionHeight = lines.length * CAPTION_LINE_HEIGHT + 2 * CAPTION_PADDING;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height + captionHeight;
+  const ctx = canvas.getContext("2d");
+
+  // Black like the PPI, behind the transparent canvases
+  ctx.fillStyle = "black";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(renderer.background_dom, 0, 0);
+  await renderer.drawRadarImage(ctx);
+  if (renderer.overlay_dom) ctx.drawImage(renderer.overlay_dom, 0, 0);
+
+  ctx.fillStyle = "#202020";
+  ctx.fillRect(0, height, width, captionHeight);
+  ctx.fillStyle = "#c0ffc0";
+  ctx.font = "14px/1 Verdana, Geneva, sans-serif";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  lines.forEach((line, i) => {
+    ctx.fillText(line, CAPTION_PADDING, height + CAPTION_PADDING + i * CAPTION_LINE_HEIGHT);
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Canvas could not be exported"))), "image/png");
+  });
+}
+
+function captionLines(snapshot, now) {
+  const { renderer, control } = snapshot;
+  const lines = [];
+
+  const capabilities = control?.capabilities;
+  const radar = [capabilities?.make, capabilities?.model].filter(Boolean).join(" ") || control?.radarId || "Radar";
+  lines.push(`${now.toISOString().slice(0, 19).replace("T", " ")} UTC  ${radar}`);
+
+  const range = renderer.range || renderer.actual_range;
+  const settings = [];
+  if (range) settings.push(`Range ${formatRangeValue(is_metric(range), range)}`);
+  const values = control?.radarState?.controls || {};
+  for (const [id, name] of CAPTION_CONTROLS) {
+    if (values[id] !== undefined) settings.push(`${name} ${formatControlValue(values[id])}`);
+  }
+  if (renderer.standbyMode) settings.push("Standby");
+  if (settings.length > 0) lines.push(settings.join("  "));
+
+  const position = getOwnPosition(renderer);
+  if (position) {
+    lines.push(`${formatLatitude(position.lat)} ${formatLongitude(position.lon)}`);
+  }
+  return lines;
+}
+
+// Plain values, or compound { mode, value } controls: "Auto" or the manual value
+function formatControlValue(value) {
+  if (value !== null && typeof value === "object") {
+    if (value.mode === "auto") return value.value !== undefined ? `Auto (${value.value})` : "Auto";
+    return String(value.value ?? "-");
+  }
+  return String(value);
+}
+
+// Local time as YYYYMMDD-HHMMSS, for the file name
+function timestamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  );
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Show the outcome on the button for a moment
+function flash(snapBtn, text) {
+  snapBtn.textContent = text;
+  setTimeout(() => (snapBtn.textContent = "SNAP"), 2000);
+}
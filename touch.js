@@ -0,0 +1,210 @@
+/**
+ * Touch mode: full-screen PPI for tablets and phones
+ *
+ * Hides the control panel (the myr_touch_mode class on the document, see
+ * layout.css) and shows a compact floating overlay on the PPI with the
+ * controls used most underway: range -/+, gain and sea sliders and
+ * transmit/standby. Pinching the PPI steps the range instead of zooming,
+ * see setPinchToRange() in view.js.
+ *
+ * The browser is also asked to go full screen where it allows that (not on
+ * iPhone). Touch mode is on or off for the whole page and remembered in
+ * localStorage; with two displays both are shown, each with an overlay for
+ * its own radar.
+ */
+
+export { initTouchMode };
+
+import van from "./van-1.5.2.js";
+import { setPinchToRange } from "./view.js";
+import { formatRangeValue, is_metric } from "./units.js";
+
+const { div, span, button, input } = van.tags;
+
+const STORAGE_KEY = "mayara.touch";
+
+// Controls with a slider on the overlay
+const SLIDER_CONTROLS = ["gain", "sea"];
+const POWER_LABELS = { transmit: "TX", standby: "STBY", warming: "WARM", off: "OFF" };
+
+let onChangeCallback = null;
+let enabled = false;
+
+// Displays with a touch overlay: [{ renderer, control, prefix }]
+const displays = [];
+
+/**
+ * Create the touch mode button and overlay on the PPI of a display
+ * @param {Object} r - The renderer of the display
+ * @param {radar_control} c - Control panel of the radar shown by the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ * @param {Function} onChange - Called after the layout changed, to resize the displays
+ */
+function initTouchMode(r, c, prefix, onChange) {
+  onChangeCallback = onChange;
+
+  if (displays.length === 0) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved) enabled = !!saved.enabled;
+    } catch (e) {
+      console.warn("Failed to load touch mode:", e.message);
+    }
+  }
+
+  const container = r.dom.parentNode;
+  if (!container) return;
+
+  const display = { renderer: r, control: c, prefix };
+  displays.push(display);
+
+  const toggleBtn = document.createElement("div");
+  toggleBtn.id = `${prefix}touch_toggle`;
+  toggleBtn.className = "myr_heading_toggle myr_touch_toggle";
+  toggleBtn.textContent = "FULL";
+  toggleBtn.title = "Full-screen radar with touch controls";
+  toggleBtn.addEventListener("click", () => setTouchMode(!enabled, true));
+  container.appendChild(toggleBtn);
+
+  container.appendChild(div({ id: `${prefix}touch_overlay`, class: "myr_touch_overlay" }));
+  buildOverlay(display);
+
+  // Rebuilt for the capabilities of a (re)loaded radar, updated for changes
+  // made here and for those reported by the radar or other displays
+  c.registerRadarCallback(() => buildOverlay(display));
+  c.registerControlCallback(() => updateOverlay(display));
+  c.registerStateCallback(() => updateOverlay(display));
+
+  if (enabled) setTouchMode(true, false);
+}
+
+/**
+ * Switch touch mode on or off, for all displays
+ * @param {boolean} on - Touch mode on
+ * @param {boolean} fromUser - Switched by the user: full screen may be requested
+ */
+function setTouchMode(on, fromUser) {
+  enabled = on;
+  document.documentElement.classList.toggle("myr_touch_mode", on);
+  for (const d of displays) {
+    document.getElementById(`${d.prefix}touch_toggle`)?.classList.toggle("myr_view_active", on);
+    // Pinching a display steps the range of its own radar
+    setPinchToRange(d.renderer, on ? (direction) => d.control.changeRange(direction) : null);
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ enabled }));
+  } catch (e) {
+    console.warn("Failed to save touch mode:", e.message);
+  }
+
+  if (fromUser) {
+    if (on) {
+      requestFullscreen();
+    } else {
+      exitFullscreen();
+    }
+  }
+  displays.forEach(updateOverlay);
+  if (onChangeCallback) onChangeCallback();
+}
+
+function requestFullscreen() {
+  const el = document.documentElement;
+  const request = el.requestFullscreen || el.webkitRequestFullscreen;
+  if (!request) return;
+  // Refused on some devices: touch mode works without
+  Promise.resolve(request.call(el)).catch(() => {});
+}
+
+function exitFullscreen() {
+  if (!(document.fullscreenElement || document.webkitFullscreenElement)) return;
+  const exit = document.exitFullscreen || document.webkitExitFullscreen;
+  if (exit) Promise.resolve(exit.call(document)).catch(() => {});
+}
+
+// ============================================================================
+// Overlay
+// ============================================================================
+
+// Slider range of a number or compound control
+function sliderRange(c) {
+  return (c.type === "compound" ? c.properties?.value?.range : c.range) || { min: 0, max: 100 };
+}
+
+function buildOverlay(display) {
+  const { control, prefix } = display;
+  const overlay = document.getElementById(`${prefix}touch_overlay`);
+  if (!overlay) return;
+  overlay.innerHTML = "";
+
+  const controls = control.capabilities?.controls || [];
+  const sliders = SLIDER_CONTROLS
+    .map((id) => controls.find((c) => c.id === id && !c.readOnly && (c.type === "compound" || c.type === "number")))
+    .filter(Boolean);
+
+  van.add(overlay,
+    div({ class: "myr_touch_row" },
+      button({ type: "button", class: "myr_touch_button", onclick: () => control.changeRange(-1) }, "-"),
+      span({ id: `${prefix}touch_range`, class: "myr_touch_range" }),
+      button({ type: "button", class: "myr_touch_button", onclick: () => control.changeRange(1) }, "+")
+    ),
+    ...sliders.map((c) => {
+      const range = sliderRange(c);
+      return div({ class: "myr_touch_row" },
+        span({ class: "myr_touch_label" }, c.name),
+        input({
+          type: "range",
+          id: `${prefix}touch_${c.id}`,
+          class: "myr_touch_slider",
+          min: range.min,
+          max: range.max,
+          step: range.step || 1,
+          oninput: (e) => {
+            const valueEl = document.getElementById(`${prefix}touch_${c.id}_value`);
+            if (valueEl) valueEl.textContent = e.target.value;
+          },
+          onchange: (e) => {
+            const value = parseInt(e.target.value);
+            control.sendControlValue(c.id, c.type === "compound" ? { mode: "manual", value } : value);
+          },
+        }),
+        span({ id: `${prefix}touch_${c.id}_value`, class: "myr_touch_value" })
+      );
+    }),
+    div({ class: "myr_touch_row" },
+      button({ type: "button", id: `${prefix}touch_power`, class: "myr_touch_button myr_touch_power", onclick: () => control.togglePower() }),
+      button({ type: "button", class: "myr_touch_button", title: "Leave touch mode", onclick: () => setTouchMode(false, true) }, "×")
+    )
+  );
+  updateOverlay(display);
+}
+
+function updateOverlay(display) {
+  if (!enabled) return;
+  const { control, prefix } = display;
+  const values = control.radarState?.controls || {};
+
+  const rangeEl = document.getElementById(`${prefix}touch_range`);
+  if (rangeEl) rangeEl.textContent = formatRangeValue(is_metric(control.currentRange), control.currentRange);
+
+  for (const c of control.capabilities?.controls || []) {
+    if (!SLIDER_CONTROLS.includes(c.id)) continue;
+    const slider = document.getElementById(`${prefix}touch_${c.id}`);
+    const valueEl = document.getElementById(`${prefix}touch_${c.id}_value`);
+    // Not while the slider is being dragged
+    if (!slider || document.activeElement === slider) continue;
+
+    const current = values[c.id];
+    const value = current !== null && typeof current === "object" ? current.value : current;
+    if (value !== undefined) slider.value = value;
+    if (valueEl) valueEl.textContent = current?.mode === "auto" ? "Auto" : (value ?? "-");
+  }
+
+  const powerBtn = document.getElementById(`${prefix}touch_power`);
+  if (powerBtn) {
+    const power = control.getPowerState();
+    powerBtn.textContent = POWER_LABELS[power] || power;
+    powerBtn.classList.toggle("myr_touch_transmit", power === "transmit");
+  }
+}
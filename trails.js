@@ -0,0 +1,276 @@
+/**
+ * Target trails (echo history)
+ *
+ * Echo history is accumulated in a square cartesian grid centred on own ship,
+ * covering the radar range in every direction. Each cell holds a trail
+ * intensity (255 = echo seen now) that decays to 0 over the trail time.
+ *
+ * - Relative trails: the grid is fixed to the boat (bow up), so trails show
+ *   motion relative to own ship.
+ * - True trails: the grid is north up and shifted as own ship moves, so
+ *   trails show motion over ground. This needs a heading (spoke bearing or
+ *   SignalK heading) and falls back to relative trails without one; the
+ *   position from the spokes is used when available.
+ *
+ * The renderers draw the grid in a distinct colour under live returns. Each
+ * renderer has its own trails, following the heading and position of its
+ * display, and its own trails buttons.
+ */
+
+export { target_trails, TRAIL_GRID_SIZE, initTrailControls };
+
+import { getTrueHeading, hasHeading, getOwnPosition } from "./viewer.js";
+import { DEFAULT_INTENSITIES, intensityLevel } from "./legend.js";
+
+const TRAIL_GRID_SIZE = 512;
+const METERS_PER_DEGREE_LAT = 111320;
+const STORAGE_KEY = "mayara.trails";
+const TRAIL_LEVEL = 0.3; // Fraction of the intensity scale that leaves a trail
+
+// Trail time options, cycled by the trails button
+const TRAIL_MODES = [
+  { label: "Off", seconds: 0 },
+  { label: "15s", seconds: 15 },
+  { label: "30s", seconds: 30 },
+  { label: "1m", seconds: 60 },
+  { label: "3m", seconds: 180 },
+  { label: "6m", seconds: 360 },
+  { label: "Perm", seconds: Infinity },
+];
+
+class target_trails {
+  /**
+   * @param {Object} renderer - The renderer drawing the trails, for the heading and position of its display
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.size = TRAIL_GRID_SIZE;
+    this.data = new Uint8Array(this.size * this.size);
+    this.seconds = 0; // Trail time, 0 = off, Infinity = permanent
+    this.motion = "relative"; // "relative" or "true"
+    this.threshold = intensityLevel(TRAIL_LEVEL, DEFAULT_INTENSITIES); // Minimum pixel value that leaves a trail
+    this.range = 0; // Range covered by the grid radius, from the spokes
+    this.dirty = true; // Set when data changed and needs uploading
+
+    this.lastDecay = 0;
+    this.decayRemainder = 0;
+    this.lastPosition = null;
+    this.shiftRemainder = { east: 0, north: 0 };
+  }
+
+  get enabled() {
+    return this.seconds > 0;
+  }
+
+  // True trails only when a heading is available, see trueMotionAvailable()
+  get isTrueMotion() {
+    return this.motion === "true" && trueMotionAvailable(this.renderer);
+  }
+
+  setMode(seconds, motion) {
+    this.seconds = seconds;
+    this.motion = motion;
+    this.clear();
+  }
+
+  // Number of intensity values of the radar legend
+  setIntensities(intensities) {
+    this.threshold = intensityLevel(TRAIL_LEVEL, intensities);
+  }
+
+  clear() {
+    this.data.fill(0);
+    this.lastDecay = 0;
+    this.decayRemainder = 0;
+    this.lastPosition = null;
+    this.shiftRemainder = { east: 0, north: 0 };
+    this.dirty = true;
+  }
+
+  /**
+   * Add the echoes of one spoke to the trail grid
+   * @param {Object} spoke - Decoded spoke (angle, bearing, range, data)
+   * @param {number} spokesPerRevolution - Spokes per revolution for this radar
+   * @param {number} maxSpokeLen - Samples covering the range, as in the renderer
+   */
+  addSpoke(spoke, spokesPerRevolution, maxSpokeLen) {
+    if (!this.enabled || !spoke.range) return;
+
+    // Grid scale follows the radar range; history at another scale is useless
+    if (spoke.range !== this.range) {
+      this.range = spoke.range;
+      this.clear();
+    }
+
+    this.#decay(Date.now());
+
+    let angle;
+    if (this.isTrueMotion) {
+      this.#followOwnShip();
+      angle = spoke.bearing != null
+        ? (2 * Math.PI * spoke.bearing) / spokesPerRevolution
+        : (2 * Math.PI * spoke.angle) / spokesPerRevolution + getTrueHeading(this.renderer);
+    } else {
+      angle = (2 * Math.PI * spoke.angle) / spokesPerRevolution;
+    }
+
+    const half = this.size / 2;
+    const len = Math.min(spoke.data.length, maxSpokeLen);
+    const stepX = (Math.sin(angle) * half) / maxSpokeLen;
+    const stepY = (Math.cos(angle) * half) / maxSpokeLen;
+
+    for (let i = 0; i < len; i++) {
+      if (spoke.data[i] < this.threshold) continue;
+      const col = Math.floor(half + i * stepX);
+      const row = Math.floor(half - i * stepY);
+      if (col < 0 || col >= this.size || row < 0 || row >= this.size) continue;
+      this.data[row * this.size + col] = 255;
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Rotation from screen angle to grid angle
+   * @param {number} headingRotation - The renderer's heading rotation in radians
+   * @returns {number} Radians to add to a screen angle to get the grid angle
+   */
+  rotation(headingRotation) {
+    if (this.isTrueMotion) {
+      return getTrueHeading(this.renderer) - headingRotation;
+    }
+    return -headingRotation;
+  }
+
+  // Fade all cells linearly to 0 over the trail time
+  #decay(now) {
+    if (!isFinite(this.seconds)) return;
+    if (!this.lastDecay) {
+      this.lastDecay = now;
+      return;
+    }
+
+    this.decayRemainder += (255 * (now - this.lastDecay)) / (this.seconds * 1000);
+    this.lastDecay = now;
+    const step = Math.floor(this.decayRemainder);
+    if (step < 1) return;
+    this.decayRemainder -= step;
+
+    const data = this.data;
+    for (let i = 0; i < data.length; i++) {
+      const v = data[i];
+      if (v) data[i] = v > step ? v - step : 0;
+    }
+  }
+
+  // Shift the (north up) grid opposite to own ship movement
+  #followOwnShip() {
+    const pos = getOwnPosition(this.renderer);
+    if (!pos) return;
+    if (!this.lastPosition) {
+      this.lastPosition = pos;
+      return;
+    }
+
+    const north = (pos.lat - this.lastPosition.lat) * METERS_PER_DEGREE_LAT;
+    const east = (pos.lon - this.lastPosition.lon) * METERS_PER_DEGREE_LAT * Math.cos((pos.lat * Math.PI) / 180);
+    this.lastPosition = pos;
+
+    const metersPerCell = this.range / (this.size / 2);
+    this.shiftRemainder.north += north / metersPerCell;
+    this.shiftRemainder.east += east / metersPerCell;
+
+    const cellsNorth = Math.trunc(this.shiftRemainder.north);
+    const cellsEast = Math.trunc(this.shiftRemainder.east);
+    if (cellsNorth === 0 && cellsEast === 0) return;
+    this.shiftRemainder.north -= cellsNorth;
+    this.shiftRemainder.east -= cellsEast;
+
+    // Own ship moving north means the world moves down the grid (rows increase)
+    this.#shift(-cellsEast, cellsNorth);
+  }
+
+  #shift(dCol, dRow) {
+    const size = this.size;
+    if (Math.abs(dCol) >= size || Math.abs(dRow) >= size) {
+      this.data.fill(0);
+      return;
+    }
+
+    const shifted = new Uint8Array(this.data.length);
+    for (let row = Math.max(0, dRow); row < Math.min(size, size + dRow); row++) {
+      const srcRow = row - dRow;
+      const colStart = Math.max(0, dCol);
+      const colEnd = Math.min(size, size + dCol);
+      shifted.set(
+        this.data.subarray(srcRow * size + colStart - dCol, srcRow * size + colEnd - dCol),
+        row * size + colStart
+      );
+    }
+    this.data = shifted;
+  }
+}
+
+function trueMotionAvailable(renderer) {
+  return hasHeading(renderer);
+}
+
+/**
+ * Create the trails time and motion buttons on the PPI of a display
+ * @param {Object} renderer - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initTrailControls(renderer, prefix) {
+  const container = renderer.dom.parentNode;
+  if (!container) return;
+
+  let modeIndex = 0;
+  let motion = "relative";
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) {
+      modeIndex = Math.max(0, Math.min(TRAIL_MODES.length - 1, saved.mode || 0));
+      motion = saved.motion === "true" ? "true" : "relative";
+    }
+  } catch (e) {
+    console.warn("Failed to load trails settings:", e.message);
+  }
+
+  const timeBtn = document.createElement("div");
+  timeBtn.id = `${prefix}trails_toggle`;
+  timeBtn.className = "myr_heading_toggle myr_trails_toggle";
+  timeBtn.title = "Click to change target trails time";
+
+  const motionBtn = document.createElement("div");
+  motionBtn.id = `${prefix}trails_motion`;
+  motionBtn.className = "myr_heading_toggle myr_trails_motion";
+  motionBtn.title = "Click to toggle: relative / true trails";
+
+  function apply() {
+    const mode = TRAIL_MODES[modeIndex];
+    timeBtn.textContent = "Trails " + mode.label;
+    motionBtn.textContent = motion === "true" ? "T" : "R";
+    motionBtn.style.display = mode.seconds > 0 ? "" : "none";
+    renderer.setTrails(mode.seconds, motion);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ mode: modeIndex, motion }));
+    } catch (e) {
+      console.warn("Failed to save trails settings:", e.message);
+    }
+  }
+
+  timeBtn.addEventListener("click", () => {
+    modeIndex = (modeIndex + 1) % TRAIL_MODES.length;
+    apply();
+  });
+  motionBtn.addEventListener("click", () => {
+    motion = motion === "true" ? "relative" : "true";
+    if (motion === "true" && !trueMotionAvailable(renderer)) {
+      console.log("True trails need a heading; using relative trails until one is received");
+    }
+    apply();
+  });
+
+  container.appendChild(timeBtn);
+  container.appendChild(motionBtn);
+  apply();
+}
@@ -0,0 +1,221 @@
+/**
+ * Distance units and range rings
+ *
+ * Distances (range display, ring labels, EBL/VRM, cursor, MARPA and AIS
+ * readouts) are shown in nautical miles, kilometres or statute miles. In
+ * "auto" the unit follows the range, see is_metric(): metric ranges of the
+ * radar are shown in km/m, the others in nm.
+ *
+ * The range rings are off, a fixed number of rings dividing the range, or
+ * "auto": rings at a round interval in the display unit (e.g. 0.25, 0.5 or
+ * 1 nm), at most MAX_AUTO_RINGS of them.
+ *
+ * Units and rings are saved in localStorage and hold for every display of
+ * the page; the units are also used by the standalone control panel
+ * (control.html).
+ */
+
+export { initUnits, is_metric, formatRangeValue, formatDistance, distanceUnit, ringDistances };
+
+import van from "./van-1.5.2.js";
+
+const { div, button } = van.tags;
+
+const STORAGE_KEY = "mayara.units";
+
+const NAUTICAL_MILE = 1852.0;
+const STATUTE_MILE = 1609.344;
+const MAX_AUTO_RINGS = 5;
+
+const UNITS = [
+  { value: "auto", label: "Auto" },
+  { value: "nm", label: "nm" },
+  { value: "km", label: "km" },
+  { value: "mi", label: "mi" },
+];
+
+const RINGS = ["off", "auto", 2, 3, 4, 5, 6];
+
+// Round ring intervals, in metres for km and in miles for nm and mi
+const METRIC_INTERVALS = [10, 25, 50, 100, 250, 500, 1000, 2000, 2500, 5000, 10000, 20000, 25000, 50000, 100000];
+const MILE_INTERVALS = [1 / 32, 1 / 16, 1 / 8, 1 / 4, 1 / 2, 1, 2, 3, 5, 10, 20, 25, 50, 100];
+
+let settings = loadSettings();
+let onChangeCallback = null;
+
+function loadSettings() {
+  const defaults = { units: "auto", rings: 4 };
+  try {
+    const saved = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY));
+    if (saved) {
+      return {
+        units: UNITS.some((u) => u.value === saved.units) ? saved.units : defaults.units,
+        rings: RINGS.includes(saved.rings) ? saved.rings : defaults.rings,
+      };
+    }
+  } catch (e) {
+    console.warn("Failed to load units:", e.message);
+  }
+  return defaults;
+}
+
+/**
+ * Create the units and range rings section in the control panel
+ * @param {Function} onChange - Called with the settings after a change
+ */
+function initUnits(onChange) {
+  onChangeCallback = onChange;
+
+  const controller = document.getElementById("myr_controller");
+  if (controller) {
+    const section = div({ id: "myr_units", class: "myr_control_section myr_units_section" });
+    controller.appendChild(section);
+    buildEditor();
+  }
+}
+
+function buildEditor() {
+  const section = document.getElementById("myr_units");
+  if (!section) return;
+  section.innerHTML = "";
+
+  function group(id, options, current, select) {
+    return div({ class: "myr_control myr_enum_control" },
+      div({ class: "myr_button_group", id },
+        ...options.map((o) => button({
+          type: "button",
+          class: `myr_enum_button ${o.value === current ? "myr_enum_active" : ""}`,
+          "data-value": o.value,
+          onclick: () => select(o.value),
+        }, o.label))
+      )
+    );
+  }
+
+  const ringOptions = RINGS.map((r) => ({ value: r, label: r === "off" ? "Off" : r === "auto" ? "Auto" : String(r) }));
+
+  van.add(section,
+    div({ class: "myr_section_header" }, "Range Rings"),
+    group("myr_rings_group", ringOptions, settings.rings, (rings) => {
+      settings = { ...settings, rings };
+      changed();
+    }),
+    group("myr_units_group", UNITS, settings.units, (units) => {
+      settings = { ...settings, units };
+      changed();
+    })
+  );
+
+  function changed() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+      console.warn("Failed to save units:", e.message);
+    }
+    buildEditor();
+    if (onChangeCallback) onChangeCallback(settings);
+  }
+}
+
+function divides_near(a, b) {
+  let remainder = a % b;
+  let r = remainder <= 1.0 || remainder >= b - 1;
+  return r;
+}
+
+// True for ranges that are round metric values: radars use them for their
+// metric range tables
+function is_metric(v) {
+  if (v <= 100) {
+    return divides_near(v, 25);
+  } else if (v <= 750) {
+    return divides_near(v, 50);
+  }
+  return divides_near(v, 500);
+}
+
+// Unit of a distance: the forced unit, or km/nm as detected by the caller
+function unitFor(metric) {
+  if (settings.units !== "auto") return settings.units;
+  return metric ? "km" : "nm";
+}
+
+// Whole and fractional (1/2 .. 1/128) miles, e.g. "3/4 nm"
+function formatMiles(v, mile, suffix) {
+  if (v >= mile - 1) {
+    if (divides_near(v, mile)) {
+      return Math.floor((v + 1) / mile) + suffix;
+    }
+    return +(v / mile).toFixed(2) + suffix;
+  }
+  for (let d = 2; d <= 128; d *= 2) {
+    if (divides_near(v, mile / d)) {
+      return Math.floor((v + 1) / (mile / d)) + "/" + d + suffix;
+    }
+  }
+  return +(v / mile).toFixed(3) + suffix;
+}
+
+/**
+ * Format a range (range display, ring labels) in the display unit
+ * @param {boolean} metric - Metric range, see is_metric(); used in "auto" units
+ * @param {number} v - Range in metres
+ * @returns {string} e.g. "1.5 km", "3/4 nm"
+ */
+function formatRangeValue(metric, v) {
+  const unit = unitFor(metric);
+  if (unit === "km") {
+    v = Math.round(v);
+    if (v >= 1000) {
+      return v / 1000 + " km";
+    } else {
+      return v + " m";
+    }
+  }
+  return unit === "mi" ? formatMiles(v, STATUTE_MILE, " mi") : formatMiles(v, NAUTICAL_MILE, " nm");
+}
+
+// Format an arbitrary distance (EBL/VRM and cursor readouts) in the same
+// unit as formatRangeValue, with a fixed number of decimals
+function formatDistance(metric, v) {
+  const unit = unitFor(metric);
+  if (unit === "km") {
+    if (v >= 1000) {
+      return (v / 1000).toFixed(v >= 10000 ? 1 : 2) + " km";
+    }
+    return Math.round(v) + " m";
+  }
+  const miles = v / (unit === "mi" ? STATUTE_MILE : NAUTICAL_MILE);
+  return miles.toFixed(miles >= 10 ? 1 : miles >= 1 ? 2 : 3) + " " + unit;
+}
+
+/**
+ * Unit for entering distances (guard zone ranges), the unit of formatDistance
+ * @param {boolean} metric - Metric range, see is_metric(); used in "auto" units
+ * @returns {Object} { name: "nm", "km" or "mi", meters: metres per unit }
+ */
+function distanceUnit(metric) {
+  const name = unitFor(metric);
+  return { name, meters: name === "km" ? 1000 : name === "mi" ? STATUTE_MILE : NAUTICAL_MILE };
+}
+
+/**
+ * Distances of the range rings
+ * @param {number} range - Display range in metres
+ * @returns {Array} Ring distances in metres, increasing, none beyond the range
+ */
+function ringDistances(range) {
+  if (!range || settings.rings === "off") return [];
+
+  if (settings.rings !== "auto") {
+    return Array.from({ length: settings.rings }, (_, i) => (range * (i + 1)) / settings.rings);
+  }
+
+  // Smallest round interval that gives at most MAX_AUTO_RINGS rings
+  const unit = unitFor(is_metric(range));
+  const scale = unit === "km" ? 1 : unit === "mi" ? STATUTE_MILE : NAUTICAL_MILE;
+  const intervals = unit === "km" ? METRIC_INTERVALS : MILE_INTERVALS;
+  const interval = scale * (intervals.find((i) => i * scale * MAX_AUTO_RINGS >= range) ?? intervals[intervals.length - 1]);
+
+  return Array.from({ length: Math.floor((range + 1) / interval) }, (_, i) => interval * (i + 1));
+}
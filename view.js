@@ -0,0 +1,246 @@
+/**
+ * PPI view: off-centre display, zoom and pan
+ *
+ * The renderers place own ship at center_x/center_y with the display range
+ * at beam_length pixels. applyView() computes those from the canvas size and
+ * the view state, so everything drawn or converted through them (radar image,
+ * overlays, cursor readout) follows the view.
+ *
+ * - Off-centre: own ship 1/3 from the bottom, for a look-ahead picture
+ * - Mouse wheel or pinch to zoom (1x to 8x), drag with the mouse or two
+ *   fingers to pan; own ship stays within one display radius of its position
+ * - "CENTRE" resets zoom and pan
+ * - In touch mode pinching steps the radar range instead, see setPinchToRange()
+ *
+ * Every display has its own view; the off-centre setting is stored in
+ * localStorage and used by all displays when the page is loaded.
+ */
+
+export { initView, applyView, setPinchToRange };
+
+import { RANGE_SCALE } from "./viewer.js";
+
+const STORAGE_KEY = "mayara.view";
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const PINCH_RANGE_STEP = 1.5; // Pinch scale per range step
+
+// Renderer -> view of its display
+const views = new Map();
+
+// View of a renderer; the renderers apply it before initView() is called
+function viewOf(obj) {
+  let view = views.get(obj);
+  if (!view) {
+    view = {
+      renderer: obj,
+      prefix: null, // Prefix of the ids of the display's buttons, set by initView()
+      offCentre: false,
+      zoom: 1,
+      panX: 0, // Pixels own ship is moved from its base position
+      panY: 0,
+      baseX: 0, // Own ship position without pan, set by applyView()
+      baseY: 0,
+      redrawRequested: false,
+      pinchToRange: null, // Called with -1/+1 per range step while pinching, null to zoom
+      pinchScale: 1, // Pinch scale since the last range step
+    };
+    views.set(obj, view);
+  }
+  return view;
+}
+
+/**
+ * Set center_x, center_y and beam_length of a renderer from its size and the view
+ * @param {Object} obj - The renderer, with width and height set
+ */
+function applyView(obj) {
+  const view = viewOf(obj);
+  view.baseX = obj.width / 2;
+  view.baseY = view.offCentre ? (obj.height * 2) / 3 : obj.height / 2;
+
+  obj.beam_length = Math.trunc(
+    Math.max(obj.width / 2, obj.height / 2) * RANGE_SCALE * view.zoom
+  );
+
+  // Keep own ship within one display radius of its base position
+  const pan = Math.hypot(view.panX, view.panY);
+  if (pan > obj.beam_length && pan > 0) {
+    view.panX = (view.panX * obj.beam_length) / pan;
+    view.panY = (view.panY * obj.beam_length) / pan;
+  }
+
+  obj.center_x = view.baseX + view.panX;
+  obj.center_y = view.baseY + view.panY;
+}
+
+/**
+ * Create the view buttons and the zoom/pan handlers on the overlay canvas of a display
+ * @param {Object} r - The renderer of the display
+ * @param {string} prefix - Prefix of the element ids of the display
+ */
+function initView(r, prefix) {
+  const view = viewOf(r);
+  view.prefix = prefix;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) view.offCentre = !!saved.offCentre;
+  } catch (e) {
+    console.warn("Failed to load view settings:", e.message);
+  }
+
+  const container = r.dom.parentNode;
+  const overlay = r.overlay_dom;
+  if (!container || !overlay) return;
+
+  const offCentreBtn = document.createElement("div");
+  offCentreBtn.id = `${prefix}view_offcentre`;
+  offCentreBtn.className = "myr_heading_toggle myr_view_offcentre";
+  offCentreBtn.textContent = "Off Ctr";
+  offCentreBtn.title = "Click to toggle: own ship centred / 1/3 from the bottom";
+  offCentreBtn.addEventListener("click", () => {
+    view.offCentre = !view.offCentre;
+    view.panX = 0;
+    view.panY = 0;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ offCentre: view.offCentre }));
+    } catch (e) {
+      console.warn("Failed to save view settings:", e.message);
+    }
+    changed(view);
+  });
+
+  const centreBtn = document.createElement("div");
+  centreBtn.id = `${prefix}view_centre`;
+  centreBtn.className = "myr_heading_toggle myr_view_centre";
+  centreBtn.textContent = "Centre";
+  centreBtn.title = "Reset zoom and pan";
+  centreBtn.addEventListener("click", () => {
+    view.zoom = 1;
+    view.panX = 0;
+    view.panY = 0;
+    changed(view);
+  });
+
+  container.appendChild(offCentreBtn);
+  container.appendChild(centreBtn);
+  updateButtons(view);
+  if (view.offCentre) changed(view);
+
+  overlay.addEventListener("wheel", (e) => {
+    e.preventDefault();
+    zoomAt(view, e.offsetX, e.offsetY, Math.exp(-e.deltaY * 0.002));
+  }, { passive: false });
+
+  // Pointers currently down: pointerId -> { x, y }
+  const pointers = new Map();
+
+  overlay.addEventListener("pointerdown", (e) => {
+    // Placing an EBL/VRM or acquiring a target uses the pointer
+    if (overlay.classList.contains("myr_placing")) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    pointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+    if (e.pointerType === "mouse" || pointers.size === 2) {
+      overlay.setPointerCapture(e.pointerId);
+    }
+    if (pointers.size === 2) view.pinchScale = 1;
+  });
+
+  overlay.addEventListener("pointermove", (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    const current = { x: e.offsetX, y: e.offsetY };
+
+    if (e.pointerType === "mouse") {
+      // Mouse drag pans
+      pan(view, current.x - last.x, current.y - last.y);
+    } else if (pointers.size === 2) {
+      // Two fingers: pinch zooms about their midpoint, moving them pans.
+      // One finger is left to the cursor readout.
+      const other = [...pointers.entries()].find(([id]) => id !== e.pointerId)[1];
+      const before = Math.hypot(last.x - other.x, last.y - other.y);
+      const after = Math.hypot(current.x - other.x, current.y - other.y);
+      if (view.pinchToRange) {
+        if (before > 0) pinchRange(view, after / before);
+      } else {
+        pan(view, (current.x - last.x) / 2, (current.y - last.y) / 2);
+        if (before > 0) {
+          zoomAt(view, (current.x + other.x) / 2, (current.y + other.y) / 2, after / before);
+        }
+      }
+    }
+    pointers.set(e.pointerId, current);
+  });
+
+  const release = (e) => pointers.delete(e.pointerId);
+  overlay.addEventListener("pointerup", release);
+  overlay.addEventListener("pointercancel", release);
+}
+
+/**
+ * Let pinching a display step the range of its radar instead of zooming the view (touch mode)
+ * @param {Object} r - The renderer of the display
+ * @param {Function|null} callback - Called with -1 (spread: shorter range) or +1, null to zoom again
+ */
+function setPinchToRange(r, callback) {
+  const view = viewOf(r);
+  view.pinchToRange = callback;
+  view.pinchScale = 1;
+}
+
+// One range step each time the fingers spread or close by PINCH_RANGE_STEP
+function pinchRange(view, factor) {
+  view.pinchScale *= factor;
+  if (view.pinchScale >= PINCH_RANGE_STEP) {
+    view.pinchScale = 1;
+    view.pinchToRange(-1);
+  } else if (view.pinchScale <= 1 / PINCH_RANGE_STEP) {
+    view.pinchScale = 1;
+    view.pinchToRange(1);
+  }
+}
+
+// Zoom by a factor, keeping the point under (x, y) in place
+function zoomAt(view, x, y, factor) {
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+  const k = zoom / view.zoom;
+  if (k === 1) return;
+
+  // The offset of own ship from (x, y) scales with the zoom
+  const centerX = view.baseX + view.panX;
+  const centerY = view.baseY + view.panY;
+  view.panX = x - view.baseX - (x - centerX) * k;
+  view.panY = y - view.baseY - (y - centerY) * k;
+  view.zoom = zoom;
+  changed(view);
+}
+
+function pan(view, dx, dy) {
+  if (dx === 0 && dy === 0) return;
+  view.panX += dx;
+  view.panY += dy;
+  changed(view);
+}
+
+function updateButtons(view) {
+  const offCentreBtn = document.getElementById(`${view.prefix}view_offcentre`);
+  if (offCentreBtn) offCentreBtn.classList.toggle("myr_view_active", view.offCentre);
+  const centreBtn = document.getElementById(`${view.prefix}view_centre`);
+  if (centreBtn) {
+    centreBtn.style.display = view.zoom !== 1 || view.panX !== 0 || view.panY !== 0 ? "" : "none";
+  }
+}
+
+// Redraw the display with its new view, at most once per frame
+function changed(view) {
+  updateButtons(view);
+  if (view.redrawRequested) return;
+  view.redrawRequested = true;
+  requestAnimationFrame(() => {
+    view.redrawRequested = false;
+    view.renderer.redrawCanvas();
+    view.renderer.render();
+    updateButtons(view);
+  });
+}
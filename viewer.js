@@ -1,97 +1,56 @@
 "use strict";
 
-export { RANGE_SCALE, formatRangeValue, is_metric, getHeadingMode, getTrueHeading };
-
-import {
-  loadRadar,
-  registerRadarCallback,
-  registerControlCallback,
-  setCurrentRange,
-  getPowerState,
-  getOperatingHours,
-  hasHoursCapability,
-} from "./control.js";
-import { isStandaloneMode, detectMode } from "./api.js";
+export { RANGE_SCALE, getHeadingMode, getUpDirection, getTrueHeading, hasHeading, getOwnPosition };
+
+import { radar_control, mainControl } from "./control.js";
+import { isStandaloneMode, detectMode, fetchRadarIds } from "./api.js";
 import "./protobuf/protobuf.min.js";
 
 import { render_webgpu } from "./render_webgpu.js";
+import { render_2d } from "./render_2d.js";
+import { initEblVrm, loadEblVrm, selectEblVrm } from "./ebl_vrm.js";
+import { initCursorReadout } from "./cursor_readout.js";
+import { initGuardZones, loadGuardZones, checkGuardZones } from "./guard_zones.js";
+import { initOwnShip, loadOwnShip, setOwnShipInstallation } from "./own_ship.js";
+import { initSnapshot } from "./snapshot.js";
+import { initTrailControls } from "./trails.js";
+import { initMarpa, setMarpaRadar, updateMarpa } from "./marpa.js";
+import { initAis, updateAisTarget } from "./ais.js";
+import { initView } from "./view.js";
+import { buildRadarLegend, setDopplerKey, setDopplerMode } from "./legend.js";
+import { initPalette, getPalette, textColor } from "./palette.js";
+import { initProcessing } from "./processing.js";
+import { initHeadingSource, getHeadingSource, setHeadingSourceStatus, signalkStreamUrl } from "./heading_source.js";
+import { initChart, isChartEnabled, drawChart, updateChart } from "./chart.js";
+import { initUnits } from "./units.js";
+import { initKeyboard } from "./keyboard.js";
+import { initTouchMode } from "./touch.js";
 
-var webSocket;
 var headingSocket;
+var headingGeneration = 0; // Incremented when the heading source changes, stops stale reconnects
 var RadarMessage;
-var renderer;
-var noTransmitAngles = Array();
-
-// Heading mode: "headingUp" or "northUp"
-var headingMode = "headingUp";
-var trueHeading = 0; // in radians
-
-function divides_near(a, b) {
-  let remainder = a % b;
-  let r = remainder <= 1.0 || remainder >= b - 1;
-  return r;
-}
-
-function is_metric(v) {
-  if (v <= 100) {
-    return divides_near(v, 25);
-  } else if (v <= 750) {
-    return divides_near(v, 50);
-  }
-  return divides_near(v, 500);
-}
+var renderer; // Renderer of the first display, the one the keyboard shortcuts work on
 
-const NAUTICAL_MILE = 1852.0;
+var courseOverGround = null; // in radians, from SignalK, or null
+const HEADING_SMOOTHING = 1.0; // Time constant of the heading low-pass filter, in seconds
+const SPOKE_HEADING_INTERVAL = 200; // Minimum ms between heading updates from the spoke bearing
 
-function formatRangeValue(metric, v) {
-  if (metric) {
-    // Metric
-    v = Math.round(v);
-    if (v >= 1000) {
-      return v / 1000 + " km";
-    } else {
-      return v + " m";
-    }
-  } else {
-    if (v >= NAUTICAL_MILE - 1) {
-      if (divides_near(v, NAUTICAL_MILE)) {
-        return Math.floor((v + 1) / NAUTICAL_MILE) + " nm";
-      } else {
-        return v / NAUTICAL_MILE + " nm";
-      }
-    } else if (divides_near(v, NAUTICAL_MILE / 2)) {
-      return Math.floor((v + 1) / (NAUTICAL_MILE / 2)) + "/2 nm";
-    } else if (divides_near(v, NAUTICAL_MILE / 4)) {
-      return Math.floor((v + 1) / (NAUTICAL_MILE / 4)) + "/4 nm";
-    } else if (divides_near(v, NAUTICAL_MILE / 8)) {
-      return Math.floor((v + 1) / (NAUTICAL_MILE / 8)) + "/8 nm";
-    } else if (divides_near(v, NAUTICAL_MILE / 16)) {
-      return Math.floor((v + 1) / (NAUTICAL_MILE / 16)) + "/16 nm";
-    } else if (divides_near(v, NAUTICAL_MILE / 32)) {
-      return Math.floor((v + 1) / (NAUTICAL_MILE / 32)) + "/32 nm";
-    } else if (divides_near(v, NAUTICAL_MILE / 64)) {
-      return Math.floor((v + 1) / (NAUTICAL_MILE / 64)) + "/64 nm";
-    } else if (divides_near(v, NAUTICAL_MILE / 128)) {
-      return Math.floor((v + 1) / (NAUTICAL_MILE / 128)) + "/128 nm";
-    } else {
-      return v / NAUTICAL_MILE + " nm";
-    }
-  }
-}
+// Position of own vessel from SignalK, used when the spokes carry no position
+var vesselPosition = null;
+// SignalK context of own vessel, from the stream hello message
+var selfContext = null;
 
 const RANGE_SCALE = 0.9; // Factor by which we fill the (w,h) canvas with the outer radar range ring
 
-registerRadarCallback(radarLoaded);
-registerControlCallback(controlUpdate);
-
 window.onload = async function () {
   const urlParams = new URLSearchParams(window.location.search);
   const id = urlParams.get("id");
 
-  // Check WebGPU availability
-  const webgpuAvailable = await checkWebGPU();
-  if (!webgpuAvailable) {
-    return; // Error message already shown
+  if (document.getElementById("myr_2_canvas_webgl")) {
+    displays.push(new radar_display("myr_2_", new radar_control("myr_2_")));
+    // Side by side, or top/bottom with ?layout=stacked
+    const split = document.querySelector(".myr_split");
+    if (split) split.classList.toggle("myr_split_stacked", urlParams.get("layout") === "stacked");
   }
 
   // Load protobuf definition - must complete before websocket can process messages
@@ -107,61 +66,101 @@ window.onload = async function () {
     });
   });
 
-  // WebGPU only
-  renderer = new render_webgpu(
-    document.getElementById("myr_canvas_webgl"),
-    document.getElementById("myr_canvas_background"),
-    drawBackground
-  );
-
-  // Wait for both WebGPU initialization AND protobuf loading before proceeding
+  // WebGPU if available, Canvas 2D otherwise
+  // Wait for both renderer initialization AND protobuf loading before proceeding
   // (radarLoaded callback needs renderer to be ready and protobuf for websocket messages)
-  await Promise.all([renderer.initPromise, protobufPromise]);
-  console.log("Both WebGPU and protobuf ready");
+  await Promise.all([...displays.map((d) => d.createRenderer()), protobufPromise]);
+  renderer = mainDisplay.renderer;
+  console.log("Both renderer and protobuf ready");
 
   // Debug: expose renderer globally for console debugging
   window.renderer = renderer;
 
-  // Process any pending radar data that arrived before renderer was ready
-  // (the callback might have been triggered by control.js before window.onload)
-  if (pendingRadarData) {
-    console.log("Processing deferred radar data");
-    radarLoaded(pendingRadarData);
-    pendingRadarData = null;
-  } else {
-    // No pending data - load radar now
-    loadRadar(id);
-  }
+  // EBL/VRM, guard zones, MARPA and the other PPI tools of each display,
+  // ready before a radar is shown to load their settings
+  displays.forEach((d) => d.initTools());
+
+  mainDisplay.start(id);
 
   // Ensure mode is detected before checking isStandaloneMode()
   await detectMode();
 
-  // Subscribe to SignalK heading delta (only in SignalK mode)
+  // The second display shows ?id2=, or another radar than the first
+  if (displays.length > 1) {
+    displays[1].start(urlParams.get("id2") || (await otherRadarId(id)));
+  }
+
+  // Create heading mode toggle buttons
+  displays.forEach((d) => d.createHeadingModeToggle());
+
+  // Heading/position source: SignalK stream (this server or a URL) or spoke bearing
+  initHeadingSource(isStandaloneMode(), applyHeadingSource);
   subscribeToHeading();
 
-  // Create heading mode toggle button
-  createHeadingModeToggle();
+  // Colour palette and night mode
+  initPalette(applyPalette);
+  applyPalette();
 
-  window.onresize = function () {
-    renderer.redrawCanvas();
-  };
+  // Spoke enhancement pipeline
+  initProcessing();
+
+  // Range rings and distance units
+  initUnits(applyUnits);
+
+  // Chart underlay on the background canvas, North Up while shown
+  initChart(displays.map((d) => d.renderer), applyChart);
+  applyChart();
+
+  // Keyboard shortcuts and their help overlay ("?")
+  initKeyboard(mainControl, {
+    headingMode: () => mainDisplay.nextHeadingMode(),
+    eblVrm1: () => selectEblVrm(renderer, 0),
+    eblVrm2: () => selectEblVrm(renderer, 1),
+    cancel: () => selectEblVrm(renderer, -1),
+  });
+
+  window.onresize = resizeDisplays;
 };
 
-// Subscribe to navigation.headingTrue via SignalK WebSocket
+// A radar other than the one shown first, for the second display
+async function otherRadarId(id) {
+  try {
+    const ids = await fetchRadarIds();
+    return ids.find((other) => other !== (id || ids[0])) || id || ids[0] || null;
+  } catch (e) {
+    console.warn("Failed to list radars:", e.message);
+    return id;
+  }
+}
+
+// Subscribe to own heading and position, and to other vessels (AIS) via SignalK WebSocket
 function subscribeToHeading() {
-  // In standalone mode, SignalK is not available - skip heading subscription
-  if (isStandaloneMode()) {
-    console.log("Standalone mode: heading subscription disabled (no SignalK)");
+  const source = getHeadingSource();
+  if (source.type === "spoke") {
+    setHeadingSourceStatus("Spoke bearing, waiting for spokes with a bearing");
+    return;
+  }
+  if (source.type === "none") {
+    setHeadingSourceStatus("None");
     return;
   }
 
-  const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-  const streamUrl = `${wsProtocol}//${window.location.host}/signalk/v1/stream?subscribe=none`;
+  // In standalone mode, SignalK is not available on this server - a URL is needed
+  if (isStandaloneMode() && !source.url) {
+    console.log("Standalone mode: heading subscription disabled (no SignalK URL)");
+    setHeadingSourceStatus("SignalK, no server URL");
+    return;
+  }
+
+  const streamUrl = signalkStreamUrl(source.url);
+  const generation = headingGeneration;
+  setHeadingSourceStatus(`SignalK, connecting to ${streamUrl}`);
 
   headingSocket = new WebSocket(streamUrl);
 
   headingSocket.onopen = () => {
     console.log("Heading WebSocket connected");
+    setHeadingSourceStatus(`SignalK, connected to ${streamUrl}`);
     // Subscribe to headingTrue
     const subscription = {
       context: "vessels.self",
@@ -170,21 +169,54 @@ function subscribeToHeading() {
           path: "navigation.headingTrue",
           period: 200,
         },
+        {
+          path: "navigation.position",
+          period: 1000,
+        },
+        {
+          path: "navigation.courseOverGroundTrue",
+          period: 1000,
+        },
       ],
     };
     headingSocket.send(JSON.stringify(subscription));
+
+    // Subscribe to other vessels for the AIS overlay
+    const aisSubscription = {
+      context: "vessels.*",
+      subscribe: [
+        { path: "navigation.position", period: 1000 },
+        { path: "navigation.courseOverGroundTrue", period: 1000 },
+        { path: "navigation.speedOverGround", period: 1000 },
+        { path: "navigation.headingTrue", period: 1000 },
+        { path: "name", period: 10000 },
+      ],
+    };
+    headingSocket.send(JSON.stringify(aisSubscription));
   };
 
   headingSocket.onmessage = (event) => {
     try {
       const data = JSON.parse(event.data);
+      if (data.self) {
+        // Hello message names own vessel, e.g. "vessels.urn:mrn:imo:mmsi:244123456"
+        selfContext = data.self.startsWith("vessels.") ? data.self : "vessels." + data.self;
+      }
       if (data.updates) {
+        const isSelf = !data.context || data.context === "vessels.self" || data.context === selfContext;
         for (const update of data.updates) {
           if (update.values) {
+            if (!isSelf) {
+              updateAisTarget(data.context, update.values);
+              continue;
+            }
             for (const value of update.values) {
               if (value.path === "navigation.headingTrue") {
-                trueHeading = value.value; // Already in radians
-                updateHeadingDisplay();
+                displays.forEach((d) => d.updateHeading(value.value)); // Already in radians
+              } else if (value.path === "navigation.courseOverGroundTrue") {
+                courseOverGround = value.value;
+              } else if (value.path === "navigation.position" && value.value) {
+                vesselPosition = { lat: value.value.latitude, lon: value.value.longitude };
               }
             }
           }
@@ -200,561 +232,552 @@ function subscribeToHeading() {
   };
 
   headingSocket.onclose = () => {
+    // Closed because the source changed
+    if (generation !== headingGeneration) return;
     console.log("Heading WebSocket closed, reconnecting in 5s...");
-    setTimeout(subscribeToHeading, 5000);
+    setHeadingSourceStatus("SignalK, disconnected, reconnecting");
+    setTimeout(() => {
+      if (generation === headingGeneration) subscribeToHeading();
+    }, 5000);
   };
 }
 
-// Update renderer with current heading based on mode
-function updateHeadingDisplay() {
-  if (renderer) {
-    if (headingMode === "northUp") {
-      // North Up: rotate radar by -heading so north is at top
-      renderer.setHeadingRotation(-trueHeading);
-    } else {
-      // Heading Up: no rotation, heading is always at top
-      renderer.setHeadingRotation(0);
-    }
+// Switch to a new heading source (called by the heading source selector)
+function applyHeadingSource() {
+  headingGeneration++;
+  if (headingSocket) {
+    headingSocket.close();
+    headingSocket = null;
   }
+  courseOverGround = null;
+  vesselPosition = null;
+  displays.forEach((d) => d.resetHeading());
+  subscribeToHeading();
 }
 
-// Getters for heading state (used by renderer)
-function getHeadingMode() {
-  return headingMode;
+// Display of a renderer, the first display by default
+function displayOf(obj) {
+  return displays.find((d) => d.renderer === obj) || mainDisplay;
 }
 
-function getTrueHeading() {
-  return trueHeading;
+// Getters for the heading and position of the display of a renderer
+// (used by the renderers and the PPI tools)
+// Heading mode of the display of a renderer
+function getHeadingMode(obj) {
+  return displayOf(obj).headingMode;
 }
 
-// Create the heading mode toggle button
-function createHeadingModeToggle() {
-  const container = document.querySelector(".myr_ppi");
-  if (!container) return;
-
-  const toggleBtn = document.createElement("div");
-  toggleBtn.id = "myr_heading_toggle";
-  toggleBtn.className = "myr_heading_toggle";
-  toggleBtn.innerHTML = "H Up";
-  toggleBtn.title = "Click to toggle: Heading Up / North Up";
-
-  toggleBtn.addEventListener("click", () => {
-    if (headingMode === "headingUp") {
-      headingMode = "northUp";
-      toggleBtn.innerHTML = "N Up";
-    } else {
-      headingMode = "headingUp";
-      toggleBtn.innerHTML = "H Up";
-    }
-    updateHeadingDisplay();
-    renderer.redrawCanvas();
-  });
+// True direction shown at the top of the display of a renderer, in radians
+function getUpDirection(obj) {
+  return displayOf(obj).getUpDirection();
+}
 
-  container.appendChild(toggleBtn);
+// Filtered true heading of the display of a renderer, in radians
+function getTrueHeading(obj) {
+  return displayOf(obj).trueHeading;
 }
 
-// Check WebGPU and show error if not available
-async function checkWebGPU() {
-  const hasWebGPUApi = !!navigator.gpu;
-  const isSecure = window.isSecureContext;
+function hasHeading(obj) {
+  return displayOf(obj).headingKnown;
+}
+
+// Position of the radar of a display from its spokes, or of own vessel from SignalK
+function getOwnPosition(obj) {
+  return displayOf(obj).ownPosition || vesselPosition;
+}
 
-  if (!hasWebGPUApi) {
-    showWebGPUError("no-api", hasWebGPUApi, isSecure);
-    return false;
+// Spoke lat/lon are int64 in 1e-16 degrees; protobuf.js decodes them as a
+// number, or as a Long when long.js is loaded
+function spokePosition(spoke) {
+  if (spoke.lat == null || spoke.lon == null) return null;
+  const lat = Number(spoke.lat.toString()) / 1e16;
+  const lon = Number(spoke.lon.toString()) / 1e16;
+  if (lat === 0 && lon === 0) return null;
+  return { lat, lon };
+}
+
+// Check whether a WebGPU adapter is available
+// Returns null when it is, otherwise why not
+async function checkWebGPU() {
+  if (!navigator.gpu) {
+    const reason = window.isSecureContext
+      ? "WebGPU API not available in this browser"
+      : "WebGPU API not available - likely due to insecure context";
+    console.log(reason);
+    return reason;
   }
 
   try {
     const adapter = await navigator.gpu.requestAdapter();
     if (!adapter) {
-      showWebGPUError("no-adapter", hasWebGPUApi, isSecure);
-      return false;
+      console.log("No WebGPU adapter found");
+      return "No WebGPU adapter found";
     }
-    return true;
+    return null;
   } catch (e) {
-    showWebGPUError("adapter-error", hasWebGPUApi, isSecure);
-    return false;
+    console.log("WebGPU adapter request failed:", e);
+    return "WebGPU adapter request failed";
   }
 }
 
-function showWebGPUError(failureReason, hasWebGPUApi, isSecure) {
-  const container = document.querySelector('.myr_container');
-  if (!container) return;
-
-  const os = detectOS();
-  const browser = detectBrowser();
-  const hostname = window.location.hostname;
-  const port = window.location.port || '80';
-
-  // Build error message based on failure reason
-  let errorMessage = '';
-  if (failureReason === 'no-api' && !isSecure) {
-    errorMessage = 'WebGPU API not available - likely due to insecure context.';
-  } else if (failureReason === 'no-api') {
-    errorMessage = 'WebGPU API not available in this browser.';
-  } else if (failureReason === 'no-adapter') {
-    errorMessage = 'No WebGPU adapter found. Your GPU may not support WebGPU.';
-  } else {
-    errorMessage = 'WebGPU initialization failed.';
-  }
-
-  container.innerHTML = `
-    <div class="myr_webgpu_error">
-      <h2>WebGPU Required</h2>
-      <p class="myr_error_message">${errorMessage}</p>
-
-      ${!isSecure ? `
-        <div class="myr_error_section">
-          <h3>Secure Context Required</h3>
-          <p>WebGPU requires a secure context. You are accessing via HTTP on "${hostname}".</p>
-          ${getSecureContextOptionsHTML(browser, os, port)}
-        </div>
-      ` : ''}
-
-      <div class="myr_error_section">
-        <h3>Enable WebGPU / Hardware Acceleration</h3>
-        ${getBrowserInstructionsHTML(browser, os)}
-      </div>
-
-      <div class="myr_error_actions">
-        <a href="index.html" class="myr_back_link">Back to Radar List</a>
-        <button onclick="location.reload()" class="myr_retry_button">Retry</button>
-      </div>
-    </div>
-  `;
-}
+// Notice on the PPI that the slower Canvas 2D renderer is used; the radar
+// list (index.html) explains how to enable WebGPU for this browser
+function showRendererNotice(container, reason) {
+  if (!container || document.getElementById("myr_renderer_notice")) return;
 
-function detectOS() {
-  const ua = navigator.userAgent.toLowerCase();
-  const platform = navigator.platform?.toLowerCase() || '';
-
-  // Check mobile/tablet FIRST (iPadOS reports as macOS in Safari)
-  if (ua.includes('iphone') || ua.includes('ipad')) return 'ios';
-  // Also detect iPad via touch + macOS combination (iPadOS 13+ desktop mode)
-  if (navigator.maxTouchPoints > 1 && (ua.includes('mac') || platform.includes('mac'))) return 'ios';
-  if (ua.includes('android')) return 'android';
-
-  // Desktop OS detection
-  if (ua.includes('win') || platform.includes('win')) return 'windows';
-  if (ua.includes('mac') || platform.includes('mac')) return 'macos';
-  if (ua.includes('linux') || platform.includes('linux')) return 'linux';
-  return 'unknown';
-}
+  const notice = document.createElement("div");
+  notice.id = "myr_renderer_notice";
+  notice.className = "myr_renderer_notice";
 
-function detectBrowser() {
-  const ua = navigator.userAgent.toLowerCase();
-  if (ua.includes('edg/')) return 'edge';
-  if (ua.includes('chrome')) return 'chrome';
-  if (ua.includes('firefox')) return 'firefox';
-  if (ua.includes('safari') && !ua.includes('chrome')) return 'safari';
-  return 'unknown';
-}
+  const text = document.createElement("span");
+  text.textContent = `Canvas 2D renderer (${reason}). `;
 
-function getSecureContextOptionsHTML(browser, os, port) {
-  const origin = window.location.origin;
-  const isMobile = (os === 'ios' || os === 'android');
+  const link = document.createElement("a");
+  link.href = "index.html";
+  link.target = "_blank";
+  link.textContent = "How to enable WebGPU";
 
-  let options = '';
+  const closeBtn = document.createElement("span");
+  closeBtn.className = "myr_renderer_notice_close";
+  closeBtn.textContent = "×";
+  closeBtn.title = "Hide";
+  closeBtn.addEventListener("click", () => notice.remove());
 
-  // Only show localhost option for desktop
-  if (!isMobile) {
-    options += `
-      <p><strong>Option 1 (easiest):</strong> Access via localhost instead:</p>
-      <div class="myr_code_instructions">
-        <p><code>http://localhost:${port}</code> or <code>http://127.0.0.1:${port}</code></p>
-        <p class="myr_note">Browsers treat localhost as a secure context</p>
-      </div>
-    `;
-  }
+  notice.append(text, link, closeBtn);
+  container.appendChild(notice);
+}
 
-  const optNum = isMobile ? 1 : 2;
-  options += `
-    <p><strong>Option ${optNum}:</strong> Add this site to browser exceptions:</p>
-    ${getInsecureOriginHTML(browser, os)}
-    <p><strong>Option ${optNum + 1}:</strong> Use HTTPS (requires server configuration)</p>
-  `;
+// A PPI display: renderer, control panel and stream of one radar, with its
+// own heading mode, view and PPI tools. Heading and position are kept per
+// display: from SignalK they are the same for all displays, from the spokes
+// each display follows its own radar.
+class radar_display {
+  /**
+   * @param {string} prefix - Prefix of the ids of the canvases and buttons
+   * @param {radar_control} control - Control state and panel of the radar
+   */
+  constructor(prefix, control) {
+    this.prefix = prefix;
+    this.control = control;
+    this.renderer = null;
+    this.webSocket = null;
+    this.pendingRadarData = null; // Radar data if the callback arrives before the renderer is ready
+    this.radarCapabilities = null; // Capabilities of the radar, for its legend
+    this.noTransmitAngles = Array();
+
+    // Heading mode: "headingUp", "northUp" or "courseUp"
+    this.headingMode = "headingUp";
+    this.upCourse = 0; // Course Up: true course locked at the top of the screen, in radians
+
+    this.trueHeading = 0; // in radians, low-pass filtered
+    this.headingKnown = false; // True once a heading has been received
+    this.lastHeadingTime = 0; // Time of the last heading update, for the filter
+    this.lastSpokeHeadingUpdate = 0; // Time of the last heading update from the spoke bearing
+    this.ownPosition = null; // Position of the radar from the spoke data, { lat, lon } in degrees, or null
+
+    control.registerRadarCallback((r) => this.radarLoaded(r));
+    control.registerControlCallback((c, v) => this.controlUpdate(c, v));
+  }
 
-  return options;
-}
+  // Create the WebGPU renderer, falling back to the Canvas 2D renderer
+  // when WebGPU is not available or fails to initialize
+  async createRenderer() {
+    const background = document.getElementById(`${this.prefix}canvas_background`);
+    const overlay = document.getElementById(`${this.prefix}canvas_overlay`);
+    let canvas = document.getElementById(`${this.prefix}canvas_webgl`);
+
+    let reason = await checkWebGPU();
+    if (!reason) {
+      try {
+        const gpuRenderer = new render_webgpu(canvas, background, drawBackground, overlay);
+        await gpuRenderer.initPromise;
+        this.renderer = gpuRenderer;
+        return;
+      } catch (e) {
+        console.warn("WebGPU initialization failed:", e);
+        reason = "WebGPU initialization failed";
+      }
+      // A canvas can only ever have one context type; start from a fresh one
+      const freshCanvas = canvas.cloneNode(false);
+      canvas.replaceWith(freshCanvas);
+      canvas = freshCanvas;
+    }
 
-function getInsecureOriginHTML(browser, os) {
-  const origin = window.location.origin;
-  const hostname = window.location.hostname;
-
-  // iOS Safari has no way to add insecure origin exceptions
-  if (os === 'ios') {
-    return `
-      <div class="myr_code_instructions">
-        <p>Safari on iOS/iPadOS does not support insecure origin exceptions.</p>
-        <p>Alternatives:</p>
-        <p>• Configure HTTPS on your SignalK server</p>
-        <p>• Use a tunneling service (e.g., ngrok) to get an HTTPS URL</p>
-        <p>• Access from a desktop browser where you can set the flag</p>
-      </div>
-    `;
-  }
-
-  // Android Chrome
-  if (os === 'android' && browser === 'chrome') {
-    return `
-      <div class="myr_code_instructions">
-        <p>1. Open Chrome on your Android device</p>
-        <p>2. Go to: <code>chrome://flags/#unsafely-treat-insecure-origin-as-secure</code></p>
-        <p>3. Add: <code>${origin}</code></p>
-        <p>4. Set to "Enabled"</p>
-        <p>5. Tap "Relaunch"</p>
-      </div>
-    `;
-  }
-
-  if (browser === 'chrome' || browser === 'edge') {
-    const flagPrefix = browser === 'edge' ? 'edge' : 'chrome';
-    const flagUrl = `${flagPrefix}://flags/#unsafely-treat-insecure-origin-as-secure`;
-    return `
-      <div class="myr_code_instructions">
-        <p>1. Copy and paste this into your address bar:</p>
-        <p><a href="${flagUrl}" class="myr_flag_link"><code>${flagUrl}</code></a></p>
-        <p>2. In the text field, add: <code>${origin}</code></p>
-        <p>3. Set dropdown to "Enabled"</p>
-        <p>4. Click "Relaunch" at the bottom</p>
-      </div>
-    `;
-  }
-  if (browser === 'firefox') {
-    return `
-      <div class="myr_code_instructions">
-        <p>1. Open: <a href="about:config" class="myr_flag_link"><code>about:config</code></a></p>
-        <p>2. Click "Accept the Risk and Continue"</p>
-        <p>3. Search for: <code>dom.securecontext.allowlist</code></p>
-        <p>4. Click the + button to add: <code>${hostname}</code></p>
-        <p>5. Restart Firefox</p>
-      </div>
-    `;
-  }
-  return `<p>Check your browser settings for allowing insecure origins.</p>`;
-}
+    console.log("Using Canvas 2D fallback renderer");
+    this.renderer = new render_2d(canvas, background, drawBackground, overlay);
+    showRendererNotice(canvas.parentNode, reason);
+  }
 
-function getBrowserInstructionsHTML(browser, os) {
-  // iOS/iPadOS Safari
-  if (browser === 'safari' && os === 'ios') {
-    return `
-      <div class="myr_code_instructions">
-        <p>Safari on iOS/iPadOS 17+:</p>
-        <p>1. Open the <strong>Settings</strong> app</p>
-        <p>2. Scroll down and tap <strong>Safari</strong></p>
-        <p>3. Scroll down and tap <strong>Advanced</strong></p>
-        <p>4. Tap <strong>Feature Flags</strong></p>
-        <p>5. Enable <strong>WebGPU</strong></p>
-        <p>6. Return to Safari and reload this page</p>
-        <p class="myr_note">Note: Requires iOS/iPadOS 17 or later.</p>
-      </div>
-    `;
-  }
-
-  switch (browser) {
-    case 'chrome':
-      return `
-        <div class="myr_code_instructions">
-          <p>Chrome should have WebGPU enabled by default (v113+).</p>
-          <p>If not working:</p>
-          <p>1. Open: <code>chrome://flags/#enable-unsafe-webgpu</code></p>
-          <p>2. Set to "Enabled"</p>
-          <p>3. Relaunch Chrome</p>
-          ${os === 'linux' ? '<p class="myr_note">Linux: Vulkan drivers required.</p>' : ''}
-        </div>
-      `;
-    case 'edge':
-      return `
-        <div class="myr_code_instructions">
-          <p>Edge should have WebGPU enabled by default.</p>
-          <p>If not working:</p>
-          <p>1. Open: <code>edge://flags/#enable-unsafe-webgpu</code></p>
-          <p>2. Set to "Enabled"</p>
-          <p>3. Relaunch Edge</p>
-        </div>
-      `;
-    case 'firefox':
-      return `
-        <div class="myr_code_instructions">
-          <p>Firefox WebGPU (experimental):</p>
-          <p>1. Open: <code>about:config</code></p>
-          <p>2. Search: <code>dom.webgpu.enabled</code></p>
-          <p>3. Set to: <code>true</code></p>
-          <p>4. Restart Firefox</p>
-        </div>
-      `;
-    case 'safari':
-      return `
-        <div class="myr_code_instructions">
-          <p>Safari WebGPU (macOS 14+):</p>
-          <p>1. Open Safari menu > Settings</p>
-          <p>2. Go to Advanced tab</p>
-          <p>3. Check "Show features for web developers"</p>
-          <p>4. Go to Feature Flags tab</p>
-          <p>5. Enable "WebGPU"</p>
-          <p>6. Restart Safari</p>
-        </div>
-      `;
-    default:
-      return `
-        <div class="myr_code_instructions">
-          <p>WebGPU requires:</p>
-          <p>- Chrome 113+ (recommended)</p>
-          <p>- Edge 113+</p>
-          <p>- Safari 17+</p>
-          <p>- Firefox (experimental)</p>
-        </div>
-      `;
+  // Show the radar, or the radar data that arrived before the renderer was ready
+  // (the callback might have been triggered by control.js before window.onload)
+  start(id) {
+    if (this.pendingRadarData) {
+      console.log("Processing deferred radar data");
+      this.radarLoaded(this.pendingRadarData);
+      this.pendingRadarData = null;
+    } else {
+      // No pending data - load radar now
+      this.control.loadRadar(id);
+    }
   }
-}
 
-function getHardwareAccelerationHTML(browser, os) {
-  // iOS/iPadOS - no hardware acceleration toggle
-  if (os === 'ios') {
-    return `
-      <div class="myr_code_instructions">
-        <p>On iOS/iPadOS, hardware acceleration cannot be disabled.</p>
-        <p>If WebGPU is not working:</p>
-        <p>• Ensure you have iOS/iPadOS 17 or later</p>
-        <p>• Try closing and reopening Safari</p>
-        <p>• Restart your device</p>
-      </div>
-    `;
-  }
-
-  switch (browser) {
-    case 'chrome':
-      return `
-        <div class="myr_code_instructions">
-          <p>1. Open: <code>chrome://settings/system</code></p>
-          <p>2. Enable "Use graphics acceleration when available"</p>
-          <p>3. Relaunch Chrome</p>
-        </div>
-      `;
-    case 'edge':
-      return `
-        <div class="myr_code_instructions">
-          <p>1. Open: <code>edge://settings/system</code></p>
-          <p>2. Enable "Use graphics acceleration when available"</p>
-          <p>3. Relaunch Edge</p>
-        </div>
-      `;
-    case 'firefox':
-      return `
-        <div class="myr_code_instructions">
-          <p>1. Open: <code>about:preferences</code></p>
-          <p>2. Scroll to "Performance"</p>
-          <p>3. Uncheck "Use recommended performance settings"</p>
-          <p>4. Check "Use hardware acceleration when available"</p>
-          <p>5. Restart Firefox</p>
-        </div>
-      `;
-    case 'safari':
-      return `
-        <div class="myr_code_instructions">
-          <p>Safari uses hardware acceleration by default on macOS.</p>
-          <p>If WebGPU is not working:</p>
-          <p>• Ensure you have macOS 14 (Sonoma) or later</p>
-          <p>• Check that WebGPU is enabled in Feature Flags</p>
-          <p>• Try restarting Safari</p>
-        </div>
-      `;
-    default:
-      return `
-        <div class="myr_code_instructions">
-          <p>Check your browser settings for "Hardware acceleration"</p>
-          <p>or "Use GPU" and ensure it is enabled.</p>
-          <p>Then restart the browser.</p>
-        </div>
-      `;
+  restart(id) {
+    setTimeout(() => this.control.loadRadar(id), 15000);
   }
-}
 
-function restart(id) {
-  setTimeout(loadRadar, 15000, id);
-}
+  radarLoaded(r) {
+    let maxSpokeLen = r.maxSpokeLen;
+    let spokesPerRevolution = r.spokesPerRevolution;
+    const renderer = this.renderer;
 
-// Pending radar data if callback arrives before renderer is ready
-var pendingRadarData = null;
+    if (r === undefined || r.controls === undefined) {
+      return;
+    }
 
-function radarLoaded(r) {
-  let maxSpokeLen = r.maxSpokeLen;
-  let spokesPerRevolution = r.spokesPerRevolution;
-  let prev_angle = -1;
+    // If renderer isn't ready yet, store data and return
+    // It will be processed when renderer.initPromise resolves
+    if (!renderer || !renderer.ready) {
+      this.pendingRadarData = r;
+      return;
+    }
 
-  if (r === undefined || r.controls === undefined) {
-    return;
-  }
+    this.radarCapabilities = r.capabilities;
+    const dopplerMode = r.state?.controls?.dopplerMode;
+    setDopplerMode(renderer, dopplerMode === undefined ? true : dopplerMode);
+    this.applyLegend();
+    renderer.setSpokes(spokesPerRevolution, maxSpokeLen);
+
+    // EBL/VRM, guard zones, MARPA and the ship outline of this radar
+    const storageKey = r.capabilities?.key || r.id;
+    loadEblVrm(renderer, storageKey);
+    loadGuardZones(renderer, storageKey);
+    loadOwnShip(renderer, storageKey);
+    setMarpaRadar(renderer, storageKey);
+
+    // Check initial power state and set standby mode if needed
+    const initialPowerState = this.control.getPowerState();
+    const isStandby = initialPowerState === 'standby' || initialPowerState === 'off';
+    if (isStandby) {
+      const hours = this.control.getOperatingHours();
+      const hoursCap = this.control.hasHoursCapability();
+      renderer.setStandbyMode(true, hours.onTime, hours.txTime, hoursCap.hasOnTime, hoursCap.hasTxTime);
+    }
 
-  // If renderer isn't ready yet, store data and return
-  // It will be processed when renderer.initPromise resolves
-  if (!renderer || !renderer.ready) {
-    pendingRadarData = r;
-    return;
-  }
+    // Use provided streamUrl or construct SignalK stream URL
+    let streamUrl = r.streamUrl;
+    if (!streamUrl || streamUrl === "undefined" || streamUrl === "null") {
+      const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+      streamUrl = `${wsProtocol}//${window.location.host}/signalk/v2/api/vessels/self/radars/${r.id}/stream`;
+    }
+    console.log("Connecting to radar stream:", streamUrl);
+    const webSocket = new WebSocket(streamUrl);
+    webSocket.binaryType = "arraybuffer";
+    this.webSocket = webSocket;
 
-  renderer.setLegend(buildMayaraLegend());
-  renderer.setSpokes(spokesPerRevolution, maxSpokeLen);
+    webSocket.onopen = (e) => {
+      console.log("websocket open: " + JSON.stringify(e));
+    };
+    webSocket.onclose = (e) => {
+      console.log("websocket close: code=" + e.code + ", reason=" + e.reason + ", wasClean=" + e.wasClean);
+      this.restart(r.id);
+    };
+    webSocket.onerror = (e) => {
+      console.log("websocket error:", e);
+    };
+    webSocket.onmessage = (e) => {
+      try {
+        const dataSize = e.data?.byteLength || e.data?.length || 0;
+        if (dataSize === 0) {
+          console.warn("WS message received with 0 bytes");
+          return;
+        }
+        if (!RadarMessage) {
+          console.warn("RadarMessage not loaded yet, dropping message");
+          return;
+        }
+        let buf = e.data;
+        let bytes = new Uint8Array(buf);
+        var message = RadarMessage.decode(bytes);
+        if (message.spokes && message.spokes.length > 0) {
+          for (let i = 0; i < message.spokes.length; i++) {
+            let spoke = message.spokes[i];
+
+            // Gap-filling disabled for high spoke counts (8192) - not needed
+            // The texture-based renderers handle sparse data well
+            if (spoke.bearing != null && getHeadingSource()?.type === "spoke") {
+              this.headingFromSpoke(spoke, spokesPerRevolution);
+            }
+            renderer.drawSpoke(spoke);
+            if (!renderer.standbyMode) {
+              checkGuardZones(renderer, spoke, spokesPerRevolution, renderer.max_spoke_len);
+              updateMarpa(renderer, spoke, spokesPerRevolution);
+            }
+            this.ownPosition = spokePosition(spoke) || this.ownPosition;
+            // Update range from spoke data - this is the actual radar range
+            // Only update if spoke.range is valid (non-zero) and different from current
+            if (spoke.range > 0 && spoke.range !== renderer.range) {
+              console.log("Range update from spoke:", spoke.range, "m");
+              renderer.setRange(spoke.range);
+            }
+            // Also update control.js for range display and index tracking
+            if (spoke.range > 0) {
+              this.control.setCurrentRange(spoke.range);
+            }
+          }
+          renderer.render();
+        }
+      } catch (err) {
+        console.error("Error processing WebSocket message:", err);
+      }
+    };
+  }
 
-  // Check initial power state and set standby mode if needed
-  const initialPowerState = getPowerState();
-  const isStandby = initialPowerState === 'standby' || initialPowerState === 'off';
-  if (isStandby) {
-    const hours = getOperatingHours();
-    const hoursCap = hasHoursCapability();
-    renderer.setStandbyMode(true, hours.onTime, hours.txTime, hoursCap.hasOnTime, hoursCap.hasTxTime);
+  // Colour table from the legend of the radar and the selected palette
+  applyLegend() {
+    const { legend, specialValues, intensities, dopplerKey } = buildRadarLegend(getPalette(), this.radarCapabilities);
+    this.renderer.setLegend(legend, specialValues, intensities);
+    setDopplerKey(this.renderer, dopplerKey);
   }
 
-  // Use provided streamUrl or construct SignalK stream URL
-  let streamUrl = r.streamUrl;
-  if (!streamUrl || streamUrl === "undefined" || streamUrl === "null") {
-    const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-    streamUrl = `${wsProtocol}//${window.location.host}/signalk/v2/api/vessels/self/radars/${r.id}/stream`;
+  // EBL/VRM, cursor readout, guard zones, trails, own ship, snapshot, MARPA,
+  // AIS, view and touch controls, on the PPI of this display; the editors go
+  // into the "tools" element under its control panel
+  initTools() {
+    const renderer = this.renderer;
+    initEblVrm(renderer, this.prefix);
+    initCursorReadout(renderer, this.prefix);
+    initGuardZones(renderer, this.prefix);
+    initTrailControls(renderer, this.prefix);
+    initOwnShip(renderer, this.prefix);
+    initSnapshot(renderer, this.control, this.prefix);
+    initMarpa(renderer, this.prefix);
+    initAis(renderer, this.prefix);
+    initView(renderer, this.prefix);
+    // Full-screen PPI with floating touch controls, pinch for range
+    initTouchMode(renderer, this.control, this.prefix, resizeDisplays);
   }
-  console.log("Connecting to radar stream:", streamUrl);
-  webSocket = new WebSocket(streamUrl);
-  webSocket.binaryType = "arraybuffer";
 
-  webSocket.onopen = (e) => {
-    console.log("websocket open: " + JSON.stringify(e));
-  };
-  webSocket.onclose = (e) => {
-    console.log("websocket close: code=" + e.code + ", reason=" + e.reason + ", wasClean=" + e.wasClean);
-    restart(r.id);
-  };
-  webSocket.onerror = (e) => {
-    console.log("websocket error:", e);
-  };
-  webSocket.onmessage = (e) => {
-    try {
-      const dataSize = e.data?.byteLength || e.data?.length || 0;
-      if (dataSize === 0) {
-        console.warn("WS message received with 0 bytes");
-        return;
+  controlUpdate(control, controlValue) {
+    const renderer = this.renderer;
+    if (control?.category === "installation") {
+      setOwnShipInstallation(renderer, control.id, controlValue.value);
+    }
+    if (control && control.name == "Range") {
+      let range = parseFloat(controlValue.value);
+      if (renderer && renderer.setRange) {
+        renderer.setRange(range);
       }
-      if (!RadarMessage) {
-        console.warn("RadarMessage not loaded yet, dropping message");
-        return;
+    }
+    if (control && control.name && control.name.startsWith("No Transmit")) {
+      let value = parseFloat(controlValue.value);
+      let idx = extractNoTxZone(control.name);
+      let start_or_end = extractStartOrEnd(control.name);
+      if (controlValue.enabled) {
+        this.noTransmitAngles[idx][start_or_end] = value;
+      } else {
+        this.noTransmitAngles[idx] = null;
       }
-      let buf = e.data;
-      let bytes = new Uint8Array(buf);
-      var message = RadarMessage.decode(bytes);
-      if (message.spokes && message.spokes.length > 0) {
-        for (let i = 0; i < message.spokes.length; i++) {
-          let spoke = message.spokes[i];
-
-          // Gap-filling disabled for high spoke counts (8192) - not needed
-          // The texture-based renderers handle sparse data well
-          renderer.drawSpoke(spoke);
-          prev_angle = spoke.angle;
-          // Update range from spoke data - this is the actual radar range
-          // Only update if spoke.range is valid (non-zero) and different from current
-          if (spoke.range > 0 && spoke.range !== renderer.range) {
-            console.log("Range update from spoke:", spoke.range, "m");
-            renderer.setRange(spoke.range);
-          }
-          // Also update control.js for range display and index tracking
-          if (spoke.range > 0) {
-            setCurrentRange(spoke.range);
-          }
-        }
-        renderer.render();
+    }
+    // Doppler key on the overlay follows the Doppler mode
+    if (controlValue && controlValue.id === 'dopplerMode') {
+      if (renderer) {
+        setDopplerMode(renderer, controlValue.value);
+        renderer.redrawOverlay();
       }
-    } catch (err) {
-      console.error("Error processing WebSocket message:", err);
     }
-  };
-}
+    // Handle power state changes
+    if (controlValue && controlValue.id === 'power') {
+      const isStandby = controlValue.value === 'standby' || controlValue.value === 'off';
+      if (renderer) {
+        const hours = this.control.getOperatingHours();
+        const hoursCap = this.control.hasHoursCapability();
+        renderer.setStandbyMode(isStandby, hours.onTime, hours.txTime, hoursCap.hasOnTime, hoursCap.hasTxTime);
+      }
+    }
+  }
 
-// Build 256-color MaYaRa palette for radar PPI display
-// Smooth color gradient: Dark Green → Green → Yellow → Red
-// Designed for 6-bit radar data (0-63 intensity values)
-// This is a client-side rendering concern - not part of the radar API
-function buildMayaraLegend() {
-  const legend = [];
-  for (let i = 0; i < 256; i++) {
-    let r, g, b;
-    if (i === 0) {
-      // Index 0: transparent/black (noise floor)
-      r = g = b = 0;
-    } else if (i <= 15) {
-      // 1-15: dark green → brighter green (weak returns)
-      const t = (i - 1) / 14;
-      r = 0;
-      g = Math.floor(50 + t * 100);
-      b = 0;
-    } else if (i <= 31) {
-      // 16-31: green → yellow-green (moderate returns)
-      const t = (i - 16) / 15;
-      r = Math.floor(t * 200);
-      g = Math.floor(150 + t * 55);
-      b = 0;
-    } else if (i <= 47) {
-      // 32-47: yellow → yellow-red (stronger returns)
-      const t = (i - 32) / 15;
-      r = Math.floor(200 + t * 55);
-      g = Math.floor(205 - t * 125);
-      b = 0;
-    } else if (i <= 63) {
-      // 48-63: red (strong returns / land)
-      const t = (i - 48) / 15;
-      r = 255;
-      g = Math.max(0, Math.floor(80 - t * 80));
-      b = 0;
+  // Low-pass filter heading updates, so the image doesn't jitter with the
+  // boat's yaw in a seaway. Everything that converts between relative and true
+  // bearings uses the filtered heading, so overlays stay aligned with the image.
+  updateHeading(heading) {
+    const now = Date.now();
+    if (!this.headingKnown) {
+      this.trueHeading = heading;
     } else {
-      // >63: saturated red (overflow)
-      r = 255;
-      g = 0;
-      b = 0;
+      const dt = Math.min(5, (now - this.lastHeadingTime) / 1000);
+      const alpha = 1 - Math.exp(-dt / HEADING_SMOOTHING);
+      const diff = Math.atan2(Math.sin(heading - this.trueHeading), Math.cos(heading - this.trueHeading));
+      this.trueHeading = (((this.trueHeading + alpha * diff) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
     }
-    // RGBA: alpha is 0 for index 0 (transparent), 255 for others
-    legend.push([r, g, b, i === 0 ? 0 : 255]);
+    this.headingKnown = true;
+    this.lastHeadingTime = now;
+    this.updateHeadingDisplay();
   }
-  return legend;
-}
 
-function hexToRGBA(hex) {
-  let a = Array();
-  for (let i = 1; i < hex.length; i += 2) {
-    a.push(parseInt(hex.slice(i, i + 2), 16));
+  // Heading from a spoke with a true bearing: heading = bearing - angle
+  // Every spoke carries it, so it is sampled at the rate of a heading sensor
+  headingFromSpoke(spoke, spokesPerRevolution) {
+    const now = Date.now();
+    if (this.headingKnown && now - this.lastSpokeHeadingUpdate < SPOKE_HEADING_INTERVAL) return;
+
+    if (!this.headingKnown) {
+      setHeadingSourceStatus("Spoke bearing, receiving");
+    }
+    const spokes = (((spoke.bearing - spoke.angle) % spokesPerRevolution) + spokesPerRevolution) % spokesPerRevolution;
+    this.lastSpokeHeadingUpdate = now;
+    this.updateHeading((2 * Math.PI * spokes) / spokesPerRevolution);
   }
-  while (a.length < 3) {
-    a.push(0);
+
+  // Heading source changed: no heading until the new source delivers one
+  resetHeading() {
+    this.trueHeading = 0;
+    this.headingKnown = false;
+    this.updateHeadingDisplay();
   }
-  while (a.length < 4) {
-    a.push(255);
+
+  // Update renderer with current heading based on mode
+  updateHeadingDisplay() {
+    if (this.renderer) {
+      // Rotate the radar clockwise by (heading - up direction): the bow,
+      // relative bearing 0, is drawn at screen angle heading - up.
+      // Heading Up: no rotation. North Up: rotation by heading.
+      // Course Up: rotation by heading - locked course.
+      const rotation = this.trueHeading - this.getUpDirection();
+      this.renderer.setHeadingRotation(((rotation % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI));
+      // Compass rose and true EBLs follow the heading
+      this.renderer.redrawOverlay();
+      updateChart(this.renderer);
+    }
   }
 
-  return a;
-}
+  // True direction shown at the top of the screen, in radians
+  getUpDirection() {
+    if (this.headingMode === "northUp") return 0;
+    if (this.headingMode === "courseUp") return this.upCourse;
+    return this.trueHeading;
+  }
 
-function controlUpdate(control, controlValue) {
-  if (control && control.name == "Range") {
-    let range = parseFloat(controlValue.value);
-    if (renderer && renderer.setRange) {
-      renderer.setRange(range);
-    }
+  // Course Up: lock the current course over ground (or the heading without one) at the top
+  resetCourseUp() {
+    this.upCourse = courseOverGround ?? this.trueHeading;
+    this.updateCourseUpPanel();
+    this.updateHeadingDisplay();
   }
-  if (control && control.name && control.name.startsWith("No Transmit")) {
-    let value = parseFloat(controlValue.value);
-    let idx = extractNoTxZone(control.name);
-    let start_or_end = extractStartOrEnd(control.name);
-    if (controlValue.enabled) {
-      noTransmitAngles[idx][start_or_end] = value;
-    } else {
-      noTransmitAngles[idx] = null;
-    }
+
+  setCourseUp(degrees) {
+    this.upCourse = ((((degrees % 360) + 360) % 360) * Math.PI) / 180;
+    this.updateHeadingDisplay();
+  }
+
+  // Create the heading mode toggle button
+  createHeadingModeToggle() {
+    const container = this.renderer?.dom.parentNode;
+    if (!container) return;
+
+    const toggleBtn = document.createElement("div");
+    toggleBtn.id = `${this.prefix}heading_toggle`;
+    toggleBtn.className = "myr_heading_toggle";
+    toggleBtn.innerHTML = "H Up";
+    toggleBtn.title = "Click to toggle: Heading Up / North Up / Course Up";
+
+    // Course Up: locked course, editable, and a reset to the current course
+    const coursePanel = document.createElement("div");
+    coursePanel.id = `${this.prefix}course_up`;
+    coursePanel.className = "myr_course_up";
+    coursePanel.style.display = "none";
+
+    const courseInput = document.createElement("input");
+    courseInput.type = "number";
+    courseInput.id = `${this.prefix}course_up_value`;
+    courseInput.min = 0;
+    courseInput.max = 359;
+    courseInput.step = 1;
+    courseInput.title = "Course at the top of the display (°T)";
+    courseInput.addEventListener("change", () => {
+      const value = parseFloat(courseInput.value);
+      if (Number.isFinite(value)) this.setCourseUp(value);
+    });
+
+    const resetBtn = document.createElement("div");
+    resetBtn.id = `${this.prefix}course_up_reset`;
+    resetBtn.className = "myr_course_up_reset";
+    resetBtn.textContent = "RESET";
+    resetBtn.title = "Reset Course Up to the current course";
+    resetBtn.addEventListener("click", () => this.resetCourseUp());
+
+    coursePanel.append(courseInput, resetBtn);
+
+    toggleBtn.addEventListener("click", () => this.nextHeadingMode());
+
+    container.appendChild(toggleBtn);
+    container.appendChild(coursePanel);
   }
-  // Handle power state changes
-  if (controlValue && controlValue.id === 'power') {
-    const isStandby = controlValue.value === 'standby' || controlValue.value === 'off';
-    if (renderer) {
-      const hours = getOperatingHours();
-      const hoursCap = hasHoursCapability();
-      renderer.setStandbyMode(isStandby, hours.onTime, hours.txTime, hoursCap.hasOnTime, hoursCap.hasTxTime);
+
+  // Heading Up -> North Up -> Course Up -> Heading Up
+  nextHeadingMode() {
+    const next = { headingUp: "northUp", northUp: "courseUp", courseUp: "headingUp" };
+    this.setHeadingMode(next[this.headingMode]);
+  }
+
+  // Switch to "headingUp", "northUp" or "courseUp"
+  setHeadingMode(mode) {
+    if (mode === "courseUp" && this.headingMode !== "courseUp") {
+      this.upCourse = courseOverGround ?? this.trueHeading;
     }
+    this.headingMode = mode;
+    const toggleBtn = document.getElementById(`${this.prefix}heading_toggle`);
+    if (toggleBtn) {
+      toggleBtn.innerHTML = { headingUp: "H Up", northUp: "N Up", courseUp: "C Up" }[mode];
+    }
+    this.updateCourseUpPanel();
+    this.updateHeadingDisplay();
+    this.renderer.redrawCanvas();
+  }
+
+  updateCourseUpPanel() {
+    const panel = document.getElementById(`${this.prefix}course_up`);
+    if (!panel) return;
+    panel.style.display = this.headingMode === "courseUp" ? "" : "none";
+    const input = document.getElementById(`${this.prefix}course_up_value`);
+    if (input) input.value = Math.round((this.upCourse * 180) / Math.PI) % 360;
   }
 }
 
+// PPI displays: one in viewer.html; two in split.html, the second with the
+// element ids prefixed "myr_2_" for both its canvases and its control panel
+const mainDisplay = new radar_display("myr_", mainControl);
+const displays = [mainDisplay];
+
+// Layout or window size changed: the canvases follow their containers
+function resizeDisplays() {
+  displays.forEach((d) => d.renderer.redrawCanvas());
+}
+
+// Palette or night mode changed: new colour tables, redraw the canvases
+function applyPalette() {
+  for (const d of displays) {
+    if (d.radarCapabilities) d.applyLegend();
+    d.renderer.redrawCanvas();
+    d.renderer.render();
+  }
+}
+
+// Range rings or units changed: redraw the rings, range texts and readouts
+function applyUnits() {
+  for (const d of displays) {
+    d.control.updateRangeDisplay();
+    d.renderer.redrawCanvas();
+  }
+}
+
+// Chart turned on: the chart is drawn North Up, so are the displays
+function applyChart() {
+  if (!isChartEnabled()) return;
+  displays.forEach((d) => {
+    if (d.headingMode !== "northUp") d.setHeadingMode("northUp");
+  });
+}
+
 function extractNoTxZone(name) {
   const re = /(\d+)/;
   let match = name.match(re);
@@ -772,8 +795,12 @@ function drawBackground(obj, txt) {
   obj.background_ctx.setTransform(1, 0, 0, 1, 0, 0);
   obj.background_ctx.clearRect(0, 0, obj.width, obj.height);
 
+  // Chart underlay, beneath everything else
+  drawChart(obj);
+
   // No transmit zones (drawn on background, behind radar)
   obj.background_ctx.fillStyle = "lightgrey";
+  const noTransmitAngles = displayOf(obj).noTransmitAngles;
   if (typeof noTransmitAngles == "array") {
     noTransmitAngles.forEach((e) => {
       if (e && e[0]) {
@@ -791,7 +818,7 @@ function drawBackground(obj, txt) {
   }
 
   // Title text
-  obj.background_ctx.fillStyle = "lightblue";
+  obj.background_ctx.fillStyle = textColor("lightblue");
   obj.background_ctx.font = "bold 16px/1 Verdana, Geneva, sans-serif";
   obj.background_ctx.fillText(txt, 5, 20);
 }